@@ -7,10 +7,27 @@ jQuery(document).ready(function($) {
     
     // Variables globales
     const form = $('#condo360-comunicados-form');
-    const submitBtn = $('.condo360-submit-btn');
+    const submitBtn = form.find('.condo360-submit-btn');
+    const composeForm = $('#condo360-compose-form');
+    const composeBtn = composeForm.find('.condo360-submit-btn');
     const responseDiv = $('#condo360-response');
     const fileInput = $('#condo360-file');
     
+    // Claves de idempotencia: se conservan al reintentar tras un error o un tiempo de espera
+    // para que el backend devuelva el comunicado ya creado en vez de publicarlo dos veces
+    let uploadIdempotencyKey = null;
+    let composeIdempotencyKey = null;
+    
+    // Etapas de una subida procesada en segundo plano (las mismas que informa el backend)
+    const uploadStages = [
+        { key: 'convirtiendo', label: 'Convirtiendo el documento', state: 'pending' },
+        { key: 'subiendo_imagenes', label: 'Subiendo imágenes y archivos', state: 'pending' },
+        { key: 'publicando', label: 'Publicando en WordPress', state: 'pending' },
+        { key: 'encolado', label: 'Encolando las notificaciones', state: 'pending' }
+    ];
+    const jobPollInterval = 2000;
+    const maxJobPollErrors = 5;
+    
     // Configuración
     const config = {
         maxFileSize: parseInt(condo360_ajax.max_file_size) * 1024 * 1024, // Convertir a bytes
@@ -55,7 +72,15 @@ jQuery(document).ready(function($) {
         formData.append('description', $('#condo360-description').val());
         formData.append('wp_user_id', $('input[name="wp_user_id"]').val());
         formData.append('user_display_name', $('input[name="user_display_name"]').val());
+        formData.append('category', $('#condo360-category').val());
+        formData.append('tags', $('#condo360-tags').val());
+        formData.append('priority', $('#condo360-priority').val());
+        uploadIdempotencyKey = uploadIdempotencyKey || generateIdempotencyKey();
+        formData.append('idempotency_key', uploadIdempotencyKey);
         formData.append('file', fileInput[0].files[0]);
+        $.each($('#condo360-attachments')[0].files, function(index, attachment) {
+            formData.append('attachments[]', attachment);
+        });
         
         // Enviar datos
         $.ajax({
@@ -64,19 +89,70 @@ jQuery(document).ready(function($) {
             data: formData,
             processData: false,
             contentType: false,
-            timeout: 300000, // 5 minutos
+            timeout: 180000, // Solo el envío del archivo; el procesamiento sigue en segundo plano
             success: function(response) {
+                // El backend respondió al guardar el archivo: seguir el avance del trabajo
+                const jobId = response.success && response.data.data ? response.data.data.job_id : null;
+                if (jobId) {
+                    showUploadProgress({ stages: uploadStages, progress: 0 });
+                    pollUploadJob(jobId, 0);
+                    return;
+                }
                 handleSuccess(response);
+                setLoadingState(false);
             },
             error: function(xhr, status, error) {
                 handleError(xhr, status, error);
-            },
-            complete: function() {
                 setLoadingState(false);
             }
         });
     }
     
+    function pollUploadJob(jobId, failedPolls) {
+        $.ajax({
+            url: config.ajaxUrl,
+            type: 'POST',
+            data: {
+                action: 'condo360_upload_job_status',
+                nonce: config.nonce,
+                job_id: jobId
+            },
+            timeout: 20000,
+            success: function(response) {
+                if (!response.success) {
+                    showErrorResponse(response.data || 'Error desconocido');
+                    setLoadingState(false);
+                    return;
+                }
+                
+                const job = response.data.data;
+                if (job.status === 'completed') {
+                    handleSuccess({ success: true, data: { success: true, message: response.data.message, data: job.result } });
+                    setLoadingState(false);
+                } else if (job.status === 'failed') {
+                    showErrorResponse(job.error ? job.error.message : 'Error al procesar el comunicado');
+                    setLoadingState(false);
+                } else {
+                    showUploadProgress(job);
+                    setTimeout(function() {
+                        pollUploadJob(jobId, 0);
+                    }, jobPollInterval);
+                }
+            },
+            error: function() {
+                // Un corte momentáneo no detiene el seguimiento; el backend sigue procesando
+                if (failedPolls + 1 >= maxJobPollErrors) {
+                    showErrorResponse('Se perdió la conexión mientras se procesaba el comunicado. Revise la lista de comunicados antes de volver a enviarlo.');
+                    setLoadingState(false);
+                    return;
+                }
+                setTimeout(function() {
+                    pollUploadJob(jobId, failedPolls + 1);
+                }, jobPollInterval);
+            }
+        });
+    }
+    
     function validateForm() {
         let isValid = true;
         
@@ -168,10 +244,10 @@ jQuery(document).ready(function($) {
     function setLoadingState(loading) {
         if (loading) {
             submitBtn.addClass('loading').prop('disabled', true);
-            form.find('input, textarea, button').prop('disabled', true);
+            form.find('input, textarea, select, button').prop('disabled', true);
         } else {
             submitBtn.removeClass('loading').prop('disabled', false);
-            form.find('input, textarea, button').prop('disabled', false);
+            form.find('input, textarea, select, button').prop('disabled', false);
         }
     }
     
@@ -214,7 +290,7 @@ jQuery(document).ready(function($) {
             </div>
         `;
         
-        responseDiv.removeClass('error').addClass('success').html(html).show().addClass('condo360-fade-in');
+        responseDiv.removeClass('error progress').addClass('success').html(html).show().addClass('condo360-fade-in');
         
         // Scroll hacia la respuesta
         $('html, body').animate({
@@ -222,6 +298,21 @@ jQuery(document).ready(function($) {
         }, 500);
     }
     
+    function showUploadProgress(job) {
+        const stagesHtml = $.map(job.stages, function(stage) {
+            return `<li class="stage-${stage.state}">${stage.label}</li>`;
+        }).join('');
+        const html = `
+            <div class="condo360-progress-details">
+                <h4>⏳ Procesando comunicado</h4>
+                <div class="condo360-progress-bar"><span style="width: ${job.progress || 0}%"></span></div>
+                <ul class="condo360-progress-stages">${stagesHtml}</ul>
+            </div>
+        `;
+        
+        responseDiv.removeClass('success error').addClass('progress').html(html).show();
+    }
+    
     function showErrorResponse(message) {
         const html = `
             <div class="condo360-error-details">
@@ -231,7 +322,7 @@ jQuery(document).ready(function($) {
             </div>
         `;
         
-        responseDiv.removeClass('success').addClass('error').html(html).show().addClass('condo360-fade-in');
+        responseDiv.removeClass('success progress').addClass('error').html(html).show().addClass('condo360-fade-in');
         
         // Scroll hacia la respuesta
         $('html, body').animate({
@@ -245,15 +336,25 @@ jQuery(document).ready(function($) {
     
     function resetForm() {
         form[0].reset();
+        uploadIdempotencyKey = null;
         hideResponse();
         form.find('.field-error').remove();
         form.find('input, textarea').removeClass('error');
     }
     
+    function generateIdempotencyKey() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return Date.now().toString(36) + '-' + Math.random().toString(36).substring(2, 12);
+    }
+    
     // Utilidades adicionales
     
     // Mostrar información del archivo seleccionado
     fileInput.on('change', function() {
+        // Otro archivo es otro comunicado
+        uploadIdempotencyKey = null;
         const file = this.files[0];
         if (file) {
             const fileInfo = $('.condo360-file-info');
@@ -262,6 +363,14 @@ jQuery(document).ready(function($) {
         }
     });
     
+    // Mostrar anexos seleccionados en orden
+    $('#condo360-attachments').on('change', function() {
+        const names = $.map(this.files, function(attachment, index) {
+            return `${index + 1}. ${attachment.name}`;
+        });
+        $('.condo360-attachments-info').html(names.length > 0 ? `Anexos: ${names.join(', ')}` : '');
+    });
+    
     // Contador de caracteres para descripción
     const descInput = $('#condo360-description');
     const charCounter = $('<div class="char-counter"></div>').insertAfter(descInput);
@@ -307,6 +416,112 @@ jQuery(document).ready(function($) {
         `)
         .appendTo('head');
     
+    // Pestañas: subir archivo o redactar el comunicado en el editor
+    $('.condo360-tab').on('click', function() {
+        const tab = $(this).data('tab');
+        $('.condo360-tab').removeClass('active');
+        $(this).addClass('active');
+        $('.condo360-tab-panel').hide();
+        $(`.condo360-tab-panel[data-panel="${tab}"]`).show();
+        hideResponse();
+    });
+    
+    composeForm.on('submit', handleComposeSubmit);
+    
+    function getComposeBody() {
+        // Con el editor visual activo el contenido se copia al textarea antes de leerlo
+        if (window.tinymce && tinymce.get('condo360_compose_body')) {
+            tinymce.triggerSave();
+        }
+        return $('#condo360_compose_body').val();
+    }
+    
+    function validateComposeForm() {
+        let isValid = true;
+        const titleInput = $('#condo360-compose-title');
+        const title = titleInput.val().trim();
+        const bodyText = $('<div>').html(getComposeBody()).text().trim();
+        
+        if (title.length === 0) {
+            showFieldError(titleInput, 'El título es obligatorio');
+            isValid = false;
+        } else if (title.length > 255) {
+            showFieldError(titleInput, 'El título es demasiado largo (máximo 255 caracteres)');
+            isValid = false;
+        } else {
+            clearFieldError(titleInput);
+        }
+        
+        const editorWrap = $('#wp-condo360_compose_body-wrap');
+        if (bodyText.length === 0) {
+            showFieldError(editorWrap, 'El texto del comunicado es obligatorio');
+            isValid = false;
+        } else {
+            clearFieldError(editorWrap);
+        }
+        
+        return isValid;
+    }
+    
+    function handleComposeSubmit(e) {
+        e.preventDefault();
+        
+        if (!validateComposeForm()) {
+            return;
+        }
+        
+        composeIdempotencyKey = composeIdempotencyKey || generateIdempotencyKey();
+        setComposeLoadingState(true);
+        hideResponse();
+        
+        $.ajax({
+            url: config.ajaxUrl,
+            type: 'POST',
+            data: {
+                action: 'condo360_compose_communique',
+                nonce: config.nonce,
+                title: $('#condo360-compose-title').val(),
+                description: $('#condo360-compose-description').val(),
+                body: getComposeBody(),
+                category: $('#condo360-compose-category').val(),
+                tags: $('#condo360-compose-tags').val(),
+                priority: $('#condo360-compose-priority').val(),
+                idempotency_key: composeIdempotencyKey,
+                wp_user_id: composeForm.find('input[name="wp_user_id"]').val()
+            },
+            timeout: 60000,
+            success: function(response) {
+                if (response.success) {
+                    showSuccessResponse(response.data);
+                    resetComposeForm();
+                } else {
+                    showErrorResponse(response.data || 'Error desconocido');
+                }
+            },
+            error: function(xhr, status, error) {
+                handleError(xhr, status, error);
+            },
+            complete: function() {
+                setComposeLoadingState(false);
+            }
+        });
+    }
+    
+    function setComposeLoadingState(loading) {
+        composeBtn.toggleClass('loading', loading);
+        composeForm.find('input, textarea, select, button').prop('disabled', loading);
+    }
+    
+    function resetComposeForm() {
+        composeForm[0].reset();
+        composeIdempotencyKey = null;
+        if (window.tinymce && tinymce.get('condo360_compose_body')) {
+            tinymce.get('condo360_compose_body').setContent('');
+        }
+        composeForm.find('.field-error').remove();
+        composeForm.find('input, textarea').removeClass('error');
+    }
+    
     // Prevenir envío accidental con Enter en campos de texto
     form.find('input[type="text"], textarea').on('keypress', function(e) {
         if (e.which === 13 && !e.shiftKey) {
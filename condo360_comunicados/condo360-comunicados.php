@@ -40,6 +40,9 @@ class Condo360Comunicados {
         add_action('wp_enqueue_scripts', array($this, 'enqueue_scripts'));
         add_action('wp_ajax_condo360_upload_communique', array($this, 'handle_upload_ajax'));
         add_action('wp_ajax_nopriv_condo360_upload_communique', array($this, 'handle_upload_ajax'));
+        add_action('wp_ajax_condo360_compose_communique', array($this, 'handle_compose_ajax'));
+        add_action('wp_ajax_condo360_upload_job_status', array($this, 'handle_upload_job_status_ajax'));
+        add_action('wp_ajax_nopriv_condo360_upload_job_status', array($this, 'handle_upload_job_status_ajax'));
         
         // Registrar shortcode
         add_shortcode('junta_comunicados', array($this, 'render_shortcode'));
@@ -98,14 +101,6 @@ class Condo360Comunicados {
             'condo360-comunicados',
             'condo360_general_section'
         );
-        
-        add_settings_field(
-            'allowed_file_types',
-            'Tipos de archivo permitidos',
-            array($this, 'allowed_file_types_callback'),
-            'condo360-comunicados',
-            'condo360_general_section'
-        );
     }
     
     /**
@@ -133,15 +128,6 @@ class Condo360Comunicados {
         echo '<p class="description">Tamaño máximo de archivo en MB (recomendado: 25MB).</p>';
     }
     
-    /**
-     * Callback para tipos de archivo permitidos
-     */
-    public function allowed_file_types_callback() {
-        $value = isset($this->options['allowed_file_types']) ? $this->options['allowed_file_types'] : 'docx,pdf';
-        echo '<input type="text" name="condo360_comunicados_options[allowed_file_types]" value="' . esc_attr($value) . '" class="regular-text" />';
-        echo '<p class="description">Tipos de archivo permitidos separados por comas (ej: docx,pdf).</p>';
-    }
-    
     /**
      * Página de administración
      */
@@ -190,7 +176,8 @@ class Condo360Comunicados {
                 <ol>
                     <li>Use el shortcode <code>[junta_comunicados]</code> en cualquier página o post.</li>
                     <li>Solo usuarios con rol de administrador pueden subir comunicados.</li>
-                    <li>Los archivos deben ser .docx o .pdf con un tamaño máximo de 25MB.</li>
+                    <li>Los archivos pueden ser .docx, .odt, .pdf, .md, .txt o fotos .jpg/.png (según los tipos permitidos en el backend, ajuste <code>allowed_file_types</code>) con un tamaño máximo de 25MB.</li>
+                    <li>Los avisos cortos se pueden escribir directamente en la pestaña "Redactar", sin subir archivo.</li>
                     <li>Los comunicados se publican automáticamente en el blog.</li>
                     <li>Se envían notificaciones por correo a todos los propietarios.</li>
                 </ol>
@@ -199,6 +186,52 @@ class Condo360Comunicados {
         <?php
     }
     
+    /**
+     * Formatos aceptados por el backend (ajuste allowed_file_types), guardados 5 minutos.
+     * Si el backend no responde se usan los predeterminados; el backend valida de todos modos.
+     */
+    private function get_upload_config() {
+        $config = get_transient('condo360_upload_config');
+        if (is_array($config)) {
+            return $config;
+        }
+        
+        $config = array(
+            'allowed_extensions' => array('docx', 'pdf', 'odt', 'md', 'markdown', 'txt', 'jpg', 'jpeg', 'png'),
+            'attachment_extensions' => array('pdf', 'docx', 'doc', 'xlsx', 'xls', 'odt', 'ods', 'jpg', 'jpeg', 'png'),
+        );
+        
+        $response = wp_remote_get($this->backend_url . '/communiques/upload-config', array(
+            'timeout' => 10,
+            'sslverify' => false
+        ));
+        
+        if (is_wp_error($response) || wp_remote_retrieve_response_code($response) !== 200) {
+            return $config;
+        }
+        
+        $response_data = json_decode(wp_remote_retrieve_body($response), true);
+        if (empty($response_data['success']) || !isset($response_data['data']['allowed_extensions'])) {
+            return $config;
+        }
+        
+        $config = array(
+            'allowed_extensions' => array_map('strval', (array) $response_data['data']['allowed_extensions']),
+            'attachment_extensions' => array_map('strval', (array) $response_data['data']['attachment_extensions']),
+        );
+        set_transient('condo360_upload_config', $config, 5 * MINUTE_IN_SECONDS);
+        
+        return $config;
+    }
+    
+    /**
+     * Extensiones permitidas para el documento principal
+     */
+    private function get_allowed_extensions() {
+        $config = $this->get_upload_config();
+        return $config['allowed_extensions'];
+    }
+    
     /**
      * Verificar estado del backend
      */
@@ -242,7 +275,7 @@ class Condo360Comunicados {
             'nonce' => wp_create_nonce('condo360_upload_nonce'),
             'backend_url' => $this->backend_url,
             'max_file_size' => isset($this->options['max_file_size']) ? $this->options['max_file_size'] : '25',
-            'allowed_types' => isset($this->options['allowed_file_types']) ? $this->options['allowed_file_types'] : 'docx,pdf',
+            'allowed_types' => implode(',', $this->get_allowed_extensions()),
         ));
     }
     
@@ -256,13 +289,46 @@ class Condo360Comunicados {
         }
         
         $current_user = wp_get_current_user();
+        $allowed_extensions = $this->get_allowed_extensions();
+        $accept = '.' . implode(',.', $allowed_extensions);
+        $upload_config = $this->get_upload_config();
+        $attachment_accept = '.' . implode(',.', $upload_config['attachment_extensions']);
+        
+        $categories = array(
+            '' => 'Sin categoría',
+            'mantenimiento' => 'Mantenimiento',
+            'finanzas' => 'Finanzas',
+            'asamblea' => 'Asamblea',
+            'seguridad' => 'Seguridad',
+            'emergencia' => 'Emergencia',
+        );
+        $category_options = '';
+        foreach ($categories as $value => $label) {
+            $category_options .= '<option value="' . esc_attr($value) . '">' . esc_html($label) . '</option>';
+        }
+        
+        $priorities = array(
+            'normal' => 'Normal',
+            'alta' => 'Alta',
+            'urgente' => 'Urgente (envío inmediato y fijado en portada)',
+        );
+        $priority_options = '';
+        foreach ($priorities as $value => $label) {
+            $priority_options .= '<option value="' . esc_attr($value) . '">' . esc_html($label) . '</option>';
+        }
         
         ob_start();
         ?>
         <div class="condo360-comunicados-container">
             <div class="condo360-comunicados-form-wrapper">
-                <h2 class="condo360-form-title">Subir Comunicado de la Junta</h2>
+                <h2 class="condo360-form-title">Comunicado de la Junta</h2>
+                
+                <div class="condo360-tabs" role="tablist">
+                    <button type="button" class="condo360-tab active" data-tab="upload" role="tab">Subir archivo</button>
+                    <button type="button" class="condo360-tab" data-tab="compose" role="tab">Redactar</button>
+                </div>
                 
+                <div class="condo360-tab-panel" data-panel="upload">
                 <form id="condo360-comunicados-form" class="condo360-form" enctype="multipart/form-data">
                     <div class="condo360-form-group">
                         <label for="condo360-title" class="condo360-label">Título del Comunicado *</label>
@@ -274,10 +340,36 @@ class Condo360Comunicados {
                         <textarea id="condo360-description" name="description" class="condo360-textarea" rows="3" placeholder="Descripción opcional del comunicado..."></textarea>
                     </div>
                     
+                    <div class="condo360-form-group">
+                        <label for="condo360-category" class="condo360-label">Categoría</label>
+                        <select id="condo360-category" name="category" class="condo360-input">
+                            <?php echo $category_options; ?>
+                        </select>
+                    </div>
+                    
+                    <div class="condo360-form-group">
+                        <label for="condo360-priority" class="condo360-label">Prioridad</label>
+                        <select id="condo360-priority" name="priority" class="condo360-input">
+                            <?php echo $priority_options; ?>
+                        </select>
+                    </div>
+                    
+                    <div class="condo360-form-group">
+                        <label for="condo360-tags" class="condo360-label">Etiquetas</label>
+                        <input type="text" id="condo360-tags" name="tags" class="condo360-input" placeholder="piscina, torre A, ascensores">
+                        <p class="condo360-file-info">Opcional, separadas por comas</p>
+                    </div>
+                    
                     <div class="condo360-form-group">
                         <label for="condo360-file" class="condo360-label">Archivo del Comunicado *</label>
-                        <input type="file" id="condo360-file" name="file" class="condo360-file-input" accept=".docx,.pdf" required>
-                        <p class="condo360-file-info">Tipos permitidos: .docx, .pdf | Tamaño máximo: 25MB</p>
+                        <input type="file" id="condo360-file" name="file" class="condo360-file-input" accept="<?php echo esc_attr($accept); ?>" required>
+                        <p class="condo360-file-info">Tipos permitidos: <?php echo esc_html(str_replace(',', ', ', $accept)); ?> | Tamaño máximo: 25MB</p>
+                    </div>
+                    
+                    <div class="condo360-form-group">
+                        <label for="condo360-attachments" class="condo360-label">Anexos</label>
+                        <input type="file" id="condo360-attachments" name="attachments[]" class="condo360-file-input" accept="<?php echo esc_attr($attachment_accept); ?>" multiple>
+                        <p class="condo360-attachments-info">Opcional: presupuestos, actas u otros documentos. Se listarán en el orden seleccionado</p>
                     </div>
                     
                     <input type="hidden" name="wp_user_id" value="<?php echo $current_user->ID; ?>">
@@ -290,6 +382,63 @@ class Condo360Comunicados {
                         </button>
                     </div>
                 </form>
+                </div>
+                
+                <div class="condo360-tab-panel" data-panel="compose" style="display: none;">
+                <form id="condo360-compose-form" class="condo360-form">
+                    <div class="condo360-form-group">
+                        <label for="condo360-compose-title" class="condo360-label">Título del Comunicado *</label>
+                        <input type="text" id="condo360-compose-title" name="title" class="condo360-input" required>
+                    </div>
+                    
+                    <div class="condo360-form-group">
+                        <label for="condo360-compose-description" class="condo360-label">Descripción Corta</label>
+                        <textarea id="condo360-compose-description" name="description" class="condo360-textarea" rows="2" placeholder="Descripción opcional del comunicado..."></textarea>
+                    </div>
+                    
+                    <div class="condo360-form-group">
+                        <label for="condo360-compose-category" class="condo360-label">Categoría</label>
+                        <select id="condo360-compose-category" name="category" class="condo360-input">
+                            <?php echo $category_options; ?>
+                        </select>
+                    </div>
+                    
+                    <div class="condo360-form-group">
+                        <label for="condo360-compose-priority" class="condo360-label">Prioridad</label>
+                        <select id="condo360-compose-priority" name="priority" class="condo360-input">
+                            <?php echo $priority_options; ?>
+                        </select>
+                    </div>
+                    
+                    <div class="condo360-form-group">
+                        <label for="condo360-compose-tags" class="condo360-label">Etiquetas</label>
+                        <input type="text" id="condo360-compose-tags" name="tags" class="condo360-input" placeholder="piscina, torre A, ascensores">
+                        <p class="condo360-file-info">Opcional, separadas por comas</p>
+                    </div>
+                    
+                    <div class="condo360-form-group">
+                        <label for="condo360_compose_body" class="condo360-label">Texto del Comunicado *</label>
+                        <?php
+                        wp_editor('', 'condo360_compose_body', array(
+                            'textarea_name' => 'body',
+                            'textarea_rows' => 10,
+                            'media_buttons' => false,
+                            'teeny' => true,
+                            'quicktags' => true,
+                        ));
+                        ?>
+                    </div>
+                    
+                    <input type="hidden" name="wp_user_id" value="<?php echo $current_user->ID; ?>">
+                    
+                    <div class="condo360-form-group">
+                        <button type="submit" class="condo360-submit-btn condo360-compose-btn">
+                            <span class="btn-text">Publicar Comunicado</span>
+                            <span class="btn-loading" style="display: none;">Enviando...</span>
+                        </button>
+                    </div>
+                </form>
+                </div>
                 
                 <div id="condo360-response" class="condo360-response" style="display: none;"></div>
             </div>
@@ -322,6 +471,10 @@ class Condo360Comunicados {
         $description = sanitize_textarea_field($_POST['description']);
         $wp_user_id = intval($_POST['wp_user_id']);
         $user_display_name = sanitize_text_field($_POST['user_display_name']);
+        $category = isset($_POST['category']) ? sanitize_key($_POST['category']) : '';
+        $tags = isset($_POST['tags']) ? sanitize_text_field($_POST['tags']) : '';
+        $priority = isset($_POST['priority']) ? sanitize_key($_POST['priority']) : 'normal';
+        $idempotency_key = isset($_POST['idempotency_key']) ? sanitize_text_field($_POST['idempotency_key']) : '';
         
         // Validaciones
         if (empty($title)) {
@@ -332,12 +485,12 @@ class Condo360Comunicados {
             wp_send_json_error('ID de usuario no válido');
         }
         
-        // Validar tipo de archivo
-        $allowed_types = array('application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
-        $file_type = wp_check_filetype($file['name']);
+        // Validar tipo de archivo por extensión (los .md y .txt no tienen un tipo MIME fiable)
+        $allowed_extensions = $this->get_allowed_extensions();
+        $extension = strtolower(pathinfo($file['name'], PATHINFO_EXTENSION));
         
-        if (!in_array($file['type'], $allowed_types) && !in_array($file_type['type'], $allowed_types)) {
-            wp_send_json_error('Tipo de archivo no permitido. Solo se aceptan archivos .docx y .pdf');
+        if (!in_array($extension, $allowed_extensions, true)) {
+            wp_send_json_error('Tipo de archivo no permitido. Se aceptan: .' . implode(', .', $allowed_extensions));
         }
         
         // Validar tamaño
@@ -369,22 +522,62 @@ class Condo360Comunicados {
         $post_data .= 'Content-Disposition: form-data; name="user_display_name"' . "\r\n\r\n";
         $post_data .= $user_display_name . "\r\n";
         
+        // Categoría, etiquetas y prioridad (el backend valida los valores)
+        $post_data .= '--' . $delimiter . "\r\n";
+        $post_data .= 'Content-Disposition: form-data; name="category"' . "\r\n\r\n";
+        $post_data .= $category . "\r\n";
+        
+        $post_data .= '--' . $delimiter . "\r\n";
+        $post_data .= 'Content-Disposition: form-data; name="tags"' . "\r\n\r\n";
+        $post_data .= $tags . "\r\n";
+        
+        $post_data .= '--' . $delimiter . "\r\n";
+        $post_data .= 'Content-Disposition: form-data; name="priority"' . "\r\n\r\n";
+        $post_data .= $priority . "\r\n";
+        
+        // El backend responde al guardar el archivo y lo procesa en segundo plano
+        $post_data .= '--' . $delimiter . "\r\n";
+        $post_data .= 'Content-Disposition: form-data; name="async"' . "\r\n\r\n";
+        $post_data .= 'true' . "\r\n";
+        
         // Agregar archivo
         $post_data .= '--' . $delimiter . "\r\n";
         $post_data .= 'Content-Disposition: form-data; name="file"; filename="' . $file['name'] . '"' . "\r\n";
         $post_data .= 'Content-Type: ' . $file['type'] . "\r\n\r\n";
         $post_data .= file_get_contents($file['tmp_name']) . "\r\n";
         
+        // Agregar anexos en el orden recibido (el backend valida tipos y cantidad)
+        if (isset($_FILES['attachments']) && is_array($_FILES['attachments']['name'])) {
+            foreach ($_FILES['attachments']['name'] as $index => $attachment_name) {
+                if ($_FILES['attachments']['error'][$index] !== UPLOAD_ERR_OK) {
+                    continue;
+                }
+                if ($_FILES['attachments']['size'][$index] > $max_size) {
+                    wp_send_json_error('El anexo ' . $attachment_name . ' excede el tamaño máximo permitido');
+                }
+                
+                $post_data .= '--' . $delimiter . "\r\n";
+                $post_data .= 'Content-Disposition: form-data; name="attachments"; filename="' . $attachment_name . '"' . "\r\n";
+                $post_data .= 'Content-Type: ' . $_FILES['attachments']['type'][$index] . "\r\n\r\n";
+                $post_data .= file_get_contents($_FILES['attachments']['tmp_name'][$index]) . "\r\n";
+            }
+        }
+        
         $post_data .= '--' . $delimiter . '--' . "\r\n";
         
-        // Enviar al backend
+        // Enviar al backend (la clave de idempotencia evita duplicados si el usuario reintenta)
+        $headers = array(
+            'Content-Type' => 'multipart/form-data; boundary=' . $delimiter,
+            'Content-Length' => strlen($post_data),
+        );
+        if (!empty($idempotency_key)) {
+            $headers['Idempotency-Key'] = $idempotency_key;
+        }
+        
         $response = wp_remote_post($this->backend_url . '/communiques/upload', array(
-            'headers' => array(
-                'Content-Type' => 'multipart/form-data; boundary=' . $delimiter,
-                'Content-Length' => strlen($post_data),
-            ),
+            'headers' => $headers,
             'body' => $post_data,
-            'timeout' => 300, // 5 minutos para procesar archivos grandes
+            'timeout' => 120, // Solo el envío del archivo; el procesamiento continúa en segundo plano
             'sslverify' => false,
         ));
         
@@ -396,6 +589,119 @@ class Condo360Comunicados {
         $response_body = wp_remote_retrieve_body($response);
         $response_data = json_decode($response_body, true);
         
+        if (in_array($response_code, array(200, 202), true) && $response_data['success']) {
+            wp_send_json_success($response_data);
+        } else {
+            $error_message = isset($response_data['error']) ? $response_data['error'] : 'Error desconocido';
+            wp_send_json_error($error_message);
+        }
+    }
+    
+    /**
+     * Enviar al backend un comunicado redactado en el editor (sin archivo)
+     */
+    public function handle_compose_ajax() {
+        // Verificar nonce
+        if (!wp_verify_nonce($_POST['nonce'], 'condo360_upload_nonce')) {
+            wp_die('Error de seguridad');
+        }
+        
+        // Verificar permisos
+        if (!current_user_can('administrator') && !current_user_can('junta')) {
+            wp_send_json_error('Acceso denegado');
+        }
+        
+        $title = sanitize_text_field($_POST['title']);
+        $description = sanitize_textarea_field($_POST['description']);
+        $body = wp_kses_post(wp_unslash($_POST['body']));
+        $wp_user_id = intval($_POST['wp_user_id']);
+        $category = isset($_POST['category']) ? sanitize_key($_POST['category']) : '';
+        $tags = isset($_POST['tags']) ? sanitize_text_field($_POST['tags']) : '';
+        $priority = isset($_POST['priority']) ? sanitize_key($_POST['priority']) : 'normal';
+        $idempotency_key = isset($_POST['idempotency_key']) ? sanitize_text_field($_POST['idempotency_key']) : '';
+        
+        if (empty($title)) {
+            wp_send_json_error('El título es obligatorio');
+        }
+        
+        if (trim(wp_strip_all_tags($body)) === '') {
+            wp_send_json_error('El texto del comunicado es obligatorio');
+        }
+        
+        if (empty($wp_user_id)) {
+            wp_send_json_error('ID de usuario no válido');
+        }
+        
+        $headers = array(
+            'Content-Type' => 'application/json',
+        );
+        if (!empty($idempotency_key)) {
+            $headers['Idempotency-Key'] = $idempotency_key;
+        }
+        
+        // El backend vuelve a sanear el HTML antes de publicarlo
+        $response = wp_remote_post($this->backend_url . '/communiques', array(
+            'headers' => $headers,
+            'body' => wp_json_encode(array(
+                'title' => $title,
+                'description' => $description,
+                'body' => $body,
+                'format' => 'html',
+                'category' => $category,
+                'tags' => $tags,
+                'priority' => $priority,
+                'wp_user_id' => $wp_user_id,
+            )),
+            'timeout' => 60,
+            'sslverify' => false,
+        ));
+        
+        if (is_wp_error($response)) {
+            wp_send_json_error('Error al comunicarse con el servidor: ' . $response->get_error_message());
+        }
+        
+        $response_code = wp_remote_retrieve_response_code($response);
+        $response_data = json_decode(wp_remote_retrieve_body($response), true);
+        
+        if ($response_code === 200 && $response_data['success']) {
+            wp_send_json_success($response_data);
+        } else {
+            $error_message = isset($response_data['error']) ? $response_data['error'] : 'Error desconocido';
+            wp_send_json_error($error_message);
+        }
+    }
+    
+    /**
+     * Consultar el avance de una subida que el backend procesa en segundo plano
+     */
+    public function handle_upload_job_status_ajax() {
+        // Verificar nonce
+        if (!wp_verify_nonce($_POST['nonce'], 'condo360_upload_nonce')) {
+            wp_die('Error de seguridad');
+        }
+        
+        // Verificar permisos
+        if (!current_user_can('administrator') && !current_user_can('junta')) {
+            wp_send_json_error('Acceso denegado');
+        }
+        
+        $job_id = isset($_POST['job_id']) ? sanitize_key($_POST['job_id']) : '';
+        if (empty($job_id)) {
+            wp_send_json_error('Trabajo de subida no válido');
+        }
+        
+        $response = wp_remote_get($this->backend_url . '/communiques/jobs/' . rawurlencode($job_id), array(
+            'timeout' => 15,
+            'sslverify' => false,
+        ));
+        
+        if (is_wp_error($response)) {
+            wp_send_json_error('Error al comunicarse con el servidor: ' . $response->get_error_message());
+        }
+        
+        $response_code = wp_remote_retrieve_response_code($response);
+        $response_data = json_decode(wp_remote_retrieve_body($response), true);
+        
         if ($response_code === 200 && $response_data['success']) {
             wp_send_json_success($response_data);
         } else {
@@ -412,7 +718,6 @@ class Condo360Comunicados {
         $default_options = array(
             'backend_url' => 'https://blogapi.bonaventurecclub.com',
             'max_file_size' => '25',
-            'allowed_file_types' => 'docx,pdf',
         );
         
         add_option('condo360_comunicados_options', $default_options);
@@ -41,6 +41,11 @@ async function getAppConnection() {
   return appConnection;
 }
 
+// Función para abrir una conexión propia a la BD de la aplicación (transacciones)
+async function createAppConnection() {
+  return mysql.createConnection(appDbConfig);
+}
+
 // Función para inicializar la base de datos
 async function initializeDatabase() {
   try {
@@ -140,6 +145,24 @@ async function getWpUsers(roleFilter = 'subscriber') {
   }
 }
 
+// Función para verificar si un usuario de WordPress tiene un rol
+async function userHasRole(userId, role) {
+  try {
+    const connection = await getWpConnection();
+    const [rows] = await connection.execute(
+      `SELECT 1 FROM wp_usermeta
+       WHERE user_id = ? AND meta_key = 'wp_capabilities' AND meta_value LIKE ?
+       LIMIT 1`,
+      [userId, `%"${role}"%`]
+    );
+
+    return rows.length > 0;
+  } catch (error) {
+    console.error(`❌ Error al verificar rol ${role} del usuario ${userId}:`, error.message);
+    throw error;
+  }
+}
+
 // Función para obtener configuración del sistema
 async function getSetting(key, defaultValue = null) {
   try {
@@ -174,9 +197,11 @@ async function updateSetting(key, value) {
 module.exports = {
   getWpConnection,
   getAppConnection,
+  createAppConnection,
   initializeDatabase,
   closeConnections,
   getWpUsers,
+  userHasRole,
   getSetting,
   updateSetting,
 };
@@ -1,8 +1,18 @@
 const moment = require('moment-timezone');
-const { getAppConnection } = require('../config/database');
+const { getAppConnection, getSetting, updateSetting, userHasRole } = require('../config/database');
 const { WordPressService, FileProcessingService } = require('../services/wordpressService');
 const EmailService = require('../services/emailService');
 const EmailQueueService = require('../services/emailQueueService');
+const TelegramService = require('../services/telegramService');
+const CommuniqueQueryService = require('../services/communiqueQueryService');
+const PublicationService = require('../services/publicationService');
+const DuplicateDetectionService = require('../services/duplicateDetectionService');
+const UploadPipelineService = require('../services/uploadPipelineService');
+const UploadJobService = require('../services/uploadJobService');
+const RevisionService = require('../services/revisionService');
+const AudienceService = require('../services/audienceService');
+const BounceService = require('../services/bounceService');
+const { getAllowedExtensions, ATTACHMENT_EXTENSIONS, MAX_ATTACHMENTS } = require('../middleware/fileValidation');
 
 /**
  * Controlador para gestión de comunicados
@@ -14,6 +24,15 @@ class CommuniquesController {
     this.fileProcessingService = new FileProcessingService();
     this.emailService = new EmailService();
     this.emailQueueService = new EmailQueueService();
+    this.telegramService = new TelegramService();
+    this.communiqueQueryService = new CommuniqueQueryService();
+    this.publicationService = new PublicationService();
+    this.duplicateDetectionService = new DuplicateDetectionService();
+    this.uploadPipelineService = new UploadPipelineService();
+    this.uploadJobService = new UploadJobService();
+    this.revisionService = new RevisionService();
+    this.audienceService = new AudienceService();
+    this.bounceService = new BounceService();
     console.log('✅ CommuniquesController inicializado correctamente');
   }
 
@@ -28,187 +47,2375 @@ class CommuniquesController {
         hasEmailService: !!this.emailService
       });
       
-      const { title, description, wp_user_id, user_display_name } = req.body;
+      const { title, description, wp_user_id } = req.body;
       const fileInfo = req.fileInfo;
+      const attachmentsInfo = req.attachmentsInfo || [];
+      const publishAt = req.publishAt || null;
+      const expiresAt = req.expiresAt || null;
+      const force = req.body.force === true || req.body.force === 'true';
+      const runAsync = req.body.async === true || req.body.async === 'true';
       
       console.log('📤 Iniciando subida de comunicado:', {
         title,
         filename: fileInfo.originalName,
+        attachments: attachmentsInfo.length,
         wp_user_id,
+        publish_at: publishAt ? publishAt.format() : null,
+        expires_at: expiresAt ? expiresAt.format() : null,
+        idempotency_key: req.idempotencyKey,
+        force,
+        async: runAsync,
       });
 
-      let wpPostData = null;
-      let wpMediaData = null;
-      let communiqueId = null;
+      let content = null;
 
       try {
-        // Procesar archivo según su tipo
-        if (fileInfo.extension === '.docx') {
-          const docxResult = await this.fileProcessingService.processDocx(fileInfo.path);
-          
-          // Subir imágenes si las hay
-          const imageUrls = {};
-          for (const image of docxResult.images) {
-            try {
-              const mediaResult = await this.wordpressService.uploadMedia(
-                image.path,
-                image.filename,
-                image.mimeType
-              );
-              imageUrls[image.originalPath] = mediaResult.url;
-            } catch (error) {
-              console.error('⚠️  Error al subir imagen:', error.message);
-            }
+        // Un reintento o un doble clic devuelve el comunicado ya creado en lugar de publicarlo dos veces
+        const contentHash = await this.duplicateDetectionService.hashFile(fileInfo.path);
+        const communiqueData = {
+          title,
+          description,
+          wp_user_id,
+          publishAt,
+          expiresAt,
+          audience: req.audience,
+          category: req.category,
+          tags: req.tags,
+          priority: req.priority,
+          fileType: fileInfo.fileType,
+          originalFilename: fileInfo.originalName,
+          idempotencyKey: req.idempotencyKey,
+          contentHash,
+        };
+        const { existing, created } = await this.duplicateDetectionService.guard(
+          { wpUserId: parseInt(wp_user_id), idempotencyKey: req.idempotencyKey, contentHash, force },
+          () => (runAsync
+            ? this.createUploadJob(communiqueData, fileInfo, attachmentsInfo)
+            : this.createCommunique({
+              ...communiqueData,
+              prepareContent: async (onStage, onUpload) => {
+                // Procesar archivo según su tipo
+                content = await this.processFileContent(fileInfo, onStage, onUpload);
+                return { content, attachments: await this.uploadAttachments(attachmentsInfo, onUpload) };
+              },
+            }))
+        );
+
+        if (existing) {
+          await this.cleanupUpload(fileInfo, null, attachmentsInfo);
+          return this.sendDuplicate(res, existing);
+        }
+
+        // Los archivos temporales quedan para el procesador, que los elimina al terminar
+        if (runAsync) {
+          return res.status(202).json({
+            success: true,
+            message: 'Comunicado recibido. Se está procesando en segundo plano; consulte el avance en status_url.',
+            data: {
+              job_id: created.jobId,
+              communique_id: created.communiqueId,
+              status: 'pending',
+              status_url: `/communiques/jobs/${created.jobId}`,
+              created_at: moment().tz('America/Caracas').format(),
+            },
+          });
+        }
+
+        // Limpiar archivos temporales
+        await this.cleanupUpload(fileInfo, content, attachmentsInfo);
+
+        res.json(this.buildUploadResult(created, fileInfo, attachmentsInfo));
+
+      } catch (error) {
+        // Limpiar archivos temporales en caso de error
+        if (fileInfo && fileInfo.path) {
+          try {
+            await this.cleanupUpload(fileInfo, content, attachmentsInfo);
+          } catch (cleanupError) {
+            console.error('⚠️  Error al limpiar archivo temporal:', cleanupError.message);
+          }
+        }
+        throw error;
+      }
+
+    } catch (error) {
+      console.error('❌ Error en uploadCommunique:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Redactar comunicado desde el formulario, sin archivo (cuerpo en Markdown o HTML)
+   */
+  async composeCommunique(req, res, next) {
+    try {
+      const { title, description, wp_user_id, body } = req.body;
+      const format = req.body.format || 'markdown';
+      const publishAt = req.publishAt || null;
+      const expiresAt = req.expiresAt || null;
+      const force = req.body.force === true || req.body.force === 'true';
+
+      console.log('✍️  Redactando comunicado:', {
+        title,
+        format,
+        length: body.length,
+        wp_user_id,
+        publish_at: publishAt ? publishAt.format() : null,
+        expires_at: expiresAt ? expiresAt.format() : null,
+      });
+
+      const rendered = this.fileProcessingService.renderComposedBody(body, format);
+      if (!rendered.text.trim() && !rendered.html.includes('<img')) {
+        return res.status(400).json({
+          success: false,
+          error: 'El cuerpo del comunicado está vacío',
+          code: 'EMPTY_BODY',
+        });
+      }
+
+      const fileType = format === 'html' ? 'html' : 'md';
+      const contentHash = this.duplicateDetectionService.hashText(`${format}\n${body}`);
+      const { existing, created } = await this.duplicateDetectionService.guard(
+        { wpUserId: parseInt(wp_user_id), idempotencyKey: req.idempotencyKey, contentHash, force },
+        async () => this.createCommunique({
+          title,
+          description,
+          wp_user_id,
+          publishAt,
+          expiresAt,
+          audience: req.audience,
+          category: req.category,
+          tags: req.tags,
+          priority: req.priority,
+          fileType,
+          originalFilename: null,
+          idempotencyKey: req.idempotencyKey,
+          contentHash,
+          prepareContent: async (onStage, onUpload) => ({
+            content: await this.processConvertedDocument(rendered, onUpload),
+            attachments: [],
+          }),
+        })
+      );
+
+      if (existing) {
+        return this.sendDuplicate(res, existing);
+      }
+
+      res.json({
+        success: true,
+        message: created.message,
+        data: {
+          ...created.data,
+          file_type: fileType,
+          created_at: moment().tz('America/Caracas').format(),
+        },
+      });
+    } catch (error) {
+      console.error('❌ Error en composeCommunique:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Registrar el comunicado y ejecutar su creación por pasos persistidos (media, post, cola, Telegram).
+   * prepareContent() procesa el documento y sube sus archivos; si algún paso falla se deshace lo creado.
+   * Devuelve el mensaje y los datos comunes de la respuesta.
+   */
+  async createCommunique({ prepareContent, ...communiqueData }) {
+    const communiqueId = await this.registerCommunique(communiqueData);
+    return this.completeCommunique(communiqueId, { prepareContent });
+  }
+
+  /**
+   * Registrar el comunicado y un trabajo de subida para terminarlo en segundo plano
+   */
+  async createUploadJob(communiqueData, fileInfo, attachmentsInfo) {
+    const communiqueId = await this.registerCommunique(communiqueData);
+
+    let jobId;
+    try {
+      jobId = await this.uploadJobService.createJob({
+        communiqueId,
+        wpUserId: parseInt(communiqueData.wp_user_id),
+        payload: { fileInfo, attachmentsInfo },
+      });
+    } catch (error) {
+      await this.rollbackAfterFailure(communiqueId, error);
+      throw error;
+    }
+
+    console.log(`📥 Comunicado ${communiqueId} recibido, trabajo de subida ${jobId} en cola`);
+    this.uploadJobService.wake();
+    return { communiqueId, jobId };
+  }
+
+  /**
+   * Insertar el registro del comunicado con sus pasos pendientes; devuelve su id
+   */
+  async registerCommunique({ title, description, wp_user_id, publishAt, expiresAt = null, audience = null, category = null, tags = [], priority = 'normal', fileType, originalFilename, idempotencyKey = null, contentHash = null }) {
+    // Con quórum configurado el comunicado queda en borrador hasta que la Junta lo apruebe
+    const approvalQuorum = await this.getApprovalQuorum();
+    const status = approvalQuorum > 0 ? 'draft' : (publishAt ? 'scheduled' : 'published');
+
+    // El registro se crea primero para que cada paso quede asociado y pueda revertirse
+    const connection = await getAppConnection();
+    const [result] = await connection.execute(
+      `INSERT INTO condo360_communiques 
+       (wp_user_id, title, description, original_filename, file_type,
+        category, tags, priority, audience, status, publish_at, expires_at, idempotency_key, content_hash, pipeline_state) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'processing')`,
+      [
+        parseInt(wp_user_id),
+        title,
+        description || null,
+        originalFilename,
+        fileType,
+        category,
+        tags.length > 0 ? tags.join(',') : null,
+        priority,
+        audience ? JSON.stringify(audience) : null,
+        status,
+        publishAt ? publishAt.toDate() : null,
+        expiresAt ? expiresAt.toDate() : null,
+        idempotencyKey,
+        contentHash,
+      ]
+    );
+
+    const communiqueId = result.insertId;
+    await this.uploadPipelineService.createSteps(communiqueId);
+    return communiqueId;
+  }
+
+  /**
+   * Ejecutar los pasos de un comunicado registrado; onStage(etapa) informa el avance.
+   * Devuelve el mensaje y los datos comunes de la respuesta.
+   */
+  async completeCommunique(communiqueId, { prepareContent, onStage }) {
+    let communique;
+    try {
+      communique = await this.runPipeline(communiqueId, { prepareContent, onStage });
+    } catch (error) {
+      // Ningún post a medio crear debe quedar público
+      console.error(`❌ Falló la creación del comunicado ${communiqueId}, revirtiendo pasos:`, error.message);
+      await this.rollbackAfterFailure(communiqueId, error);
+      throw error;
+    }
+
+    const { status, category, priority } = communique;
+    const publishAt = communique.publish_at ? moment(communique.publish_at) : null;
+    const approvalQuorum = status === 'draft' ? await this.getApprovalQuorum() : 0;
+
+    console.log('✅ Comunicado procesado exitosamente:', {
+      communiqueId,
+      wpPostId: communique.wp_post_id,
+      status,
+    });
+
+    const messages = {
+      draft: `Comunicado guardado como borrador. Se publicará cuando lo aprueben ${approvalQuorum} miembro(s) de la Junta.`,
+      scheduled: publishAt
+        ? `Comunicado programado para el ${publishAt.clone().tz('America/Caracas').format('DD/MM/YYYY [a las] h:mm A')}. Se publicará y notificará automáticamente.`
+        : null,
+      // Los comunicados redactados en el formulario no tienen archivo original
+      published: `Comunicado ${communique.original_filename ? 'subido' : 'redactado'} y publicado exitosamente. Las notificaciones por correo se enviarán de forma progresiva.`,
+    };
+
+    return {
+      message: messages[status],
+      data: {
+        communique_id: communiqueId,
+        wp_post_id: communique.wp_post_id,
+        wp_post_url: communique.wp_post_url,
+        status,
+        category,
+        tags: communique.tags ? communique.tags.split(',') : [],
+        priority,
+        publish_at: publishAt ? publishAt.clone().tz('America/Caracas').format() : null,
+        expires_at: communique.expires_at ? moment(communique.expires_at).tz('America/Caracas').format() : null,
+        audience: this.formatAudience(communique.audience ? JSON.parse(communique.audience) : null),
+        ...(status === 'draft' && { approvals: { count: 0, required: approvalQuorum } }),
+        queued_for_email: status !== 'draft',
+        batch_info: await this.emailQueueService.describeSchedule(priority),
+      },
+    };
+  }
+
+  /**
+   * Revertir una creación fallida sin ocultar el error original: si la compensación también falla
+   * se registra y la creación queda para revertirla desde /communiques/pipeline
+   */
+  async rollbackAfterFailure(communiqueId, error) {
+    try {
+      await this.uploadPipelineService.rollback(communiqueId, error.message);
+    } catch (rollbackError) {
+      console.error(`❌ No se pudo revertir la creación del comunicado ${communiqueId}:`, rollbackError.message);
+    }
+  }
+
+  /**
+   * Ejecutar los pasos pendientes de la creación de un comunicado. Al reanudar (sin prepareContent)
+   * los pasos posteriores a la media se reconstruyen desde el registro guardado.
+   */
+  async runPipeline(communiqueId, { prepareContent = null, onStage = async () => {} } = {}) {
+    const pipeline = this.uploadPipelineService;
+    const steps = await pipeline.getStepStates(communiqueId);
+    const connection = await getAppConnection();
+    const loadCommunique = async () => {
+      const [rows] = await connection.execute('SELECT * FROM condo360_communiques WHERE id = ?', [communiqueId]);
+      return rows[0];
+    };
+
+    // Archivos temporales de esta ejecución (solo existen durante la subida original)
+    let content = null;
+
+    if (steps.media !== 'done') {
+      if (!prepareContent) {
+        const error = new Error('El documento original ya no está disponible; solo se puede revertir');
+        error.code = 'PIPELINE_NOT_RESUMABLE';
+        throw error;
+      }
+
+      await pipeline.runStep(communiqueId, 'media', async (track) => {
+        // Cada archivo se registra apenas se sube, para poder eliminarlo si la conversión falla después
+        const mediaIds = [];
+        const onUpload = async (mediaId) => {
+          mediaIds.push(mediaId);
+          await track({ media_ids: [...mediaIds] });
+        };
+
+        const prepared = await prepareContent(onStage, onUpload);
+        content = prepared.content;
+
+        await connection.execute(
+          `UPDATE condo360_communiques
+           SET wp_media_id = ?, wp_media_url = ?, content_html = ?, document_text = ?,
+               thumbnail_media_id = ?, thumbnail_url = ?, updated_at = NOW()
+           WHERE id = ?`,
+          [
+            content.mediaData?.id || null,
+            content.mediaData?.url || null,
+            content.contentHtml,
+            content.documentText,
+            content.thumbnail?.id || null,
+            content.thumbnail?.url || null,
+            communiqueId,
+          ]
+        );
+        await this.recordMedia(communiqueId, content.uploadedMedia);
+        await this.saveAttachments(communiqueId, prepared.attachments);
+      });
+    }
+
+    let communique = await loadCommunique();
+
+    if (steps.post !== 'done') {
+      await onStage('publicando');
+      await pipeline.runStep(communiqueId, 'post', async (track) => {
+        const attachments = await this.communiqueQueryService.getAttachments(communiqueId);
+        const publishAt = communique.publish_at ? moment(communique.publish_at) : null;
+
+        const wpPostData = await this.wordpressService.createPost({
+          title: communique.title,
+          content: this.renderPostHtml({ ...communique, attachments }),
+          author: communique.wp_user_id,
+          featured_media: communique.thumbnail_media_id,
+          category: communique.category,
+          tags: communique.tags ? communique.tags.split(',') : [],
+          // Los urgentes quedan fijados al inicio del sitio
+          sticky: communique.priority === 'urgente',
+          // Los comunicados programados quedan como 'future' hasta que el programador los libere
+          ...(communique.status === 'draft' && { status: 'draft' }),
+          ...(communique.status === 'scheduled' && { status: 'future', date_gmt: publishAt.clone().utc().format('YYYY-MM-DDTHH:mm:ss') }),
+        });
+        await track({ post_id: wpPostData.id });
+
+        await connection.execute(
+          'UPDATE condo360_communiques SET wp_post_id = ?, wp_post_url = ?, updated_at = NOW() WHERE id = ?',
+          [wpPostData.id, wpPostData.url, communiqueId]
+        );
+      });
+      communique = await loadCommunique();
+    }
+
+    // Agregar a la cola de envío de correos (retenido hasta publish_at si es programado);
+    // los borradores se encolan al alcanzar el quórum de aprobación
+    if (communique.status === 'draft') {
+      await pipeline.skipStep(communiqueId, 'queue');
+    } else if (steps.queue !== 'done') {
+      await onStage('encolado');
+      await pipeline.runStep(communiqueId, 'queue', async (track) => {
+        console.log('📧 Agregando comunicado a la cola de envío...');
+        const queueId = await this.emailQueueService.queueCommunique({
+          communique_id: communiqueId,
+          title: communique.title,
+          description: communique.description,
+          wp_post_url: communique.wp_post_url,
+          image_url: communique.thumbnail_url,
+          priority: communique.priority,
+          held: communique.status === 'scheduled',
+        });
+        await track({ queue_id: queueId });
+      });
+    }
+
+    // Difundir en Telegram antes de eliminar los archivos temporales; al reanudar el PDF
+    // se envía desde la biblioteca de medios. Los programados y borradores se difunden al publicarse
+    if (communique.status !== 'published') {
+      await pipeline.skipStep(communiqueId, 'telegram');
+    } else if (steps.telegram !== 'done') {
+      await pipeline.runStep(communiqueId, 'telegram', async () => {
+        await this.telegramService.broadcastCommunique({
+          communique_id: communiqueId,
+          title: communique.title,
+          description: communique.description,
+          wp_post_url: communique.wp_post_url,
+          document: content
+            ? content.document
+            : (communique.file_type === 'pdf' && communique.wp_media_url
+              ? { path: communique.wp_media_url, filename: communique.original_filename }
+              : null),
+          images: content?.images || [],
+        });
+      });
+    }
+
+    // Primera revisión del historial: lo que se publicó al crear el comunicado
+    try {
+      if (!(await this.revisionService.getLatest(communiqueId))) {
+        const attachments = await this.communiqueQueryService.getAttachments(communiqueId);
+        await this.revisionService.record(communique, {
+          renderedHtml: this.renderPostHtml({ ...communique, attachments }),
+          fileHash: communique.content_hash,
+          editorWpUserId: communique.wp_user_id,
+          changeType: 'created',
+          attachments,
+        });
+      }
+    } catch (error) {
+      console.error(`⚠️  No se pudo guardar la revisión inicial del comunicado ${communiqueId}:`, error.message);
+    }
+
+    await pipeline.setState(communiqueId, 'completed');
+    return communique;
+  }
+
+  /**
+   * Respuesta de una subida terminada: datos comunes más el archivo y sus anexos
+   */
+  buildUploadResult(created, fileInfo, attachmentsInfo) {
+    return {
+      success: true,
+      message: created.message,
+      data: {
+        ...created.data,
+        file_type: fileInfo.fileType,
+        attachments: attachmentsInfo.map((attachment, index) => ({
+          position: index + 1,
+          original_filename: attachment.originalName,
+        })),
+        created_at: moment().tz('America/Caracas').format(),
+      },
+    };
+  }
+
+  /**
+   * Terminar en segundo plano una subida asíncrona, informando cada etapa en el trabajo
+   */
+  async processUploadJob(job) {
+    const { fileInfo, attachmentsInfo = [] } = job.payload;
+    let content = null;
+
+    try {
+      const created = await this.completeCommunique(job.communique_id, {
+        onStage: stage => this.uploadJobService.setStage(job.id, stage),
+        prepareContent: async (onStage, onUpload) => {
+          content = await this.processFileContent(fileInfo, onStage, onUpload);
+          return { content, attachments: await this.uploadAttachments(attachmentsInfo, onUpload) };
+        },
+      });
+
+      await this.uploadJobService.complete(job.id, this.buildUploadResult(created, fileInfo, attachmentsInfo));
+      console.log(`✅ Trabajo de subida ${job.id} completado`);
+    } catch (error) {
+      console.error(`❌ Falló el trabajo de subida ${job.id}:`, error.message);
+      await this.uploadJobService.fail(job.id, error);
+    } finally {
+      try {
+        await this.cleanupUpload(fileInfo, content, attachmentsInfo);
+      } catch (cleanupError) {
+        console.error('⚠️  Error al limpiar archivo temporal:', cleanupError.message);
+      }
+    }
+  }
+
+  /**
+   * Consultar el avance de una subida asíncrona
+   */
+  async getUploadJob(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const job = /^[0-9a-f-]{36}$/i.test(id) ? await this.uploadJobService.getJob(id) : null;
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Trabajo de subida no encontrado',
+          code: 'JOB_NOT_FOUND',
+        });
+      }
+
+      const { stages, progress } = this.uploadJobService.describeProgress(job);
+      const messages = {
+        pending: 'El comunicado está en cola para procesarse',
+        processing: stages.find(stage => stage.state === 'running')?.label || 'Procesando el comunicado',
+        completed: job.result?.message || 'Comunicado procesado',
+        failed: job.error_message,
+      };
+
+      res.json({
+        success: true,
+        message: messages[job.status],
+        data: {
+          job_id: job.id,
+          communique_id: job.communique_id,
+          status: job.status,
+          stage: job.stage,
+          stages,
+          progress,
+          result: job.result?.data || null,
+          error: job.status === 'failed' ? { message: job.error_message, code: job.error_code } : null,
+          created_at: moment(job.created_at).tz('America/Caracas').format(),
+          updated_at: moment(job.updated_at).tz('America/Caracas').format(),
+          completed_at: job.completed_at ? moment(job.completed_at).tz('America/Caracas').format() : null,
+        },
+      });
+    } catch (error) {
+      console.error('❌ Error en getUploadJob:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Responder con el comunicado ya existente en lugar de crear uno repetido
+   */
+  async sendDuplicate(res, match) {
+    const existing = await this.communiqueQueryService.getCommuniqueById(match.id);
+    console.log(`♻️  Subida repetida (${match.matchedBy}), se devuelve el comunicado ${match.id}`);
+
+    // Si el original sigue procesándose en segundo plano, el cliente sigue su trabajo
+    const job = existing.pipeline_state === 'processing'
+      ? await this.uploadJobService.getJobForCommunique(existing.id)
+      : null;
+
+    res.json({
+      success: true,
+      message: 'Este comunicado ya se había subido. Se devuelve el existente sin volver a publicarlo ni notificarlo.',
+      data: {
+        communique_id: existing.id,
+        wp_post_id: existing.wp_post_id,
+        wp_post_url: existing.wp_post_url,
+        status: existing.status,
+        file_type: existing.file_type,
+        category: existing.category,
+        tags: existing.tags,
+        priority: existing.priority,
+        publish_at: existing.publish_at,
+        expires_at: existing.expires_at,
+        created_at: existing.created_at,
+        duplicate: true,
+        matched_by: match.matchedBy,
+        ...(job && { job_id: job.id, status_url: `/communiques/jobs/${job.id}` }),
+      },
+    });
+  }
+
+  /**
+   * Editar un comunicado ya publicado
+   */
+  async updateCommunique(req, res, next) {
+    const fileInfo = req.fileInfo;
+    const attachmentsInfo = req.attachmentsInfo || null;
+    let content = null;
+
+    try {
+      const { id } = req.params;
+      const { title, description, correction_note } = req.body;
+      const editorWpUserId = parseInt(req.body.wp_user_id);
+      const notify = req.body.notify === true || req.body.notify === 'true';
+      const requestsCorrection = req.body.correction_banner === true
+        || req.body.correction_banner === 'true'
+        || !!correction_note;
+      const clearsCorrection = req.body.correction_banner === false || req.body.correction_banner === 'false';
+
+      const connection = await getAppConnection();
+      const [rows] = await connection.execute('SELECT * FROM condo360_communiques WHERE id = ?', [id]);
+
+      if (rows.length === 0) {
+        await this.cleanupUpload(fileInfo, null, attachmentsInfo);
+        return res.status(404).json({
+          success: false,
+          error: 'Comunicado no encontrado',
+          code: 'COMMUNIQUE_NOT_FOUND',
+        });
+      }
+
+      const current = rows[0];
+
+      if (current.pipeline_state !== 'completed') {
+        await this.cleanupUpload(fileInfo, null, attachmentsInfo);
+        return res.status(409).json({
+          success: false,
+          error: 'La creación del comunicado no terminó. Reanúdela o reviértala desde /communiques/pipeline',
+          code: 'PIPELINE_INCOMPLETE',
+        });
+      }
+
+      if (['retracted', 'deleted'].includes(current.status)) {
+        await this.cleanupUpload(fileInfo, null, attachmentsInfo);
+        return res.status(409).json({
+          success: false,
+          error: 'No se puede editar un comunicado anulado',
+          code: 'COMMUNIQUE_RETRACTED',
+        });
+      }
+
+      if (req.expiresAt && current.publish_at && !req.expiresAt.isAfter(moment(current.publish_at))) {
+        await this.cleanupUpload(fileInfo, null, attachmentsInfo);
+        return res.status(400).json({
+          success: false,
+          error: 'La fecha de vencimiento debe ser posterior a la de publicación',
+          code: 'EXPIRES_BEFORE_PUBLISH',
+        });
+      }
+
+      // Un archivado con un vencimiento nuevo (o sin vencimiento) vuelve a publicarse
+      const unarchive = current.status === 'archived' && req.expiresAt !== undefined;
+      const archived = current.status === 'archived' && !unarchive;
+
+      const updated = {
+        ...current,
+        title: title !== undefined ? title.trim() : current.title,
+        description: description !== undefined ? (description || null) : current.description,
+        category: req.category !== undefined ? req.category : current.category,
+        tags: req.tags !== undefined ? req.tags.join(',') || null : current.tags,
+        priority: req.priority !== undefined ? req.priority : current.priority,
+        expires_at: req.expiresAt !== undefined ? (req.expiresAt ? req.expiresAt.toDate() : null) : current.expires_at,
+        status: unarchive ? 'published' : current.status,
+      };
+
+      console.log('✏️  Editando comunicado:', {
+        id,
+        title: updated.title,
+        replacesFile: !!fileInfo,
+        replacesAttachments: !!attachmentsInfo,
+        unarchive,
+        notify,
+      });
+
+      // La revisión guarda el hash del archivo vigente; sin reemplazo se conserva el anterior
+      const latestRevision = await this.revisionService.getLatest(current.id);
+      let fileHash = latestRevision ? latestRevision.file_hash : current.content_hash;
+
+      // El aviso de corrección ya publicado se conserva en las ediciones siguientes hasta que se quite
+      // con correction_banner=false; una nota nueva reemplaza la anterior
+      let correctionNote = null;
+      if (requestsCorrection) {
+        correctionNote = correction_note || '';
+      } else if (!clearsCorrection) {
+        correctionNote = latestRevision?.correction_note ?? null;
+      }
+      const showCorrection = correctionNote !== null;
+
+      if (fileInfo) {
+        fileHash = await this.duplicateDetectionService.hashFile(fileInfo.path);
+        content = await this.processFileContent(fileInfo);
+        updated.file_type = fileInfo.fileType;
+        updated.original_filename = fileInfo.originalName;
+        updated.content_html = content.contentHtml;
+        updated.wp_media_id = content.mediaData?.id || null;
+        updated.wp_media_url = content.mediaData?.url || null;
+        updated.document_text = content.documentText;
+        updated.thumbnail_media_id = content.thumbnail?.id || null;
+        updated.thumbnail_url = content.thumbnail?.url || null;
+      }
+
+      // Los anexos enviados reemplazan la lista anterior completa
+      const newAttachments = attachmentsInfo ? await this.uploadAttachments(attachmentsInfo) : null;
+      updated.attachments = newAttachments || await this.communiqueQueryService.getAttachments(current.id);
+
+      // Los comunicados anteriores a esta versión no guardan el contenido procesado
+      const canRender = updated.file_type === 'pdf' ? !!updated.wp_media_url : updated.content_html !== null;
+      // Mientras siga archivado el post conserva la categoría de archivo y no se fija
+      const postUpdate = {
+        title: updated.title,
+        ...(req.category !== undefined && !archived && { category: req.category }),
+        ...(req.tags !== undefined && { tags: req.tags }),
+        ...(req.priority !== undefined && !archived && { sticky: req.priority === 'urgente' }),
+        ...(unarchive && { status: 'publish', category: updated.category, sticky: updated.priority === 'urgente' }),
+      };
+
+      if (canRender) {
+        postUpdate.content = this.renderPostHtml(
+          updated,
+          showCorrection ? { correctionNote } : {}
+        );
+      } else {
+        console.log(`⚠️  Comunicado ${id} sin contenido guardado, solo se actualizará el título en WordPress`);
+      }
+
+      // Un archivo de reemplazo sin miniatura (DOCX) quita la imagen destacada anterior
+      if (content) {
+        postUpdate.featured_media = content.thumbnail?.id || 0;
+      }
+
+      const wpPostData = await this.wordpressService.updatePost(current.wp_post_id, postUpdate);
+
+      await connection.execute(
+        `UPDATE condo360_communiques
+         SET title = ?, description = ?, original_filename = ?, file_type = ?,
+             wp_post_url = ?, wp_media_id = ?, wp_media_url = ?, content_html = ?, document_text = ?,
+             thumbnail_media_id = ?, thumbnail_url = ?, category = ?, tags = ?, priority = ?,
+             expires_at = ?, status = ?, archived_at = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [
+          updated.title,
+          updated.description,
+          updated.original_filename,
+          updated.file_type,
+          wpPostData.url,
+          updated.wp_media_id,
+          updated.wp_media_url,
+          updated.content_html,
+          updated.document_text,
+          updated.thumbnail_media_id,
+          updated.thumbnail_url,
+          updated.category,
+          updated.tags,
+          updated.priority,
+          updated.expires_at,
+          updated.status,
+          unarchive ? null : current.archived_at,
+          id,
+        ]
+      );
+
+      if (content) {
+        await this.recordMedia(current.id, content.uploadedMedia);
+      }
+
+      if (newAttachments) {
+        await connection.execute('DELETE FROM condo360_communique_attachments WHERE communique_id = ?', [id]);
+        await this.saveAttachments(current.id, newAttachments);
+      }
+
+      const revision = await this.revisionService.record(updated, {
+        renderedHtml: postUpdate.content,
+        fileHash,
+        editorWpUserId,
+        changeType: 'edited',
+        attachments: updated.attachments,
+        correctionNote,
+      });
+
+      // Editar un borrador o un rechazado lo somete de nuevo a aprobación desde cero
+      const pendingApproval = ['draft', 'rejected'].includes(current.status);
+      if (pendingApproval) {
+        await connection.execute('DELETE FROM condo360_communique_approvals WHERE communique_id = ?', [id]);
+        await connection.execute(
+          `UPDATE condo360_communiques SET status = 'draft', updated_at = NOW() WHERE id = ?`,
+          [id]
+        );
+      }
+
+      // Un programado aún no se envió: su correo retenido debe salir con los datos editados.
+      // Con otra categoría o prioridad cambian los destinatarios, así que se vuelve a encolar
+      const scheduled = current.status === 'scheduled';
+      if (scheduled) {
+        const heldData = {
+          communique_id: current.id,
+          title: updated.title,
+          description: updated.description,
+          image_url: updated.thumbnail_url,
+          priority: updated.priority,
+        };
+
+        if (updated.category !== current.category || updated.priority !== current.priority) {
+          await this.emailQueueService.cancelCommunique(current.id, 'Comunicado programado editado: se volvió a encolar');
+          await this.emailQueueService.queueCommunique({ ...heldData, wp_post_url: wpPostData.url, held: true });
+        } else {
+          await this.emailQueueService.updateHeldCommunique(current.id, heldData);
+        }
+      }
+
+      // Volver a notificar solo si se pidió explícitamente; borradores y programados se notifican al publicarse
+      if (notify && !pendingApproval && !scheduled) {
+        console.log('📧 Reenviando notificación del comunicado editado...');
+        const notificationData = {
+          communique_id: current.id,
+          title: `Actualización: ${updated.title}`,
+          description: updated.description,
+          wp_post_url: wpPostData.url,
+          image_url: updated.thumbnail_url,
+          priority: updated.priority,
+        };
+
+        await this.emailQueueService.queueCommunique(notificationData);
+        await this.telegramService.broadcastCommunique({
+          ...notificationData,
+          document: content?.document,
+          images: content?.images,
+        });
+      }
+
+      await this.cleanupUpload(fileInfo, content, attachmentsInfo);
+
+      console.log('✅ Comunicado editado exitosamente:', { id, wpPostId: current.wp_post_id });
+
+      res.json({
+        success: true,
+        message: pendingApproval
+          ? 'Borrador actualizado. Las aprobaciones anteriores se descartaron y debe aprobarse nuevamente.'
+          : unarchive
+            ? 'Comunicado actualizado y publicado nuevamente (ya no está archivado).'
+            : scheduled
+            ? 'Comunicado programado actualizado. Se notificará con los datos editados al publicarse.'
+            : notify
+            ? 'Comunicado actualizado. Se notificará nuevamente a los residentes.'
+            : 'Comunicado actualizado sin notificar a los residentes.',
+        data: {
+          communique_id: current.id,
+          wp_post_id: current.wp_post_id,
+          wp_post_url: wpPostData.url,
+          file_type: updated.file_type,
+          priority: updated.priority,
+          attachments: updated.attachments.map(attachment => ({
+            position: attachment.position,
+            original_filename: attachment.original_filename,
+            wp_media_url: attachment.wp_media_url,
+          })),
+          status: pendingApproval ? 'draft' : updated.status,
+          expires_at: updated.expires_at ? moment(updated.expires_at).tz('America/Caracas').format() : null,
+          correction_banner: showCorrection,
+          notified: notify && !pendingApproval && !scheduled,
+          revision,
+          updated_at: moment().tz('America/Caracas').format(),
+        },
+      });
+
+    } catch (error) {
+      await this.cleanupUpload(fileInfo, content, attachmentsInfo);
+      console.error('❌ Error en updateCommunique:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Dar formato a una revisión para la API
+   */
+  formatRevision(revision) {
+    return {
+      ...revision,
+      tags: revision.tags ? revision.tags.split(',') : [],
+      created_at: moment(revision.created_at).tz('America/Caracas').format(),
+    };
+  }
+
+  /**
+   * Verificar que el comunicado existe; responde 404 y devuelve null si no
+   */
+  async findCommuniqueOr404(id, res) {
+    const connection = await getAppConnection();
+    const [rows] = await connection.execute('SELECT * FROM condo360_communiques WHERE id = ?', [id]);
+
+    if (rows.length === 0) {
+      res.status(404).json({
+        success: false,
+        error: 'Comunicado no encontrado',
+        code: 'COMMUNIQUE_NOT_FOUND',
+      });
+      return null;
+    }
+    return rows[0];
+  }
+
+  /**
+   * Listar el historial de revisiones de un comunicado
+   */
+  async getRevisions(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const communique = await this.findCommuniqueOr404(id, res);
+      if (!communique) {
+        return;
+      }
+
+      const revisions = await this.revisionService.list(communique.id);
+
+      res.json({
+        success: true,
+        data: {
+          communique_id: communique.id,
+          revisions: revisions.map(revision => this.formatRevision(revision)),
+        },
+      });
+    } catch (error) {
+      console.error('❌ Error en getRevisions:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener una revisión con el HTML que se publicó
+   */
+  async getRevision(req, res, next) {
+    try {
+      const { id, revision } = req.params;
+
+      const communique = await this.findCommuniqueOr404(id, res);
+      if (!communique) {
+        return;
+      }
+
+      const found = await this.revisionService.get(communique.id, parseInt(revision));
+      if (!found) {
+        return res.status(404).json({
+          success: false,
+          error: 'Revisión no encontrada',
+          code: 'REVISION_NOT_FOUND',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: this.formatRevision(found),
+      });
+    } catch (error) {
+      console.error('❌ Error en getRevision:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Comparar dos revisiones de un comunicado (?from=1&to=3)
+   */
+  async diffRevisions(req, res, next) {
+    try {
+      const { id } = req.params;
+      const from = parseInt(req.query.from);
+      const to = parseInt(req.query.to);
+
+      if (!from || !to) {
+        return res.status(400).json({
+          success: false,
+          error: 'Indique las revisiones a comparar con from y to',
+          code: 'INVALID_REVISION_RANGE',
+        });
+      }
+
+      const communique = await this.findCommuniqueOr404(id, res);
+      if (!communique) {
+        return;
+      }
+
+      const fromRevision = await this.revisionService.get(communique.id, from);
+      const toRevision = await this.revisionService.get(communique.id, to);
+      if (!fromRevision || !toRevision) {
+        return res.status(404).json({
+          success: false,
+          error: `Revisión no encontrada: ${!fromRevision ? from : to}`,
+          code: 'REVISION_NOT_FOUND',
+        });
+      }
+
+      const summary = ({ rendered_html, content_html, document_text, attachments, ...revision }) => this.formatRevision(revision);
+
+      res.json({
+        success: true,
+        data: {
+          communique_id: communique.id,
+          from: summary(fromRevision),
+          to: summary(toRevision),
+          ...this.revisionService.diff(fromRevision, toRevision),
+        },
+      });
+    } catch (error) {
+      console.error('❌ Error en diffRevisions:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Restaurar una revisión anterior: vuelve a publicar en WordPress el contenido de esa revisión
+   * y la registra como una revisión nueva (el historial nunca se reescribe)
+   */
+  async restoreRevision(req, res, next) {
+    try {
+      const { id, revision } = req.params;
+      const editorWpUserId = parseInt(req.body.wp_user_id);
+
+      if (!editorWpUserId) {
+        return res.status(400).json({
+          success: false,
+          error: 'El ID de usuario de WordPress es obligatorio',
+          code: 'MISSING_WP_USER_ID',
+        });
+      }
+
+      const current = await this.findCommuniqueOr404(id, res);
+      if (!current) {
+        return;
+      }
+
+      if (current.pipeline_state !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          error: 'La creación del comunicado no terminó. Reanúdela o reviértala desde /communiques/pipeline',
+          code: 'PIPELINE_INCOMPLETE',
+        });
+      }
+
+      if (['retracted', 'deleted'].includes(current.status)) {
+        return res.status(409).json({
+          success: false,
+          error: 'No se puede restaurar un comunicado anulado',
+          code: 'COMMUNIQUE_RETRACTED',
+        });
+      }
+
+      const target = await this.revisionService.get(current.id, parseInt(revision));
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          error: 'Revisión no encontrada',
+          code: 'REVISION_NOT_FOUND',
+        });
+      }
+
+      const restored = {
+        ...current,
+        title: target.title,
+        description: target.description,
+        original_filename: target.original_filename,
+        file_type: target.file_type,
+        content_html: target.content_html,
+        document_text: target.document_text,
+        wp_media_id: target.wp_media_id,
+        wp_media_url: target.wp_media_url,
+        thumbnail_media_id: target.thumbnail_media_id,
+        thumbnail_url: target.thumbnail_url,
+        category: target.category,
+        tags: target.tags,
+        priority: target.priority,
+      };
+
+      // Las revisiones anteriores al historial no guardan sus anexos: se conservan los actuales
+      restored.attachments = target.attachments || await this.communiqueQueryService.getAttachments(current.id);
+
+      // Se publica exactamente el HTML que vieron los residentes; si no se guardó, se vuelve a generar.
+      // Con nota de corrección se regenera para que la nota se publique escapada
+      const canRender = restored.file_type === 'pdf' ? !!restored.wp_media_url : restored.content_html !== null;
+      const renderedHtml = canRender && target.correction_note
+        ? this.renderPostHtml(restored, { correctionNote: target.correction_note })
+        : target.rendered_html || (canRender ? this.renderPostHtml(restored) : null);
+
+      console.log(`⏪ Restaurando revisión ${target.revision} del comunicado ${id}`);
+
+      // Un archivado conserva la categoría de archivo y sigue sin fijar
+      const archived = current.status === 'archived';
+      const wpPostData = await this.wordpressService.updatePost(current.wp_post_id, {
+        title: restored.title,
+        ...(renderedHtml && { content: renderedHtml }),
+        featured_media: restored.thumbnail_media_id || 0,
+        ...(!archived && { category: restored.category }),
+        tags: restored.tags ? restored.tags.split(',') : [],
+        ...(!archived && { sticky: restored.priority === 'urgente' }),
+      });
+
+      const connection = await getAppConnection();
+      await connection.execute(
+        `UPDATE condo360_communiques
+         SET title = ?, description = ?, original_filename = ?, file_type = ?,
+             wp_post_url = ?, wp_media_id = ?, wp_media_url = ?, content_html = ?, document_text = ?,
+             thumbnail_media_id = ?, thumbnail_url = ?, category = ?, tags = ?, priority = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [
+          restored.title,
+          restored.description,
+          restored.original_filename,
+          restored.file_type,
+          wpPostData.url,
+          restored.wp_media_id,
+          restored.wp_media_url,
+          restored.content_html,
+          restored.document_text,
+          restored.thumbnail_media_id,
+          restored.thumbnail_url,
+          restored.category,
+          restored.tags,
+          restored.priority,
+          current.id,
+        ]
+      );
+
+      if (target.attachments) {
+        await connection.execute('DELETE FROM condo360_communique_attachments WHERE communique_id = ?', [current.id]);
+        await this.saveAttachments(current.id, target.attachments, { recordAsMedia: false });
+      }
+
+      // Igual que una edición, restaurar un borrador o un rechazado lo somete de nuevo a aprobación
+      const pendingApproval = ['draft', 'rejected'].includes(current.status);
+      if (pendingApproval) {
+        await connection.execute('DELETE FROM condo360_communique_approvals WHERE communique_id = ?', [current.id]);
+        await connection.execute(
+          `UPDATE condo360_communiques SET status = 'draft', updated_at = NOW() WHERE id = ?`,
+          [current.id]
+        );
+      }
+
+      const newRevision = await this.revisionService.record(restored, {
+        renderedHtml,
+        fileHash: target.file_hash,
+        editorWpUserId,
+        changeType: 'restored',
+        attachments: restored.attachments,
+        restoredFrom: target.revision,
+        correctionNote: target.correction_note,
+      });
+
+      res.json({
+        success: true,
+        message: `Revisión ${target.revision} restaurada y publicada en WordPress sin notificar a los residentes.`,
+        data: {
+          communique_id: current.id,
+          wp_post_id: current.wp_post_id,
+          wp_post_url: wpPostData.url,
+          restored_from: target.revision,
+          revision: newRevision,
+          status: pendingApproval ? 'draft' : current.status,
+          updated_at: moment().tz('America/Caracas').format(),
+        },
+      });
+    } catch (error) {
+      console.error('❌ Error en restoreRevision:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Retirar (papelera) o eliminar definitivamente un comunicado publicado
+   */
+  async deleteCommunique(req, res, next) {
+    try {
+      const { id } = req.params;
+      const mode = req.query.mode || req.body?.mode || 'retract';
+      const notifyValue = req.query.notify ?? req.body?.notify;
+      const notify = notifyValue === true || notifyValue === 'true';
+      const reason = req.body?.reason || null;
+
+      if (!['retract', 'delete'].includes(mode)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Modo inválido. Use "retract" (papelera) o "delete" (eliminación definitiva)',
+          code: 'INVALID_DELETE_MODE',
+        });
+      }
+
+      const connection = await getAppConnection();
+      const [rows] = await connection.execute('SELECT * FROM condo360_communiques WHERE id = ?', [id]);
+
+      if (rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Comunicado no encontrado',
+          code: 'COMMUNIQUE_NOT_FOUND',
+        });
+      }
+
+      const communique = rows[0];
+
+      if (communique.pipeline_state !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          error: 'La creación del comunicado no terminó. Reanúdela o reviértala desde /communiques/pipeline',
+          code: 'PIPELINE_INCOMPLETE',
+        });
+      }
+
+      if (communique.status === 'deleted' || (communique.status === 'retracted' && mode === 'retract')) {
+        return res.status(409).json({
+          success: false,
+          error: 'El comunicado ya fue anulado',
+          code: 'COMMUNIQUE_ALREADY_RETRACTED',
+        });
+      }
+
+      console.log('🗑️  Anulando comunicado:', { id, mode, notify });
+
+      // Detener primero los envíos pendientes para que nadie más lo reciba
+      const queueCancelled = await this.emailQueueService.cancelCommunique(communique.id);
+
+      const hardDelete = mode === 'delete';
+      if (communique.wp_post_id) {
+        await this.wordpressService.deletePost(communique.wp_post_id, hardDelete);
+      }
+
+      // En modo definitivo se eliminan también los archivos subidos a la biblioteca de medios
+      let mediaDeleted = 0;
+      if (hardDelete) {
+        const [mediaRows] = await connection.execute(
+          'SELECT wp_media_id FROM condo360_communique_media WHERE communique_id = ?',
+          [id]
+        );
+        const mediaIds = new Set(mediaRows.map(row => row.wp_media_id));
+        if (communique.wp_media_id) {
+          mediaIds.add(communique.wp_media_id);
+        }
+
+        for (const mediaId of mediaIds) {
+          try {
+            await this.wordpressService.deleteMedia(mediaId);
+            mediaDeleted++;
+          } catch (error) {
+            console.error(`⚠️  Error al eliminar media ${mediaId}:`, error.message);
+          }
+        }
+      }
+
+      await connection.execute(
+        'UPDATE condo360_communiques SET status = ?, updated_at = NOW() WHERE id = ?',
+        [hardDelete ? 'deleted' : 'retracted', id]
+      );
+
+      // Aviso de anulación solo a quienes ya recibieron el comunicado;
+      // los borradores nunca se difundieron
+      let followUpRecipients = 0;
+      if (notify && !['draft', 'rejected'].includes(communique.status)) {
+        const [sentRows] = await connection.execute(
+          `SELECT COUNT(DISTINCT email) as total
+           FROM condo360_communiques_notifications
+           WHERE communique_id = ? AND status = 'sent'`,
+          [id]
+        );
+        followUpRecipients = sentRows[0].total;
+
+        if (followUpRecipients > 0) {
+          await this.emailQueueService.queueCommunique({
+            communique_id: communique.id,
+            title: communique.title,
+            description: reason,
+            wp_post_url: null,
+            kind: 'retraction',
+            priority: communique.priority,
+          });
+        }
+
+        await this.telegramService.announceRetraction({
+          communique_id: communique.id,
+          title: communique.title,
+          reason,
+        });
+      }
+
+      console.log('✅ Comunicado anulado:', { id, mode, mediaDeleted, followUpRecipients });
+
+      res.json({
+        success: true,
+        message: hardDelete
+          ? 'Comunicado eliminado definitivamente de WordPress.'
+          : 'Comunicado retirado y enviado a la papelera de WordPress.',
+        data: {
+          communique_id: communique.id,
+          mode,
+          status: hardDelete ? 'deleted' : 'retracted',
+          queue_cancelled: queueCancelled,
+          media_deleted: mediaDeleted,
+          follow_up_queued: followUpRecipients > 0,
+          follow_up_recipients: followUpRecipients,
+        },
+      });
+
+    } catch (error) {
+      console.error('❌ Error en deleteCommunique:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Aprobar un comunicado en borrador; al alcanzar el quórum se publica
+   */
+  async approveCommunique(req, res, next) {
+    return this.reviewCommunique(req, res, next, 'approved');
+  }
+
+  /**
+   * Rechazar un comunicado en borrador
+   */
+  async rejectCommunique(req, res, next) {
+    return this.reviewCommunique(req, res, next, 'rejected');
+  }
+
+  /**
+   * Registrar la decisión de un miembro de la Junta sobre un borrador
+   */
+  async reviewCommunique(req, res, next, decision) {
+    try {
+      const { id } = req.params;
+      const { wp_user_id, comment } = req.body || {};
+      const userId = parseInt(wp_user_id);
+
+      if (!wp_user_id || isNaN(userId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'El ID de usuario de WordPress es obligatorio',
+          code: 'MISSING_WP_USER_ID',
+        });
+      }
+
+      if (decision === 'rejected' && (!comment || comment.trim().length === 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Indique el motivo del rechazo',
+          code: 'MISSING_REJECTION_COMMENT',
+        });
+      }
+
+      const connection = await getAppConnection();
+      const [rows] = await connection.execute('SELECT * FROM condo360_communiques WHERE id = ?', [id]);
+
+      if (rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Comunicado no encontrado',
+          code: 'COMMUNIQUE_NOT_FOUND',
+        });
+      }
+
+      const communique = rows[0];
+
+      if (communique.pipeline_state !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          error: 'La creación del comunicado no terminó. Reanúdela o reviértala desde /communiques/pipeline',
+          code: 'PIPELINE_INCOMPLETE',
+        });
+      }
+
+      if (communique.status !== 'draft') {
+        return res.status(409).json({
+          success: false,
+          error: 'El comunicado no está pendiente de aprobación',
+          code: 'COMMUNIQUE_NOT_DRAFT',
+        });
+      }
+
+      // Quien subió el comunicado no cuenta para su propio quórum
+      if (decision === 'approved' && userId === Number(communique.wp_user_id)) {
+        return res.status(403).json({
+          success: false,
+          error: 'No puede aprobar un comunicado que usted mismo subió',
+          code: 'SELF_APPROVAL_NOT_ALLOWED',
+        });
+      }
+
+      const approvalRole = await getSetting('approval_role', 'junta');
+      if (!await userHasRole(userId, approvalRole)) {
+        return res.status(403).json({
+          success: false,
+          error: `Solo los usuarios con rol "${approvalRole}" pueden aprobar o rechazar comunicados`,
+          code: 'NOT_AN_APPROVER',
+        });
+      }
+
+      const [previous] = await connection.execute(
+        'SELECT decision FROM condo360_communique_approvals WHERE communique_id = ? AND wp_user_id = ?',
+        [id, userId]
+      );
+
+      if (previous.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Este usuario ya registró su decisión sobre el comunicado',
+          code: 'ALREADY_REVIEWED',
+        });
+      }
+
+      await connection.execute(
+        `INSERT INTO condo360_communique_approvals (communique_id, wp_user_id, decision, comment)
+         VALUES (?, ?, ?, ?)`,
+        [id, userId, decision, comment || null]
+      );
+
+      console.log(`🗳️  Comunicado ${id} ${decision === 'approved' ? 'aprobado' : 'rechazado'} por el usuario ${userId}`);
+
+      const approvalQuorum = await this.getApprovalQuorum();
+      const [countRows] = await connection.execute(
+        `SELECT COUNT(*) as total FROM condo360_communique_approvals
+         WHERE communique_id = ? AND decision = 'approved'`,
+        [id]
+      );
+      const approvals = { count: countRows[0].total, required: approvalQuorum };
+
+      let status = communique.status;
+      let wpPostUrl = communique.wp_post_url;
+
+      if (decision === 'rejected') {
+        // Un rechazo devuelve el comunicado a quien lo subió; el post queda como borrador en WordPress
+        await connection.execute(
+          `UPDATE condo360_communiques SET status = 'rejected', updated_at = NOW()
+           WHERE id = ? AND status = 'draft'`,
+          [id]
+        );
+        status = 'rejected';
+      } else if (approvals.count >= approvalQuorum) {
+        // Si publish_at ya pasó mientras se aprobaba, se publica de inmediato
+        const wpPostData = communique.publish_at && moment(communique.publish_at).isAfter(moment())
+          ? await this.publicationService.schedule(communique, 'draft')
+          : await this.publicationService.publish(communique, 'draft');
+
+        if (wpPostData) {
+          status = wpPostData.status === 'future' ? 'scheduled' : 'published';
+          wpPostUrl = wpPostData.url;
+        }
+      }
+
+      const messages = {
+        draft: `Aprobación registrada (${approvals.count} de ${approvals.required}).`,
+        rejected: 'Comunicado rechazado. No se publicará.',
+        scheduled: 'Quórum alcanzado. El comunicado se publicará en la fecha programada.',
+        published: 'Quórum alcanzado. Comunicado publicado; las notificaciones se enviarán de forma progresiva.',
+      };
+
+      res.json({
+        success: true,
+        message: messages[status],
+        data: {
+          communique_id: communique.id,
+          decision,
+          status,
+          approvals,
+          wp_post_url: wpPostUrl,
+          publish_at: communique.publish_at ? moment(communique.publish_at).tz('America/Caracas').format() : null,
+        },
+      });
+
+    } catch (error) {
+      console.error('❌ Error en reviewCommunique:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Verificar que el usuario tenga el rol de administración (admin_role); responde el error si no
+   */
+  async ensureAdmin(wpUserId, res, action = 'gestionar creaciones de comunicados') {
+    const userId = parseInt(wpUserId);
+    if (!wpUserId || isNaN(userId)) {
+      res.status(400).json({
+        success: false,
+        error: 'El ID de usuario de WordPress es obligatorio',
+        code: 'MISSING_WP_USER_ID',
+      });
+      return false;
+    }
+
+    const adminRole = await getSetting('admin_role', 'administrator');
+    if (!await userHasRole(userId, adminRole)) {
+      res.status(403).json({
+        success: false,
+        error: `Solo los usuarios con rol "${adminRole}" pueden ${action}`,
+        code: 'NOT_AN_ADMIN',
+      });
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Formatear una creación de comunicado con sus pasos para las respuestas de administración
+   */
+  formatPipeline(communique, steps) {
+    const format = date => (date ? moment(date).tz('America/Caracas').format() : null);
+
+    return {
+      communique_id: communique.id,
+      title: communique.title,
+      status: communique.status,
+      wp_post_id: communique.wp_post_id,
+      wp_post_url: communique.wp_post_url,
+      pipeline_state: communique.pipeline_state,
+      pipeline_error: communique.pipeline_error,
+      created_at: format(communique.created_at),
+      updated_at: format(communique.updated_at),
+      steps: steps.map(step => ({
+        step: step.step,
+        state: step.state,
+        resource: step.resource,
+        error_message: step.error_message,
+        updated_at: format(step.updated_at),
+      })),
+    };
+  }
+
+  /**
+   * Listar creaciones de comunicados fallidas o atascadas (administración)
+   */
+  async getStuckPipelines(req, res, next) {
+    try {
+      if (!await this.ensureAdmin(req.query.wp_user_id, res)) {
+        return;
+      }
+
+      const stuck = await this.uploadPipelineService.listStuck();
+
+      res.json({
+        success: true,
+        data: {
+          communiques: stuck.map(communique => this.formatPipeline(communique, communique.steps)),
+          total: stuck.length,
+        },
+      });
+    } catch (error) {
+      console.error('❌ Error en getStuckPipelines:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Reanudar una creación fallida o atascada desde el primer paso sin terminar (administración)
+   */
+  async resumePipeline(req, res, next) {
+    return this.recoverPipeline(req, res, next, 'resume');
+  }
+
+  /**
+   * Revertir una creación fallida o atascada: elimina post y media y cancela la cola (administración)
+   */
+  async rollbackPipeline(req, res, next) {
+    return this.recoverPipeline(req, res, next, 'rollback');
+  }
+
+  /**
+   * Reanudar o revertir una creación que no terminó
+   */
+  async recoverPipeline(req, res, next, action) {
+    try {
+      const { id } = req.params;
+
+      if (!await this.ensureAdmin(req.body?.wp_user_id, res)) {
+        return;
+      }
+
+      const connection = await getAppConnection();
+      const [rows] = await connection.execute('SELECT id FROM condo360_communiques WHERE id = ?', [id]);
+
+      if (rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Comunicado no encontrado',
+          code: 'COMMUNIQUE_NOT_FOUND',
+        });
+      }
+
+      // Solo se toma si falló o lleva tiempo sin avanzar; evita competir con una subida en curso
+      if (!await this.uploadPipelineService.claim(id)) {
+        return res.status(409).json({
+          success: false,
+          error: 'La creación del comunicado terminó o todavía está en curso',
+          code: 'PIPELINE_NOT_STUCK',
+        });
+      }
+
+      console.log(`🛠️  ${action === 'resume' ? 'Reanudando' : 'Revirtiendo'} la creación del comunicado ${id}`);
+
+      let rolledBack = true;
+      if (action === 'resume') {
+        try {
+          await this.runPipeline(parseInt(id));
+        } catch (error) {
+          await this.uploadPipelineService.setState(id, 'failed', error.message);
+
+          if (error.code === 'PIPELINE_NOT_RESUMABLE') {
+            return res.status(409).json({
+              success: false,
+              error: error.message,
+              code: error.code,
+            });
           }
+          throw error;
+        }
+      } else {
+        ({ rolledBack } = await this.uploadPipelineService.rollback(id, 'Revertido por un administrador'));
+      }
 
-          // Reemplazar URLs de imágenes en el HTML
-          let processedHtml = docxResult.html;
-          Object.entries(imageUrls).forEach(([originalPath, newUrl]) => {
-            processedHtml = processedHtml.replace(originalPath, newUrl);
-          });
+      const [updated] = await connection.execute('SELECT * FROM condo360_communiques WHERE id = ?', [id]);
+      const data = this.formatPipeline(updated[0], await this.uploadPipelineService.getSteps(id));
+
+      if (!rolledBack) {
+        return res.status(502).json({
+          success: false,
+          error: 'No se pudieron revertir todos los pasos. Intente de nuevo',
+          code: 'PIPELINE_ROLLBACK_INCOMPLETE',
+          data,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: action === 'resume'
+          ? 'Creación del comunicado reanudada y completada.'
+          : 'Creación del comunicado revertida: se eliminaron el post y los archivos y se canceló la cola.',
+        data,
+      });
+    } catch (error) {
+      console.error('❌ Error en recoverPipeline:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener el número de aprobaciones requeridas (0 desactiva el flujo de aprobación)
+   */
+  async getApprovalQuorum() {
+    const quorum = parseInt(await getSetting('approval_quorum', '0'));
+    return isNaN(quorum) || quorum < 0 ? 0 : quorum;
+  }
+
+  /**
+   * Procesar el archivo subido según su tipo: convertir a HTML o subir el PDF como media.
+   * onStage(etapa) informa cuándo termina la conversión y empiezan las subidas;
+   * onUpload(mediaId) recibe cada archivo subido a WordPress.
+   */
+  async processFileContent(fileInfo, onStage = async () => {}, onUpload = async () => {}) {
+    const converters = {
+      docx: path => this.fileProcessingService.processDocx(path),
+      odt: path => this.fileProcessingService.processOdt(path),
+      md: path => this.fileProcessingService.processMarkdown(path),
+      txt: path => this.fileProcessingService.processText(path),
+    };
+
+    await onStage('convirtiendo');
+    const convert = converters[fileInfo.fileType];
+    if (convert) {
+      const documentResult = await convert(fileInfo.path);
+      await onStage('subiendo_imagenes');
+      return this.processConvertedDocument(documentResult, onUpload);
+    }
+
+    await onStage('subiendo_imagenes');
+    switch (fileInfo.fileType) {
+      case 'jpg':
+      case 'png':
+        return this.processImageContent(fileInfo, onUpload);
+      default:
+        return this.processPdfContent(fileInfo, onUpload);
+    }
+  }
+
+  /**
+   * Subir las imágenes extraídas de un documento convertido y reemplazar sus marcadores en el HTML
+   */
+  async processConvertedDocument(documentResult, onUpload = async () => {}) {
+    const images = documentResult.images || [];
+
+    // Subir imágenes si las hay
+    const imageUrls = {};
+    const uploadedMedia = [];
+    for (const image of images) {
+      let mediaResult;
+      try {
+        mediaResult = await this.wordpressService.uploadMedia(
+          image.path,
+          image.filename,
+          image.mimeType,
+          { altText: image.alt }
+        );
+      } catch (error) {
+        console.error('⚠️  Error al subir imagen:', error.message);
+        continue;
+      }
+
+      await onUpload(mediaResult.id);
+      imageUrls[image.originalPath] = mediaResult.url;
+      uploadedMedia.push({ id: mediaResult.id, type: 'image' });
+    }
+
+    // Reemplazar URLs de imágenes en el HTML
+    let processedHtml = documentResult.html;
+    Object.entries(imageUrls).forEach(([originalPath, newUrl]) => {
+      processedHtml = processedHtml.replace(originalPath, newUrl);
+    });
+
+    // Quitar las imágenes que no se pudieron subir para no dejar enlaces rotos
+    images
+      .filter(image => !imageUrls[image.originalPath])
+      .forEach(image => {
+        processedHtml = processedHtml.replace(new RegExp(`<img [^>]*src="${image.originalPath}"[^>]*>`), '');
+      });
+
+    return {
+      contentHtml: processedHtml,
+      mediaData: null,
+      uploadedMedia,
+      document: null,
+      images,
+      documentText: documentResult.text.trim() || null,
+      thumbnail: null,
+    };
+  }
+
+  /**
+   * Subir la foto de un aviso impreso; también es la imagen destacada del post
+   */
+  async processImageContent(fileInfo, onUpload = async () => {}) {
+    const image = await this.fileProcessingService.processImage(fileInfo.path);
+    const alt = fileInfo.originalName.replace(/\.[^.]+$/, '');
+
+    let mediaData;
+    try {
+      mediaData = await this.wordpressService.uploadMedia(
+        image.path,
+        `${alt}.${image.filename.split('.').pop()}`,
+        image.mimeType,
+        { altText: alt }
+      );
+      await onUpload(mediaData.id);
+    } catch (error) {
+      await this.fileProcessingService.cleanupTempFile(image.path);
+      throw error;
+    }
+
+    return {
+      contentHtml: this.fileProcessingService.generateImageHtml(mediaData.url, alt),
+      mediaData,
+      uploadedMedia: [{ id: mediaData.id, type: 'image' }],
+      document: null,
+      // Se envía a Telegram como foto y se elimina con los demás temporales
+      images: [image],
+      documentText: null,
+      thumbnail: mediaData,
+    };
+  }
+
+  /**
+   * Subir el PDF como media con su texto y su portada como miniatura
+   */
+  async processPdfContent(fileInfo, onUpload = async () => {}) {
+    // Subir PDF como media
+    const mediaData = await this.wordpressService.uploadMedia(
+      fileInfo.path,
+      fileInfo.originalName,
+      fileInfo.mimeType
+    );
+    await onUpload(mediaData.id);
+
+    const uploadedMedia = [{ id: mediaData.id, type: 'document' }];
+
+    // Texto del PDF para búsquedas y lectura accesible; los PDF escaneados no tienen texto
+    let documentText = null;
+    try {
+      const pdfData = await this.fileProcessingService.processPdf(fileInfo.path);
+      documentText = pdfData.text.trim() || null;
+    } catch (error) {
+      console.error('⚠️  No se pudo extraer el texto del PDF:', error.message);
+    }
+
+    // Portada como imagen destacada y vista previa en el correo
+    let thumbnail = null;
+    const thumbnailFile = await this.fileProcessingService.generatePdfThumbnail(fileInfo.path);
+    if (thumbnailFile) {
+      try {
+        thumbnail = await this.wordpressService.uploadMedia(
+          thumbnailFile.path,
+          thumbnailFile.filename,
+          thumbnailFile.mimeType,
+          { altText: `Primera página de ${fileInfo.originalName}` }
+        );
+        await onUpload(thumbnail.id);
+        uploadedMedia.push({ id: thumbnail.id, type: 'image' });
+      } catch (error) {
+        console.error('⚠️  Error al subir miniatura del PDF:', error.message);
+      } finally {
+        await this.fileProcessingService.cleanupTempFile(thumbnailFile.path);
+      }
+    }
+
+    return {
+      contentHtml: null,
+      mediaData,
+      uploadedMedia,
+      document: { path: fileInfo.path, filename: fileInfo.originalName },
+      images: [],
+      documentText,
+      thumbnail,
+    };
+  }
+
+  /**
+   * Subir los anexos a la biblioteca de medios conservando su orden
+   */
+  async uploadAttachments(attachmentsInfo = [], onUpload = async () => {}) {
+    const attachments = [];
+
+    for (const [index, attachment] of attachmentsInfo.entries()) {
+      const mediaResult = await this.wordpressService.uploadMedia(
+        attachment.path,
+        attachment.originalName,
+        attachment.mimeType
+      );
+      await onUpload(mediaResult.id);
+
+      attachments.push({
+        position: index + 1,
+        original_filename: attachment.originalName,
+        mime_type: attachment.mimeType,
+        file_size: attachment.size,
+        wp_media_id: mediaResult.id,
+        wp_media_url: mediaResult.url,
+      });
+    }
+
+    return attachments;
+  }
+
+  /**
+   * Guardar los anexos del comunicado y registrarlos como media para su eliminación.
+   * Al restaurar una revisión los anexos ya estaban registrados (recordAsMedia = false).
+   */
+  async saveAttachments(communiqueId, attachments = [], { recordAsMedia = true } = {}) {
+    const connection = await getAppConnection();
+    for (const attachment of attachments) {
+      await connection.execute(
+        `INSERT INTO condo360_communique_attachments
+         (communique_id, position, original_filename, mime_type, file_size, wp_media_id, wp_media_url)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          communiqueId,
+          attachment.position,
+          attachment.original_filename,
+          attachment.mime_type,
+          attachment.file_size,
+          attachment.wp_media_id,
+          attachment.wp_media_url,
+        ]
+      );
+    }
+
+    if (recordAsMedia) {
+      await this.recordMedia(
+        communiqueId,
+        attachments.map(attachment => ({ id: attachment.wp_media_id, type: 'document' }))
+      );
+    }
+  }
+
+  /**
+   * Eliminar el archivo subido, las imágenes extraídas de él y los anexos
+   */
+  async cleanupUpload(fileInfo, content, attachmentsInfo = []) {
+    const images = content?.images || [];
+    for (const image of images) {
+      await this.fileProcessingService.cleanupTempFile(image.path);
+    }
+    for (const attachment of attachmentsInfo || []) {
+      await this.fileProcessingService.cleanupTempFile(attachment.path);
+    }
+    if (fileInfo) {
+      await this.fileProcessingService.cleanupTempFile(fileInfo.path);
+    }
+  }
+
+  /**
+   * Registrar los archivos subidos a WordPress para poder eliminarlos después
+   */
+  async recordMedia(communiqueId, uploadedMedia = []) {
+    const connection = await getAppConnection();
+    for (const media of uploadedMedia) {
+      await connection.execute(
+        'INSERT INTO condo360_communique_media (communique_id, wp_media_id, media_type) VALUES (?, ?, ?)',
+        [communiqueId, media.id, media.type]
+      );
+    }
+  }
+
+  /**
+   * Generar el HTML del post a partir de los datos guardados del comunicado
+   */
+  renderPostHtml(communique, options = {}) {
+    const html = communique.file_type === 'pdf'
+      ? this.fileProcessingService.generatePdfHtml(
+        communique.title,
+        communique.description,
+        communique.wp_media_url,
+        communique.original_filename,
+        communique.document_text,
+        communique.attachments
+      )
+      : this.fileProcessingService.generateDocxHtml(
+        communique.title,
+        communique.description,
+        communique.content_html,
+        communique.attachments
+      );
+
+    if (options.correctionNote !== undefined) {
+      return this.fileProcessingService.generateCorrectionBanner(options.correctionNote) + html;
+    }
+
+    return html;
+  }
+
+  /**
+   * Registrar resultados de notificaciones en BD
+   */
+  async recordNotificationResults(communiqueId, notificationResult) {
+    try {
+      const connection = await getAppConnection();
+      
+      // Registrar notificaciones exitosas
+      if (notificationResult.sent > 0) {
+        await connection.execute(
+          `INSERT INTO condo360_communiques_notifications 
+           (communique_id, email, status, message, sent_at) 
+           VALUES (?, ?, 'sent', 'Notificación enviada exitosamente', NOW())`,
+          [communiqueId, 'multiple_recipients']
+        );
+      }
+
+      // Registrar errores
+      for (const error of notificationResult.errors) {
+        await connection.execute(
+          `INSERT INTO condo360_communiques_notifications 
+           (communique_id, email, status, message, sent_at) 
+           VALUES (?, ?, 'error', ?, NULL)`,
+          [communiqueId, 'error_recipient', error]
+        );
+      }
+
+    } catch (error) {
+      console.error('❌ Error al registrar resultados de notificaciones:', error);
+    }
+  }
+
+  /**
+   * Dar formato a la audiencia de un comunicado para la API
+   */
+  formatAudience(audience) {
+    return {
+      everyone: !audience,
+      roles: audience?.roles || [],
+      meta: audience?.meta || {},
+      lists: audience?.lists || [],
+      description: this.audienceService.describe(audience),
+    };
+  }
+
+  /**
+   * Opciones para definir audiencias: campos de user-meta permitidos y listas guardadas
+   */
+  async getAudiences(req, res, next) {
+    try {
+      const lists = await this.audienceService.getLists();
+
+      res.json({
+        success: true,
+        data: {
+          default_role: await getSetting('notification_role_filter', 'subscriber'),
+          meta_keys: await this.audienceService.getMetaKeys(),
+          lists: lists.map(list => ({
+            ...list,
+            member_count: Number(list.member_count),
+            created_at: moment(list.created_at).tz('America/Caracas').format(),
+            updated_at: moment(list.updated_at).tz('America/Caracas').format(),
+          })),
+        },
+      });
+    } catch (error) {
+      console.error('❌ Error en getAudiences:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Formatos aceptados en la subida, para que el plugin no duplique el ajuste allowed_file_types
+   */
+  async getUploadConfig(req, res, next) {
+    try {
+      const withoutDot = extension => extension.substring(1);
+
+      res.json({
+        success: true,
+        data: {
+          allowed_extensions: (await getAllowedExtensions()).map(withoutDot),
+          attachment_extensions: ATTACHMENT_EXTENSIONS.map(withoutDot),
+          max_attachments: MAX_ATTACHMENTS,
+        },
+      });
+    } catch (error) {
+      console.error('❌ Error en getUploadConfig:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener una lista de audiencia guardada con sus miembros
+   */
+  async getAudienceList(req, res, next) {
+    try {
+      const list = await this.audienceService.getList(req.params.name);
+
+      if (!list) {
+        return res.status(404).json({
+          success: false,
+          error: 'Lista de audiencia no encontrada',
+          code: 'AUDIENCE_LIST_NOT_FOUND',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...list,
+          created_at: moment(list.created_at).tz('America/Caracas').format(),
+          updated_at: moment(list.updated_at).tz('America/Caracas').format(),
+        },
+      });
+    } catch (error) {
+      console.error('❌ Error en getAudienceList:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Crear o reemplazar una lista de audiencia guardada (administración)
+   */
+  async saveAudienceList(req, res, next) {
+    try {
+      const { name } = req.params;
+      const { label, description } = req.body;
+
+      if (!await this.ensureAdmin(req.body.wp_user_id, res, 'gestionar listas de audiencia')) {
+        return;
+      }
+
+      if (!this.audienceService.isValidListName(name)) {
+        return res.status(400).json({
+          success: false,
+          error: 'El nombre de la lista solo admite letras minúsculas, números, guiones y guiones bajos (máximo 100)',
+          code: 'INVALID_AUDIENCE_LIST',
+        });
+      }
+
+      const rawMembers = Array.isArray(req.body.members) ? req.body.members : String(req.body.members || '').split(',');
+      const members = [...new Set(rawMembers.map(member => String(member).trim()).filter(Boolean))].map(Number);
+      if (members.length === 0 || members.some(member => !Number.isInteger(member) || member <= 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Indique en members los IDs de usuario de WordPress de la lista',
+          code: 'INVALID_AUDIENCE_MEMBERS',
+        });
+      }
+
+      const list = await this.audienceService.saveList({
+        name,
+        label: (label || '').trim() || name,
+        description: description || null,
+        members,
+        createdBy: parseInt(req.body.wp_user_id),
+      });
+
+      res.json({
+        success: true,
+        message: `Lista "${list.label}" guardada con ${list.members.length} miembro(s)`,
+        data: {
+          ...list,
+          created_at: moment(list.created_at).tz('America/Caracas').format(),
+          updated_at: moment(list.updated_at).tz('America/Caracas').format(),
+        },
+      });
+    } catch (error) {
+      console.error('❌ Error en saveAudienceList:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Eliminar una lista de audiencia guardada (administración)
+   */
+  async deleteAudienceList(req, res, next) {
+    try {
+      const { name } = req.params;
+
+      if (!await this.ensureAdmin(req.query.wp_user_id || req.body?.wp_user_id, res, 'gestionar listas de audiencia')) {
+        return;
+      }
+
+      if (!await this.audienceService.deleteList(name)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Lista de audiencia no encontrada',
+          code: 'AUDIENCE_LIST_NOT_FOUND',
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Lista "${name}" eliminada. Los comunicados ya encolados conservan sus destinatarios.`,
+      });
+    } catch (error) {
+      console.error('❌ Error en deleteAudienceList:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Lista de fallidos: destinatarios a los que no se pudo enviar un comunicado (administración)
+   */
+  async getDeadLetters(req, res, next) {
+    try {
+      if (!await this.ensureAdmin(req.query.wp_user_id, res, 'consultar los correos fallidos')) {
+        return;
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const communiqueId = parseInt(req.query.communique_id) || null;
+
+      const { deadLetters, total } = await this.emailQueueService.getDeadLetters({ communiqueId, page, limit });
+      const totalPages = Math.ceil(total / limit);
+
+      res.json({
+        success: true,
+        data: {
+          dead_letters: deadLetters.map(deadLetter => ({
+            ...deadLetter,
+            failed_at: moment(deadLetter.failed_at).tz('America/Caracas').format(),
+          })),
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: totalPages,
+            hasNext: page < totalPages,
+            hasPrev: page > 1,
+          },
+        },
+      });
+    } catch (error) {
+      console.error('❌ Error en getDeadLetters:', error);
+      next(error);
+    }
+  }
 
-          // Generar HTML final
-          const finalHtml = this.fileProcessingService.generateDocxHtml(
-            title,
-            description,
-            processedHtml
-          );
-
-          // Crear post en WordPress
-          wpPostData = await this.wordpressService.createPost({
-            title,
-            content: finalHtml,
-            author: parseInt(wp_user_id),
-          });
+  /**
+   * Volver a enviar destinatarios de la lista de fallidos, por id o todos los de un comunicado (administración)
+   */
+  async resendDeadLetters(req, res, next) {
+    try {
+      if (!await this.ensureAdmin(req.body?.wp_user_id, res, 'reenviar correos fallidos')) {
+        return;
+      }
 
-        } else if (fileInfo.extension === '.pdf') {
-          // Subir PDF como media
-          wpMediaData = await this.wordpressService.uploadMedia(
-            fileInfo.path,
-            fileInfo.originalName,
-            fileInfo.mimeType
-          );
-
-          // Generar HTML para PDF
-          const pdfHtml = this.fileProcessingService.generatePdfHtml(
-            title,
-            description,
-            wpMediaData.url,
-            fileInfo.originalName
-          );
-
-          // Crear post en WordPress
-          wpPostData = await this.wordpressService.createPost({
-            title,
-            content: pdfHtml,
-            author: parseInt(wp_user_id),
-            featured_media: wpMediaData.id,
-          });
-        }
+      const rawIds = Array.isArray(req.body.ids) ? req.body.ids : String(req.body.ids || '').split(',');
+      const ids = [...new Set(rawIds.map(id => String(id).trim()).filter(Boolean))].map(Number);
+      const communiqueId = req.body.communique_id ? Number(req.body.communique_id) : null;
 
-        // Guardar en base de datos propia
-        const connection = await getAppConnection();
-        const [result] = await connection.execute(
-          `INSERT INTO condo360_communiques 
-           (wp_user_id, title, description, original_filename, file_type, wp_post_id, wp_post_url, wp_media_id) 
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-          [
-            parseInt(wp_user_id),
-            title,
-            description || null,
-            fileInfo.originalName,
-            fileInfo.extension.substring(1), // quitar el punto
-            wpPostData.id,
-            wpPostData.url,
-            wpMediaData?.id || null,
-          ]
-        );
+      if ((ids.length === 0 && !communiqueId)
+        || ids.some(id => !Number.isInteger(id) || id <= 0)
+        || (communiqueId !== null && (!Number.isInteger(communiqueId) || communiqueId <= 0))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Indique en ids los registros de la lista de fallidos o en communique_id el comunicado a reenviar',
+          code: 'INVALID_DEAD_LETTERS',
+        });
+      }
 
-        communiqueId = result.insertId;
+      const resent = await this.emailQueueService.resendDeadLetters({ ids, communiqueId });
 
-        // Agregar a la cola de envío de correos
-        console.log('📧 Agregando comunicado a la cola de envío...');
-        await this.emailQueueService.queueCommunique({
-          communique_id: communiqueId,
-          title,
-          description,
-          wp_post_url: wpPostData.url,
+      if (resent === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'No hay destinatarios fallidos que reenviar con esos criterios',
+          code: 'DEAD_LETTERS_NOT_FOUND',
         });
+      }
 
-        // Limpiar archivo temporal
-        await this.fileProcessingService.cleanupTempFile(fileInfo.path);
+      res.json({
+        success: true,
+        message: `${resent} destinatario(s) vuelven a la cola de envío`,
+        data: { resent },
+      });
+    } catch (error) {
+      console.error('❌ Error en resendDeadLetters:', error);
+      next(error);
+    }
+  }
 
-        console.log('✅ Comunicado procesado exitosamente:', {
-          communiqueId,
-          wpPostId: wpPostData.id,
-          queuedForEmail: true,
-        });
-
-        res.json({
-          success: true,
-          message: 'Comunicado subido y publicado exitosamente. Las notificaciones por correo se enviarán de forma progresiva.',
-          data: {
-            communique_id: communiqueId,
-            wp_post_id: wpPostData.id,
-            wp_post_url: wpPostData.url,
-            queued_for_email: true,
-            batch_info: {
-              batch_size: 30,
-              interval_minutes: 2,
-              message: 'Los correos se enviarán progresivamente en lotes para asegurar entrega confiable'
-            },
-            file_type: fileInfo.extension.substring(1),
-            created_at: moment().tz('America/Caracas').format(),
-          },
+  /**
+   * Dar formato al ritmo de envío de correos para la API
+   */
+  formatEmailSchedule(schedule) {
+    return {
+      batch_size: schedule.batchSize,
+      interval_minutes: schedule.intervalMinutes,
+      max_per_hour: schedule.maxPerHour,
+      quiet_hours: schedule.quietHours,
+      quiet_now: this.emailQueueService.isQuietTime(schedule),
+    };
+  }
+
+  /**
+   * Consultar el ritmo de envío de correos vigente (administración)
+   */
+  async getEmailSchedule(req, res, next) {
+    try {
+      if (!await this.ensureAdmin(req.query.wp_user_id, res, 'configurar el envío de correos')) {
+        return;
+      }
+
+      res.json({
+        success: true,
+        data: this.formatEmailSchedule(await this.emailQueueService.getSchedule()),
+      });
+    } catch (error) {
+      console.error('❌ Error en getEmailSchedule:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Cambiar el ritmo de envío de correos; se aplica al procesador en marcha sin reiniciar (administración)
+   */
+  async updateEmailSchedule(req, res, next) {
+    try {
+      if (!await this.ensureAdmin(req.body?.wp_user_id, res, 'configurar el envío de correos')) {
+        return;
+      }
+
+      const limits = {
+        batch_size: { setting: 'email_batch_size', min: 1, max: 500 },
+        interval_minutes: { setting: 'email_batch_interval_minutes', min: 1, max: 1440 },
+        max_per_hour: { setting: 'email_max_per_hour', min: 0, max: 100000 },
+      };
+
+      const updates = {};
+      for (const [field, { setting, min, max }] of Object.entries(limits)) {
+        if (req.body[field] === undefined) {
+          continue;
+        }
+        const value = Number(req.body[field]);
+        if (!Number.isInteger(value) || value < min || value > max) {
+          return res.status(400).json({
+            success: false,
+            error: `${field} debe ser un número entero entre ${min} y ${max}`,
+            code: 'INVALID_EMAIL_SCHEDULE',
+          });
+        }
+        updates[setting] = String(value);
+      }
+
+      // quiet_hours: { start, end } en HH:mm (hora de Caracas), o null para desactivarlo
+      if (req.body.quiet_hours !== undefined) {
+        const { start = '', end = '' } = req.body.quiet_hours || {};
+        const timePattern = /^([01]\d|2[0-3]):([0-5]\d)$/;
+        if (req.body.quiet_hours !== null && (!timePattern.test(start) || !timePattern.test(end) || start === end)) {
+          return res.status(400).json({
+            success: false,
+            error: 'quiet_hours debe indicar start y end distintos en formato HH:mm, o ser null para desactivarlo',
+            code: 'INVALID_QUIET_HOURS',
+          });
+        }
+        updates.email_quiet_hours_start = start;
+        updates.email_quiet_hours_end = end;
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Indique batch_size, interval_minutes, max_per_hour o quiet_hours',
+          code: 'INVALID_EMAIL_SCHEDULE',
         });
+      }
 
-      } catch (error) {
-        // Limpiar archivo temporal en caso de error
-        if (fileInfo && fileInfo.path) {
-          try {
-            await this.fileProcessingService.cleanupTempFile(fileInfo.path);
-          } catch (cleanupError) {
-            console.error('⚠️  Error al limpiar archivo temporal:', cleanupError.message);
-          }
+      for (const [key, value] of Object.entries(updates)) {
+        if (!await updateSetting(key, value)) {
+          throw new Error(`No se pudo guardar el ajuste ${key}`);
         }
-        throw error;
       }
 
+      const schedule = await this.emailQueueService.getSchedule();
+      this.emailQueueService.applySchedule();
+      console.log(`⚙️  Ritmo de envío actualizado por el usuario ${req.body.wp_user_id}:`, updates);
+
+      res.json({
+        success: true,
+        message: 'Ritmo de envío actualizado; se aplica desde el próximo lote',
+        data: this.formatEmailSchedule(schedule),
+      });
     } catch (error) {
-      console.error('❌ Error en uploadCommunique:', error);
+      console.error('❌ Error en updateEmailSchedule:', error);
       next(error);
     }
   }
 
   /**
-   * Registrar resultados de notificaciones en BD
+   * Listar las direcciones suprimidas por rebote definitivo (administración)
    */
-  async recordNotificationResults(communiqueId, notificationResult) {
+  async getSuppressions(req, res, next) {
     try {
-      const connection = await getAppConnection();
-      
-      // Registrar notificaciones exitosas
-      if (notificationResult.sent > 0) {
-        await connection.execute(
-          `INSERT INTO condo360_communiques_notifications 
-           (communique_id, email, status, message, sent_at) 
-           VALUES (?, ?, 'sent', 'Notificación enviada exitosamente', NOW())`,
-          [communiqueId, 'multiple_recipients']
-        );
+      if (!await this.ensureAdmin(req.query.wp_user_id, res, 'gestionar los correos suprimidos')) {
+        return;
       }
 
-      // Registrar errores
-      for (const error of notificationResult.errors) {
-        await connection.execute(
-          `INSERT INTO condo360_communiques_notifications 
-           (communique_id, email, status, message, sent_at) 
-           VALUES (?, ?, 'error', ?, NULL)`,
-          [communiqueId, 'error_recipient', error]
-        );
+      const suppressions = await this.bounceService.listSuppressions();
+
+      res.json({
+        success: true,
+        data: {
+          suppressions: suppressions.map(suppression => ({
+            ...suppression,
+            created_at: moment(suppression.created_at).tz('America/Caracas').format(),
+            updated_at: moment(suppression.updated_at).tz('America/Caracas').format(),
+          })),
+          total: suppressions.length,
+        },
+      });
+    } catch (error) {
+      console.error('❌ Error en getSuppressions:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Quitar una dirección de las suprimidas para que vuelva a recibir comunicados (administración)
+   */
+  async deleteSuppression(req, res, next) {
+    try {
+      const { email } = req.params;
+
+      if (!await this.ensureAdmin(req.query.wp_user_id || req.body?.wp_user_id, res, 'gestionar los correos suprimidos')) {
+        return;
+      }
+
+      if (!await this.bounceService.removeSuppression(email)) {
+        return res.status(404).json({
+          success: false,
+          error: 'La dirección no está suprimida',
+          code: 'SUPPRESSION_NOT_FOUND',
+        });
       }
 
+      console.log(`📬 Dirección ${email} quitada de las suprimidas por el usuario ${req.query.wp_user_id || req.body?.wp_user_id}`);
+      res.json({
+        success: true,
+        message: `${email} vuelve a recibir comunicados desde el próximo envío`,
+      });
     } catch (error) {
-      console.error('❌ Error al registrar resultados de notificaciones:', error);
+      console.error('❌ Error en deleteSuppression:', error);
+      next(error);
     }
   }
 
@@ -220,83 +2427,69 @@ class CommuniquesController {
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 10;
       const fileType = req.query.file_type;
-      const offset = (page - 1) * limit;
+      const status = req.query.status;
+      const category = req.query.category;
+      const priority = req.query.priority;
+      const tag = req.query.tag;
+      const includeArchived = req.query.include_archived === 'true';
 
-      console.log('🔍 Versión del código:', 'v1.1 - Consulta SQL simplificada');
-      console.log('🔍 Parámetros recibidos:', { page, limit, fileType, offset });
+      console.log('🔍 Parámetros recibidos:', { page, limit, fileType, status, category, tag, priority, includeArchived });
 
-      const connection = await getAppConnection();
+      const result = await this.communiqueQueryService.listCommuniques({ page, limit, fileType, status, category, tag, priority, includeArchived });
 
-      // Obtener total de registros - usar query más simple
-      let countQuery;
-      let countParams;
-      
-      if (fileType && ['docx', 'pdf'].includes(fileType)) {
-        countQuery = 'SELECT COUNT(*) as total FROM condo360_communiques WHERE file_type = ?';
-        countParams = [fileType];
-      } else {
-        countQuery = 'SELECT COUNT(*) as total FROM condo360_communiques';
-        countParams = [];
-      }
-      
-      const [countResult] = await connection.execute(countQuery, countParams);
-      const total = countResult[0].total;
+      res.json({
+        success: true,
+        data: result,
+      });
 
-      // Obtener comunicados - usar query sin parámetros para LIMIT/OFFSET
-      let selectQuery;
-      let selectParams;
-      
-      if (fileType && ['docx', 'pdf'].includes(fileType)) {
-        selectQuery = `SELECT id, wp_user_id, title, description, original_filename, file_type, 
-                wp_post_id, wp_post_url, created_at, updated_at
-         FROM condo360_communiques 
-         WHERE file_type = ?
-         ORDER BY created_at DESC 
-         LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`;
-        selectParams = [fileType];
-      } else {
-        selectQuery = `SELECT id, wp_user_id, title, description, original_filename, file_type, 
-                wp_post_id, wp_post_url, created_at, updated_at
-         FROM condo360_communiques 
-         ORDER BY created_at DESC 
-         LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`;
-        selectParams = [];
+    } catch (error) {
+      console.error('❌ Error en getCommuniques:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Buscar comunicados por palabras clave (texto completo)
+   */
+  async searchCommuniques(req, res, next) {
+    try {
+      const query = (req.query.q || '').trim();
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const fileType = req.query.file_type;
+      const status = req.query.status;
+      const category = req.query.category;
+      const priority = req.query.priority;
+      const tag = req.query.tag;
+      const includeArchived = req.query.include_archived === 'true';
+
+      if (!query) {
+        return res.status(400).json({
+          success: false,
+          error: 'Indique el texto a buscar en el parámetro q',
+          code: 'MISSING_SEARCH_QUERY',
+        });
       }
-      
-      console.log('🔍 Debug SQL:', {
-        query: selectQuery,
-        params: selectParams,
-        limit,
-        offset,
-        fileType,
-        paramTypes: selectParams.map(p => typeof p)
-      });
-      
-      const [communiques] = await connection.execute(selectQuery, selectParams);
 
-      const totalPages = Math.ceil(total / limit);
+      console.log('🔍 Búsqueda de comunicados:', { query, page, limit, fileType, status, category, tag, priority, includeArchived });
+
+      const result = await this.communiqueQueryService.searchCommuniques({ query, page, limit, fileType, status, category, tag, priority, includeArchived });
+
+      if (!result) {
+        return res.status(400).json({
+          success: false,
+          error: 'La búsqueda debe incluir al menos una palabra de 3 o más letras',
+          code: 'SEARCH_QUERY_TOO_SHORT',
+        });
+      }
 
       res.json({
         success: true,
-        data: {
-          communiques: communiques.map(comm => ({
-            ...comm,
-            created_at: moment(comm.created_at).tz('America/Caracas').format(),
-            updated_at: moment(comm.updated_at).tz('America/Caracas').format(),
-          })),
-          pagination: {
-            page,
-            limit,
-            total,
-            pages: totalPages,
-            hasNext: page < totalPages,
-            hasPrev: page > 1,
-          },
-        },
+        data: result,
       });
 
     } catch (error) {
-      console.error('❌ Error en getCommuniques:', error);
+      console.error('❌ Error en searchCommuniques:', error);
       next(error);
     }
   }
@@ -307,18 +2500,9 @@ class CommuniquesController {
   async getCommuniqueById(req, res, next) {
     try {
       const { id } = req.params;
-      const connection = await getAppConnection();
-
-      // Obtener comunicado
-      const [communiques] = await connection.execute(
-        `SELECT id, wp_user_id, title, description, original_filename, file_type, 
-                wp_post_id, wp_post_url, wp_media_id, created_at, updated_at
-         FROM condo360_communiques 
-         WHERE id = ?`,
-        [id]
-      );
+      const communique = await this.communiqueQueryService.getCommuniqueById(id);
 
-      if (communiques.length === 0) {
+      if (!communique) {
         return res.status(404).json({
           success: false,
           error: 'Comunicado no encontrado',
@@ -326,9 +2510,8 @@ class CommuniquesController {
         });
       }
 
-      const communique = communiques[0];
-
       // Obtener notificaciones asociadas
+      const connection = await getAppConnection();
       const [notifications] = await connection.execute(
         `SELECT id, email, status, message, sent_at, created_at
          FROM condo360_communiques_notifications 
@@ -337,19 +2520,36 @@ class CommuniquesController {
         [id]
       );
 
+      const attachments = await this.communiqueQueryService.getAttachments(id);
+
+      const [approvals] = await connection.execute(
+        `SELECT wp_user_id, decision, comment, created_at
+         FROM condo360_communique_approvals
+         WHERE communique_id = ?
+         ORDER BY created_at ASC`,
+        [id]
+      );
+
       res.json({
         success: true,
         data: {
           communique: {
             ...communique,
-            created_at: moment(communique.created_at).tz('America/Caracas').format(),
-            updated_at: moment(communique.updated_at).tz('America/Caracas').format(),
+            audience: {
+              ...this.formatAudience(communique.audience),
+              recipient_count: await this.emailQueueService.getQueuedRecipientCount(communique.id),
+            },
           },
           notifications: notifications.map(notif => ({
             ...notif,
             sent_at: notif.sent_at ? moment(notif.sent_at).tz('America/Caracas').format() : null,
             created_at: moment(notif.created_at).tz('America/Caracas').format(),
           })),
+          attachments,
+          approvals: approvals.map(approval => ({
+            ...approval,
+            created_at: moment(approval.created_at).tz('America/Caracas').format(),
+          })),
         },
       });
 
@@ -380,10 +2580,22 @@ class CommuniquesController {
         `SELECT 
            COUNT(*) as total_notifications,
            COUNT(CASE WHEN status = 'sent' THEN 1 END) as notifications_sent,
-           COUNT(CASE WHEN status = 'error' THEN 1 END) as notifications_failed
+           COUNT(CASE WHEN status = 'error' THEN 1 END) as notifications_failed,
+           COUNT(CASE WHEN status = 'bounced' THEN 1 END) as notifications_bounced
          FROM condo360_communiques_notifications`
       );
 
+      // Comunicados por categoría (los anteriores a las categorías quedan como sin_categoria)
+      const [categoryStats] = await connection.execute(
+        `SELECT 
+           COALESCE(category, 'sin_categoria') as category,
+           COUNT(*) as total,
+           COUNT(CASE WHEN status = 'published' THEN 1 END) as published
+         FROM condo360_communiques
+         GROUP BY category
+         ORDER BY total DESC`
+      );
+
       // Comunicados por mes (últimos 6 meses)
       const [monthlyStats] = await connection.execute(
         `SELECT 
@@ -400,6 +2612,7 @@ class CommuniquesController {
         data: {
           ...communiqueStats[0],
           ...notificationStats[0],
+          category_stats: categoryStats,
           monthly_stats: monthlyStats,
           last_updated: moment().tz('America/Caracas').format(),
         },
@@ -417,10 +2630,114 @@ module.exports = {
     const controller = new CommuniquesController();
     return controller.uploadCommunique(req, res, next);
   },
+  composeCommunique: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.composeCommunique(req, res, next);
+  },
+  updateCommunique: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.updateCommunique(req, res, next);
+  },
+  getRevisions: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.getRevisions(req, res, next);
+  },
+  getRevision: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.getRevision(req, res, next);
+  },
+  diffRevisions: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.diffRevisions(req, res, next);
+  },
+  restoreRevision: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.restoreRevision(req, res, next);
+  },
+  deleteCommunique: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.deleteCommunique(req, res, next);
+  },
+  getUploadJob: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.getUploadJob(req, res, next);
+  },
+  getUploadConfig: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.getUploadConfig(req, res, next);
+  },
+  getAudiences: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.getAudiences(req, res, next);
+  },
+  getAudienceList: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.getAudienceList(req, res, next);
+  },
+  saveAudienceList: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.saveAudienceList(req, res, next);
+  },
+  deleteAudienceList: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.deleteAudienceList(req, res, next);
+  },
+  getDeadLetters: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.getDeadLetters(req, res, next);
+  },
+  resendDeadLetters: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.resendDeadLetters(req, res, next);
+  },
+  getEmailSchedule: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.getEmailSchedule(req, res, next);
+  },
+  updateEmailSchedule: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.updateEmailSchedule(req, res, next);
+  },
+  getSuppressions: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.getSuppressions(req, res, next);
+  },
+  deleteSuppression: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.deleteSuppression(req, res, next);
+  },
+  processUploadJob: async (job) => {
+    const controller = new CommuniquesController();
+    return controller.processUploadJob(job);
+  },
+  getStuckPipelines: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.getStuckPipelines(req, res, next);
+  },
+  resumePipeline: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.resumePipeline(req, res, next);
+  },
+  rollbackPipeline: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.rollbackPipeline(req, res, next);
+  },
+  approveCommunique: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.approveCommunique(req, res, next);
+  },
+  rejectCommunique: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.rejectCommunique(req, res, next);
+  },
   getCommuniques: async (req, res, next) => {
     const controller = new CommuniquesController();
     return controller.getCommuniques(req, res, next);
   },
+  searchCommuniques: async (req, res, next) => {
+    const controller = new CommuniquesController();
+    return controller.searchCommuniques(req, res, next);
+  },
   getCommuniqueById: async (req, res, next) => {
     const controller = new CommuniquesController();
     return controller.getCommuniqueById(req, res, next);
@@ -0,0 +1,17 @@
+-- Migración: registro de difusiones de comunicados en Telegram
+-- Ejecutar en instalaciones existentes creadas con una versión anterior de schema.sql
+
+CREATE TABLE IF NOT EXISTS `condo360_communiques_telegram` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `communique_id` BIGINT NOT NULL,
+  `chat_id` VARCHAR(64) NOT NULL,
+  `message_type` ENUM('message', 'document', 'media_group') NOT NULL,
+  `telegram_message_id` BIGINT NULL,
+  `status` ENUM('sent', 'error') NOT NULL,
+  `message` TEXT NULL,
+  `sent_at` TIMESTAMP NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`communique_id`) REFERENCES `condo360_communiques`(`id`) ON DELETE CASCADE,
+  INDEX `idx_communique_id` (`communique_id`),
+  INDEX `idx_status` (`status`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,16 @@
+-- Migración: chats de Telegram vinculados a usuarios de WordPress (bot de consultas)
+
+CREATE TABLE IF NOT EXISTS `condo360_telegram_subscribers` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `chat_id` VARCHAR(64) NOT NULL UNIQUE,
+  `telegram_username` VARCHAR(255) NULL,
+  `wp_user_id` BIGINT UNSIGNED NULL,
+  `status` ENUM('pending', 'active', 'inactive') DEFAULT 'pending',
+  `verification_code` VARCHAR(6) NULL,
+  `verification_expires_at` TIMESTAMP NULL,
+  `linked_at` TIMESTAMP NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX `idx_wp_user_id` (`wp_user_id`),
+  INDEX `idx_status` (`status`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,5 @@
+-- Migración: contenido procesado del comunicado para poder editarlo (PUT /communiques/:id)
+
+ALTER TABLE `condo360_communiques`
+  ADD COLUMN `wp_media_url` VARCHAR(500) NULL AFTER `wp_media_id`,
+  ADD COLUMN `content_html` MEDIUMTEXT NULL AFTER `wp_media_url`;
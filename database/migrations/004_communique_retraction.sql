@@ -0,0 +1,23 @@
+-- Migración: anulación de comunicados (DELETE /communiques/:id)
+
+ALTER TABLE `condo360_communiques`
+  ADD COLUMN `status` ENUM('published', 'retracted', 'deleted') NOT NULL DEFAULT 'published' AFTER `content_html`,
+  ADD INDEX `idx_status` (`status`);
+
+CREATE TABLE IF NOT EXISTS `condo360_communique_media` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `communique_id` BIGINT NOT NULL,
+  `wp_media_id` BIGINT UNSIGNED NOT NULL,
+  `media_type` ENUM('document', 'image') NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`communique_id`) REFERENCES `condo360_communiques`(`id`) ON DELETE CASCADE,
+  INDEX `idx_communique_id` (`communique_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Registrar los PDF ya publicados para poder eliminarlos en modo definitivo
+INSERT INTO `condo360_communique_media` (`communique_id`, `wp_media_id`, `media_type`)
+SELECT `id`, `wp_media_id`, 'document' FROM `condo360_communiques` WHERE `wp_media_id` IS NOT NULL;
+
+ALTER TABLE `condo360_email_queue`
+  ADD COLUMN `kind` ENUM('communique','retraction') NOT NULL DEFAULT 'communique' AFTER `communique_id`,
+  MODIFY COLUMN `status` ENUM('pending','processing','completed','failed','cancelled') DEFAULT 'pending';
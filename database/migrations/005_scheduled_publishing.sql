@@ -0,0 +1,10 @@
+-- Migración: publicación programada (publish_at)
+
+ALTER TABLE `condo360_communiques`
+  MODIFY COLUMN `status` ENUM('published', 'scheduled', 'retracted', 'deleted') NOT NULL DEFAULT 'published',
+  ADD COLUMN `publish_at` DATETIME NULL AFTER `status`,
+  ADD INDEX `idx_publish_at` (`publish_at`);
+
+-- 'held': envío retenido hasta que el programador publique el comunicado
+ALTER TABLE `condo360_email_queue`
+  MODIFY COLUMN `status` ENUM('held','pending','processing','completed','failed','cancelled') DEFAULT 'pending';
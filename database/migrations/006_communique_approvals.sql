@@ -0,0 +1,20 @@
+-- Migración: flujo de aprobación de la Junta antes de publicar
+
+ALTER TABLE `condo360_communiques`
+  MODIFY COLUMN `status` ENUM('draft', 'rejected', 'published', 'scheduled', 'retracted', 'deleted') NOT NULL DEFAULT 'published';
+
+CREATE TABLE IF NOT EXISTS `condo360_communique_approvals` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `communique_id` BIGINT NOT NULL,
+  `wp_user_id` BIGINT UNSIGNED NOT NULL,
+  `decision` ENUM('approved', 'rejected') NOT NULL,
+  `comment` TEXT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`communique_id`) REFERENCES `condo360_communiques`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `uniq_communique_user` (`communique_id`, `wp_user_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT INTO `condo360_settings` (`setting_key`, `setting_value`, `description`) VALUES
+('approval_quorum', '0', 'Aprobaciones requeridas antes de publicar (0 = publicar sin aprobación)'),
+('approval_role', 'junta', 'Rol de WordPress autorizado para aprobar comunicados')
+ON DUPLICATE KEY UPDATE `setting_key` = `setting_key`;
@@ -0,0 +1,9 @@
+-- Migración: texto extraído y miniatura de portada de los PDF
+
+ALTER TABLE `condo360_communiques`
+  ADD COLUMN `document_text` MEDIUMTEXT NULL AFTER `content_html`,
+  ADD COLUMN `thumbnail_media_id` BIGINT UNSIGNED NULL AFTER `document_text`,
+  ADD COLUMN `thumbnail_url` VARCHAR(500) NULL AFTER `thumbnail_media_id`;
+
+ALTER TABLE `condo360_email_queue`
+  ADD COLUMN `image_url` VARCHAR(500) NULL AFTER `wp_post_url`;
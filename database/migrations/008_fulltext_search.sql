@@ -0,0 +1,10 @@
+-- Migración: búsqueda de texto completo (GET /communiques/search)
+
+-- Los DOCX anteriores no guardaban texto plano: se obtiene del HTML procesado (MySQL 8 / MariaDB 10.0.5+)
+UPDATE `condo360_communiques`
+SET `document_text` = REGEXP_REPLACE(`content_html`, '<[^>]+>', ' ')
+WHERE `file_type` = 'docx' AND `document_text` IS NULL AND `content_html` IS NOT NULL;
+
+ALTER TABLE `condo360_communiques`
+  ADD FULLTEXT INDEX `ft_communiques_search` (`title`, `description`, `document_text`),
+  ADD FULLTEXT INDEX `ft_communiques_title` (`title`);
@@ -0,0 +1,15 @@
+-- Migración: anexos ordenados por comunicado
+
+CREATE TABLE IF NOT EXISTS `condo360_communique_attachments` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `communique_id` BIGINT NOT NULL,
+  `position` INT NOT NULL,
+  `original_filename` VARCHAR(255) NOT NULL,
+  `mime_type` VARCHAR(100) NULL,
+  `file_size` BIGINT UNSIGNED NULL,
+  `wp_media_id` BIGINT UNSIGNED NOT NULL,
+  `wp_media_url` VARCHAR(500) NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`communique_id`) REFERENCES `condo360_communiques`(`id`) ON DELETE CASCADE,
+  INDEX `idx_communique_position` (`communique_id`, `position`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
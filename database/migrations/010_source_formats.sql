@@ -0,0 +1,10 @@
+-- Migración: documentos ODT, Markdown, texto plano y fotos de avisos impresos
+
+ALTER TABLE `condo360_communiques`
+  MODIFY COLUMN `file_type` ENUM('docx', 'odt', 'pdf', 'md', 'txt', 'jpg', 'png') NOT NULL;
+
+-- Habilitar los nuevos formatos solo si no se personalizó la lista
+UPDATE `condo360_settings`
+SET `setting_value` = 'docx,pdf,odt,md,txt,jpg,png',
+    `description` = 'Tipos de archivo permitidos (docx, pdf, odt, md, txt, jpg, png)'
+WHERE `setting_key` = 'allowed_file_types' AND `setting_value` = 'docx,pdf';
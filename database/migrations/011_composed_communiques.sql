@@ -0,0 +1,5 @@
+-- Migración: comunicados redactados desde el formulario, sin archivo
+
+ALTER TABLE `condo360_communiques`
+  MODIFY COLUMN `original_filename` VARCHAR(255) NULL,
+  MODIFY COLUMN `file_type` ENUM('docx', 'odt', 'pdf', 'md', 'txt', 'jpg', 'png', 'html') NOT NULL;
@@ -0,0 +1,6 @@
+-- Migración: categoría y etiquetas de los comunicados
+
+ALTER TABLE `condo360_communiques`
+  ADD COLUMN `category` ENUM('mantenimiento', 'finanzas', 'asamblea', 'seguridad', 'emergencia') NULL AFTER `thumbnail_url`,
+  ADD COLUMN `tags` VARCHAR(600) NULL AFTER `category`,
+  ADD INDEX `idx_category` (`category`);
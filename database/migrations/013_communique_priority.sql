@@ -0,0 +1,9 @@
+-- Migración: prioridad de los comunicados (normal, alta, urgente)
+
+ALTER TABLE `condo360_communiques`
+  ADD COLUMN `priority` ENUM('normal', 'alta', 'urgente') NOT NULL DEFAULT 'normal' AFTER `tags`;
+
+-- La cola vive en la base de datos de WordPress
+ALTER TABLE `condo360_email_queue`
+  ADD COLUMN `priority` ENUM('normal','alta','urgente') NOT NULL DEFAULT 'normal' AFTER `image_url`,
+  ADD INDEX `idx_status_priority` (`status`, `priority`, `created_at`);
@@ -0,0 +1,11 @@
+-- Migración: subidas idempotentes y detección de comunicados repetidos
+
+ALTER TABLE `condo360_communiques`
+  ADD COLUMN `idempotency_key` VARCHAR(255) NULL AFTER `publish_at`,
+  ADD COLUMN `content_hash` CHAR(64) NULL AFTER `idempotency_key`,
+  ADD INDEX `idx_user_content_hash` (`wp_user_id`, `content_hash`),
+  ADD UNIQUE KEY `uniq_user_idempotency_key` (`wp_user_id`, `idempotency_key`);
+
+INSERT INTO `condo360_settings` (`setting_key`, `setting_value`, `description`) VALUES
+('duplicate_window_minutes', '30', 'Minutos en los que una subida con el mismo contenido y autor devuelve el comunicado existente (0 = desactivado)')
+ON DUPLICATE KEY UPDATE `setting_key` = `setting_key`;
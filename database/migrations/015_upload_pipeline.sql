@@ -0,0 +1,24 @@
+-- Migración: creación de comunicados por pasos persistidos, con reanudación y reversión
+
+-- Los comunicados existentes ya terminaron su creación
+ALTER TABLE `condo360_communiques`
+  ADD COLUMN `pipeline_state` ENUM('processing', 'completed', 'failed', 'rolled_back') NOT NULL DEFAULT 'completed' AFTER `content_hash`,
+  ADD COLUMN `pipeline_error` TEXT NULL AFTER `pipeline_state`,
+  ADD INDEX `idx_pipeline_state` (`pipeline_state`);
+
+CREATE TABLE IF NOT EXISTS `condo360_communique_pipeline_steps` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `communique_id` BIGINT NOT NULL,
+  `step` ENUM('media', 'post', 'queue', 'telegram') NOT NULL,
+  `state` ENUM('pending', 'running', 'done', 'skipped', 'failed', 'compensated') NOT NULL DEFAULT 'pending',
+  `resource` TEXT NULL,
+  `error_message` TEXT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (`communique_id`) REFERENCES `condo360_communiques`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `uniq_communique_step` (`communique_id`, `step`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT INTO `condo360_settings` (`setting_key`, `setting_value`, `description`) VALUES
+('admin_role', 'administrator', 'Rol de WordPress autorizado para reanudar o revertir creaciones de comunicados')
+ON DUPLICATE KEY UPDATE `setting_key` = `setting_key`;
@@ -0,0 +1,20 @@
+-- Migración: subidas asíncronas con consulta del avance por etapas
+
+CREATE TABLE IF NOT EXISTS `condo360_upload_jobs` (
+  `id` CHAR(36) PRIMARY KEY,
+  `communique_id` BIGINT NOT NULL,
+  `wp_user_id` BIGINT NOT NULL,
+  `status` ENUM('pending', 'processing', 'completed', 'failed') NOT NULL DEFAULT 'pending',
+  `stage` ENUM('convirtiendo', 'subiendo_imagenes', 'publicando', 'encolado') NULL,
+  `payload` TEXT NOT NULL,
+  `result` TEXT NULL,
+  `error_message` TEXT NULL,
+  `error_code` VARCHAR(50) NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `started_at` TIMESTAMP NULL,
+  `completed_at` TIMESTAMP NULL,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (`communique_id`) REFERENCES `condo360_communiques`(`id`) ON DELETE CASCADE,
+  INDEX `idx_status_created` (`status`, `created_at`),
+  INDEX `idx_communique_id` (`communique_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
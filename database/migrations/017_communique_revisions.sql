@@ -0,0 +1,43 @@
+-- Migración: historial de revisiones de los comunicados
+
+CREATE TABLE IF NOT EXISTS `condo360_communique_revisions` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `communique_id` BIGINT NOT NULL,
+  `revision` INT NOT NULL,
+  `change_type` ENUM('created', 'edited', 'restored') NOT NULL,
+  `restored_from` INT NULL,
+  `title` VARCHAR(255) NOT NULL,
+  `description` TEXT,
+  `rendered_html` MEDIUMTEXT NULL,
+  `content_html` MEDIUMTEXT NULL,
+  `document_text` MEDIUMTEXT NULL,
+  `file_hash` CHAR(64) NULL,
+  `original_filename` VARCHAR(255) NULL,
+  `file_type` ENUM('docx', 'odt', 'pdf', 'md', 'txt', 'jpg', 'png', 'html') NOT NULL,
+  `wp_media_id` BIGINT UNSIGNED NULL,
+  `wp_media_url` VARCHAR(500) NULL,
+  `thumbnail_media_id` BIGINT UNSIGNED NULL,
+  `thumbnail_url` VARCHAR(500) NULL,
+  `category` ENUM('mantenimiento', 'finanzas', 'asamblea', 'seguridad', 'emergencia') NULL,
+  `tags` VARCHAR(600) NULL,
+  `priority` ENUM('normal', 'alta', 'urgente') NOT NULL DEFAULT 'normal',
+  `attachments` TEXT NULL,
+  `correction_note` TEXT NULL,
+  `editor_wp_user_id` BIGINT UNSIGNED NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`communique_id`) REFERENCES `condo360_communiques`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `uniq_communique_revision` (`communique_id`, `revision`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Revisión inicial con el estado actual de los comunicados existentes, fechada en su última modificación.
+-- No guarda el HTML publicado ni los anexos: al restaurarla el HTML se vuelve a generar y se conservan los anexos vigentes
+INSERT INTO `condo360_communique_revisions`
+  (`communique_id`, `revision`, `change_type`, `title`, `description`, `content_html`, `document_text`,
+   `file_hash`, `original_filename`, `file_type`, `wp_media_id`, `wp_media_url`, `thumbnail_media_id`,
+   `thumbnail_url`, `category`, `tags`, `priority`, `editor_wp_user_id`, `created_at`)
+SELECT `id`, 1, 'created', `title`, `description`, `content_html`, `document_text`,
+       `content_hash`, `original_filename`, `file_type`, `wp_media_id`, `wp_media_url`, `thumbnail_media_id`,
+       `thumbnail_url`, `category`, `tags`, `priority`, `wp_user_id`, `updated_at`
+FROM `condo360_communiques`
+WHERE `pipeline_state` = 'completed'
+  AND `id` NOT IN (SELECT `communique_id` FROM `condo360_communique_revisions`);
@@ -0,0 +1,12 @@
+-- Migración: vencimiento de comunicados (expires_at) y archivo automático
+
+ALTER TABLE `condo360_communiques`
+  MODIFY COLUMN `status` ENUM('draft', 'rejected', 'published', 'scheduled', 'archived', 'retracted', 'deleted') NOT NULL DEFAULT 'published',
+  ADD COLUMN `expires_at` DATETIME NULL AFTER `publish_at`,
+  ADD COLUMN `archived_at` TIMESTAMP NULL AFTER `expires_at`,
+  ADD INDEX `idx_expires_at` (`expires_at`);
+
+INSERT INTO `condo360_settings` (`setting_key`, `setting_value`, `description`) VALUES
+('archive_mode', 'category', 'Qué hacer con los comunicados vencidos: category (mover a la categoría de archivo) o draft (pasar a borrador)'),
+('archive_category', 'archivo', 'Categoría de WordPress a la que se mueven los comunicados vencidos')
+ON DUPLICATE KEY UPDATE `setting_key` = `setting_key`;
@@ -0,0 +1,30 @@
+-- Migración: audiencias por comunicado (roles, user-meta y listas guardadas)
+
+ALTER TABLE `condo360_communiques`
+  ADD COLUMN `audience` TEXT NULL AFTER `priority`;
+
+-- Destinatarios resueltos al encolar el envío
+ALTER TABLE `condo360_email_queue`
+  ADD COLUMN `recipients` MEDIUMTEXT NULL AFTER `status`;
+
+CREATE TABLE IF NOT EXISTS `condo360_audience_lists` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `name` VARCHAR(100) NOT NULL UNIQUE,
+  `label` VARCHAR(255) NOT NULL,
+  `description` TEXT NULL,
+  `created_by` BIGINT UNSIGNED NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS `condo360_audience_list_members` (
+  `list_id` BIGINT NOT NULL,
+  `wp_user_id` BIGINT UNSIGNED NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`list_id`, `wp_user_id`),
+  FOREIGN KEY (`list_id`) REFERENCES `condo360_audience_lists`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT INTO `condo360_settings` (`setting_key`, `setting_value`, `description`) VALUES
+('audience_meta_keys', 'torre,unidad', 'Campos de user-meta de WordPress que se pueden usar en la audiencia de un comunicado')
+ON DUPLICATE KEY UPDATE `setting_key` = `setting_key`;
@@ -0,0 +1,23 @@
+-- Migración: buzón de salida por destinatario (los envíos sobreviven a reinicios)
+
+-- recipient_count NULL: envío encolado antes del buzón, sus destinatarios se resuelven al tomarlo
+ALTER TABLE `condo360_email_queue`
+  DROP COLUMN `recipients`,
+  ADD COLUMN `recipient_count` INT NULL AFTER `status`;
+
+CREATE TABLE IF NOT EXISTS `condo360_email_outbox` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `queue_id` BIGINT NOT NULL,
+  `communique_id` BIGINT NOT NULL,
+  `email` VARCHAR(255) NOT NULL,
+  `display_name` VARCHAR(255) NULL,
+  `status` ENUM('pending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+  `error_message` TEXT NULL,
+  `sent_at` TIMESTAMP NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (`queue_id`) REFERENCES `condo360_email_queue`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `uniq_queue_email` (`queue_id`, `email`),
+  INDEX `idx_queue_status` (`queue_id`, `status`, `id`),
+  INDEX `idx_communique_id` (`communique_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,16 @@
+-- Migración: reintentos con espera exponencial y lista de fallidos del buzón de salida
+
+ALTER TABLE `condo360_email_outbox`
+  ADD COLUMN `attempts` INT NOT NULL DEFAULT 0 AFTER `status`,
+  ADD COLUMN `next_attempt_at` DATETIME NULL AFTER `attempts`,
+  ADD COLUMN `failure_type` ENUM('temporary', 'permanent') NULL AFTER `next_attempt_at`,
+  ADD COLUMN `smtp_code` SMALLINT NULL AFTER `failure_type`,
+  ADD INDEX `idx_status_updated` (`status`, `updated_at`);
+
+-- Los fallidos anteriores se registraron con un solo intento y sin clasificar
+UPDATE `condo360_email_outbox` SET `attempts` = 1 WHERE `status` = 'failed';
+
+INSERT INTO `condo360_settings` (`setting_key`, `setting_value`, `description`) VALUES
+('email_max_attempts', '5', 'Intentos de envío por destinatario ante fallas SMTP temporales (4xx) antes de pasar a la lista de fallidos'),
+('email_retry_base_minutes', '5', 'Minutos de espera antes del primer reintento; se duplican en cada intento')
+ON DUPLICATE KEY UPDATE `setting_key` = `setting_key`;
@@ -0,0 +1,13 @@
+-- Migración: ritmo de envío de correos configurable (lotes, máximo por hora y horario de silencio)
+
+INSERT INTO `condo360_settings` (`setting_key`, `setting_value`, `description`) VALUES
+('email_batch_size', '30', 'Correos por lote del procesador de la cola'),
+('email_batch_interval_minutes', '2', 'Minutos entre lotes del procesador de la cola'),
+('email_max_per_hour', '0', 'Máximo de correos enviados por hora, urgentes incluidos (0 = sin límite)'),
+('email_quiet_hours_start', '22:00', 'Inicio del horario de silencio (HH:mm, hora de Caracas); solo se envían urgentes. Vacío lo desactiva'),
+('email_quiet_hours_end', '06:00', 'Fin del horario de silencio (HH:mm, hora de Caracas)')
+ON DUPLICATE KEY UPDATE `setting_key` = `setting_key`;
+
+-- Conteo de enviados en la última hora para el máximo por hora
+ALTER TABLE `condo360_email_outbox`
+  ADD INDEX `idx_status_sent_at` (`status`, `sent_at`);
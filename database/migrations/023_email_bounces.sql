@@ -0,0 +1,16 @@
+-- Migración: procesamiento de rebotes y direcciones suprimidas
+
+ALTER TABLE `condo360_communiques_notifications`
+  MODIFY COLUMN `status` ENUM('sent', 'error', 'bounced') NOT NULL;
+
+CREATE TABLE IF NOT EXISTS `condo360_email_suppressions` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `email` VARCHAR(255) NOT NULL UNIQUE,
+  `communique_id` BIGINT NULL,
+  `smtp_status` VARCHAR(20) NULL,
+  `diagnostic` TEXT NULL,
+  `bounce_count` INT NOT NULL DEFAULT 1,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX `idx_updated_at` (`updated_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
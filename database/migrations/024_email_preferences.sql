@@ -0,0 +1,14 @@
+-- Migración: preferencias de correo, enlaces de baja y categorías obligatorias
+
+CREATE TABLE IF NOT EXISTS `condo360_email_preferences` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `email` VARCHAR(255) NOT NULL UNIQUE,
+  `unsubscribed` TINYINT(1) NOT NULL DEFAULT 0,
+  `muted_categories` VARCHAR(255) NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT INTO `condo360_settings` (`setting_key`, `setting_value`, `description`) VALUES
+('email_mandatory_categories', 'emergencia', 'Categorías que reciben todos los vecinos aunque se hayan dado de baja (separadas por coma)')
+ON DUPLICATE KEY UPDATE `setting_key` = `setting_key`;
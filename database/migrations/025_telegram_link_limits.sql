@@ -0,0 +1,12 @@
+-- Migración: límite de intentos y de solicitudes de códigos de vinculación de Telegram
+
+ALTER TABLE `condo360_telegram_subscribers`
+  ADD COLUMN `verification_attempts` INT NOT NULL DEFAULT 0 AFTER `verification_expires_at`;
+
+CREATE TABLE IF NOT EXISTS `condo360_telegram_link_requests` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `chat_id` VARCHAR(64) NOT NULL,
+  `email` VARCHAR(255) NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_created_at` (`created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -1,5 +1,5 @@
 -- Scripts SQL para crear las tablas del sistema de comunicados
--- Ejecutar en la base de datos MySQL
+-- Ejecutar en la base de datos MySQL 8.0+ o MariaDB 10.0.5+ (las migraciones usan REGEXP_REPLACE)
 
 -- Tabla principal de comunicados
 CREATE TABLE IF NOT EXISTS `condo360_communiques` (
@@ -7,16 +7,144 @@ CREATE TABLE IF NOT EXISTS `condo360_communiques` (
   `wp_user_id` BIGINT UNSIGNED NOT NULL,
   `title` VARCHAR(255) NOT NULL,
   `description` TEXT,
-  `original_filename` VARCHAR(255) NOT NULL,
-  `file_type` ENUM('docx', 'pdf') NOT NULL,
+  `original_filename` VARCHAR(255) NULL,
+  `file_type` ENUM('docx', 'odt', 'pdf', 'md', 'txt', 'jpg', 'png', 'html') NOT NULL,
   `wp_post_id` BIGINT UNSIGNED,
   `wp_post_url` VARCHAR(255),
   `wp_media_id` BIGINT UNSIGNED,
+  `wp_media_url` VARCHAR(500) NULL,
+  `content_html` MEDIUMTEXT NULL,
+  `document_text` MEDIUMTEXT NULL,
+  `thumbnail_media_id` BIGINT UNSIGNED NULL,
+  `thumbnail_url` VARCHAR(500) NULL,
+  `category` ENUM('mantenimiento', 'finanzas', 'asamblea', 'seguridad', 'emergencia') NULL,
+  `tags` VARCHAR(600) NULL,
+  `priority` ENUM('normal', 'alta', 'urgente') NOT NULL DEFAULT 'normal',
+  `audience` TEXT NULL,
+  `status` ENUM('draft', 'rejected', 'published', 'scheduled', 'archived', 'retracted', 'deleted') NOT NULL DEFAULT 'published',
+  `publish_at` DATETIME NULL,
+  `expires_at` DATETIME NULL,
+  `archived_at` TIMESTAMP NULL,
+  `idempotency_key` VARCHAR(255) NULL,
+  `content_hash` CHAR(64) NULL,
+  `pipeline_state` ENUM('processing', 'completed', 'failed', 'rolled_back') NOT NULL DEFAULT 'completed',
+  `pipeline_error` TEXT NULL,
   `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   INDEX `idx_wp_user_id` (`wp_user_id`),
   INDEX `idx_wp_post_id` (`wp_post_id`),
-  INDEX `idx_created_at` (`created_at`)
+  INDEX `idx_status` (`status`),
+  INDEX `idx_category` (`category`),
+  INDEX `idx_user_content_hash` (`wp_user_id`, `content_hash`),
+  UNIQUE KEY `uniq_user_idempotency_key` (`wp_user_id`, `idempotency_key`),
+  INDEX `idx_pipeline_state` (`pipeline_state`),
+  INDEX `idx_publish_at` (`publish_at`),
+  INDEX `idx_expires_at` (`expires_at`),
+  INDEX `idx_created_at` (`created_at`),
+  FULLTEXT INDEX `ft_communiques_search` (`title`, `description`, `document_text`),
+  FULLTEXT INDEX `ft_communiques_title` (`title`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Tabla de archivos subidos a la biblioteca de medios de WordPress por comunicado
+CREATE TABLE IF NOT EXISTS `condo360_communique_media` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `communique_id` BIGINT NOT NULL,
+  `wp_media_id` BIGINT UNSIGNED NOT NULL,
+  `media_type` ENUM('document', 'image') NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`communique_id`) REFERENCES `condo360_communiques`(`id`) ON DELETE CASCADE,
+  INDEX `idx_communique_id` (`communique_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Tabla de anexos de cada comunicado, en el orden en que se listan
+CREATE TABLE IF NOT EXISTS `condo360_communique_attachments` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `communique_id` BIGINT NOT NULL,
+  `position` INT NOT NULL,
+  `original_filename` VARCHAR(255) NOT NULL,
+  `mime_type` VARCHAR(100) NULL,
+  `file_size` BIGINT UNSIGNED NULL,
+  `wp_media_id` BIGINT UNSIGNED NOT NULL,
+  `wp_media_url` VARCHAR(500) NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`communique_id`) REFERENCES `condo360_communiques`(`id`) ON DELETE CASCADE,
+  INDEX `idx_communique_position` (`communique_id`, `position`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Pasos de la creación de cada comunicado y lo que crearon, para reanudar o revertir
+CREATE TABLE IF NOT EXISTS `condo360_communique_pipeline_steps` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `communique_id` BIGINT NOT NULL,
+  `step` ENUM('media', 'post', 'queue', 'telegram') NOT NULL,
+  `state` ENUM('pending', 'running', 'done', 'skipped', 'failed', 'compensated') NOT NULL DEFAULT 'pending',
+  `resource` TEXT NULL,
+  `error_message` TEXT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (`communique_id`) REFERENCES `condo360_communiques`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `uniq_communique_step` (`communique_id`, `step`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Historial de revisiones: qué se publicó en cada versión, quién la hizo y cuándo
+CREATE TABLE IF NOT EXISTS `condo360_communique_revisions` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `communique_id` BIGINT NOT NULL,
+  `revision` INT NOT NULL,
+  `change_type` ENUM('created', 'edited', 'restored') NOT NULL,
+  `restored_from` INT NULL,
+  `title` VARCHAR(255) NOT NULL,
+  `description` TEXT,
+  `rendered_html` MEDIUMTEXT NULL,
+  `content_html` MEDIUMTEXT NULL,
+  `document_text` MEDIUMTEXT NULL,
+  `file_hash` CHAR(64) NULL,
+  `original_filename` VARCHAR(255) NULL,
+  `file_type` ENUM('docx', 'odt', 'pdf', 'md', 'txt', 'jpg', 'png', 'html') NOT NULL,
+  `wp_media_id` BIGINT UNSIGNED NULL,
+  `wp_media_url` VARCHAR(500) NULL,
+  `thumbnail_media_id` BIGINT UNSIGNED NULL,
+  `thumbnail_url` VARCHAR(500) NULL,
+  `category` ENUM('mantenimiento', 'finanzas', 'asamblea', 'seguridad', 'emergencia') NULL,
+  `tags` VARCHAR(600) NULL,
+  `priority` ENUM('normal', 'alta', 'urgente') NOT NULL DEFAULT 'normal',
+  `attachments` TEXT NULL,
+  `correction_note` TEXT NULL,
+  `editor_wp_user_id` BIGINT UNSIGNED NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`communique_id`) REFERENCES `condo360_communiques`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `uniq_communique_revision` (`communique_id`, `revision`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Trabajos de subida asíncrona (POST /communiques/upload con async=true)
+CREATE TABLE IF NOT EXISTS `condo360_upload_jobs` (
+  `id` CHAR(36) PRIMARY KEY,
+  `communique_id` BIGINT NOT NULL,
+  `wp_user_id` BIGINT NOT NULL,
+  `status` ENUM('pending', 'processing', 'completed', 'failed') NOT NULL DEFAULT 'pending',
+  `stage` ENUM('convirtiendo', 'subiendo_imagenes', 'publicando', 'encolado') NULL,
+  `payload` TEXT NOT NULL,
+  `result` TEXT NULL,
+  `error_message` TEXT NULL,
+  `error_code` VARCHAR(50) NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `started_at` TIMESTAMP NULL,
+  `completed_at` TIMESTAMP NULL,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (`communique_id`) REFERENCES `condo360_communiques`(`id`) ON DELETE CASCADE,
+  INDEX `idx_status_created` (`status`, `created_at`),
+  INDEX `idx_communique_id` (`communique_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Tabla de aprobaciones de la Junta para comunicados en borrador
+CREATE TABLE IF NOT EXISTS `condo360_communique_approvals` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `communique_id` BIGINT NOT NULL,
+  `wp_user_id` BIGINT UNSIGNED NOT NULL,
+  `decision` ENUM('approved', 'rejected') NOT NULL,
+  `comment` TEXT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`communique_id`) REFERENCES `condo360_communiques`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `uniq_communique_user` (`communique_id`, `wp_user_id`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- Tabla de notificaciones enviadas
@@ -24,7 +152,7 @@ CREATE TABLE IF NOT EXISTS `condo360_communiques_notifications` (
   `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
   `communique_id` BIGINT NOT NULL,
   `email` VARCHAR(255) NOT NULL,
-  `status` ENUM('sent', 'error') NOT NULL,
+  `status` ENUM('sent', 'error', 'bounced') NOT NULL,
   `message` TEXT NULL,
   `sent_at` TIMESTAMP NULL,
   `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -35,22 +163,136 @@ CREATE TABLE IF NOT EXISTS `condo360_communiques_notifications` (
   INDEX `idx_sent_at` (`sent_at`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Tabla de difusiones en Telegram
+CREATE TABLE IF NOT EXISTS `condo360_communiques_telegram` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `communique_id` BIGINT NOT NULL,
+  `chat_id` VARCHAR(64) NOT NULL,
+  `message_type` ENUM('message', 'document', 'media_group') NOT NULL,
+  `telegram_message_id` BIGINT NULL,
+  `status` ENUM('sent', 'error') NOT NULL,
+  `message` TEXT NULL,
+  `sent_at` TIMESTAMP NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`communique_id`) REFERENCES `condo360_communiques`(`id`) ON DELETE CASCADE,
+  INDEX `idx_communique_id` (`communique_id`),
+  INDEX `idx_status` (`status`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Tabla de chats de Telegram vinculados a usuarios de WordPress
+CREATE TABLE IF NOT EXISTS `condo360_telegram_subscribers` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `chat_id` VARCHAR(64) NOT NULL UNIQUE,
+  `telegram_username` VARCHAR(255) NULL,
+  `wp_user_id` BIGINT UNSIGNED NULL,
+  `status` ENUM('pending', 'active', 'inactive') DEFAULT 'pending',
+  `verification_code` VARCHAR(6) NULL,
+  `verification_expires_at` TIMESTAMP NULL,
+  `verification_attempts` INT NOT NULL DEFAULT 0,
+  `linked_at` TIMESTAMP NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX `idx_wp_user_id` (`wp_user_id`),
+  INDEX `idx_status` (`status`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Solicitudes de códigos de vinculación de Telegram (límite por chat y por correo)
+CREATE TABLE IF NOT EXISTS `condo360_telegram_link_requests` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `chat_id` VARCHAR(64) NOT NULL,
+  `email` VARCHAR(255) NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX `idx_created_at` (`created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- Tabla para cola de envío de correos
 CREATE TABLE IF NOT EXISTS `condo360_email_queue` (
   `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
   `communique_id` BIGINT NOT NULL,
+  `kind` ENUM('communique','retraction') NOT NULL DEFAULT 'communique',
   `title` VARCHAR(255) NOT NULL,
   `description` TEXT,
   `wp_post_url` VARCHAR(500),
-  `status` ENUM('pending','processing','completed','failed') DEFAULT 'pending',
+  `image_url` VARCHAR(500) NULL,
+  `priority` ENUM('normal','alta','urgente') NOT NULL DEFAULT 'normal',
+  `status` ENUM('held','pending','processing','completed','failed','cancelled') DEFAULT 'pending',
+  `recipient_count` INT NULL,
   `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   `processed_at` TIMESTAMP NULL,
   `error_message` TEXT NULL,
   FOREIGN KEY (`communique_id`) REFERENCES `condo360_communiques`(`id`) ON DELETE CASCADE,
   INDEX `idx_status` (`status`),
+  INDEX `idx_status_priority` (`status`, `priority`, `created_at`),
   INDEX `idx_created_at` (`created_at`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Buzón de salida: un registro por destinatario de cada envío de la cola
+CREATE TABLE IF NOT EXISTS `condo360_email_outbox` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `queue_id` BIGINT NOT NULL,
+  `communique_id` BIGINT NOT NULL,
+  `email` VARCHAR(255) NOT NULL,
+  `display_name` VARCHAR(255) NULL,
+  `status` ENUM('pending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+  `attempts` INT NOT NULL DEFAULT 0,
+  `next_attempt_at` DATETIME NULL,
+  `failure_type` ENUM('temporary', 'permanent') NULL,
+  `smtp_code` SMALLINT NULL,
+  `error_message` TEXT NULL,
+  `sent_at` TIMESTAMP NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (`queue_id`) REFERENCES `condo360_email_queue`(`id`) ON DELETE CASCADE,
+  UNIQUE KEY `uniq_queue_email` (`queue_id`, `email`),
+  INDEX `idx_queue_status` (`queue_id`, `status`, `id`),
+  INDEX `idx_status_updated` (`status`, `updated_at`),
+  INDEX `idx_status_sent_at` (`status`, `sent_at`),
+  INDEX `idx_communique_id` (`communique_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Direcciones suprimidas por rebote definitivo: no reciben comunicados
+CREATE TABLE IF NOT EXISTS `condo360_email_suppressions` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `email` VARCHAR(255) NOT NULL UNIQUE,
+  `communique_id` BIGINT NULL,
+  `smtp_status` VARCHAR(20) NULL,
+  `diagnostic` TEXT NULL,
+  `bounce_count` INT NOT NULL DEFAULT 1,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX `idx_updated_at` (`updated_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Preferencias de correo de los vecinos: baja de avisos no obligatorios y categorías silenciadas
+CREATE TABLE IF NOT EXISTS `condo360_email_preferences` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `email` VARCHAR(255) NOT NULL UNIQUE,
+  `unsubscribed` TINYINT(1) NOT NULL DEFAULT 0,
+  `muted_categories` VARCHAR(255) NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Listas de audiencia guardadas (comisiones, propietarios de un sector, etc.)
+CREATE TABLE IF NOT EXISTS `condo360_audience_lists` (
+  `id` BIGINT AUTO_INCREMENT PRIMARY KEY,
+  `name` VARCHAR(100) NOT NULL UNIQUE,
+  `label` VARCHAR(255) NOT NULL,
+  `description` TEXT NULL,
+  `created_by` BIGINT UNSIGNED NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Usuarios de WordPress que forman cada lista de audiencia
+CREATE TABLE IF NOT EXISTS `condo360_audience_list_members` (
+  `list_id` BIGINT NOT NULL,
+  `wp_user_id` BIGINT UNSIGNED NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`list_id`, `wp_user_id`),
+  FOREIGN KEY (`list_id`) REFERENCES `condo360_audience_lists`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- Tabla de configuración del sistema
 CREATE TABLE IF NOT EXISTS `condo360_settings` (
   `id` INT AUTO_INCREMENT PRIMARY KEY,
@@ -68,7 +310,22 @@ INSERT INTO `condo360_settings` (`setting_key`, `setting_value`, `description`)
 ('email_template_logo_height', '94', 'Alto del logo en emails'),
 ('notification_role_filter', 'subscriber', 'Rol de usuarios a notificar'),
 ('max_file_size_mb', '25', 'Tamaño máximo de archivo en MB'),
-('allowed_file_types', 'docx,pdf', 'Tipos de archivo permitidos')
+('allowed_file_types', 'docx,pdf,odt,md,txt,jpg,png', 'Tipos de archivo permitidos (docx, pdf, odt, md, txt, jpg, png)'),
+('approval_quorum', '0', 'Aprobaciones requeridas antes de publicar (0 = publicar sin aprobación)'),
+('approval_role', 'junta', 'Rol de WordPress autorizado para aprobar comunicados'),
+('duplicate_window_minutes', '30', 'Minutos en los que una subida con el mismo contenido y autor devuelve el comunicado existente (0 = desactivado)'),
+('admin_role', 'administrator', 'Rol de WordPress autorizado para reanudar o revertir creaciones de comunicados'),
+('archive_mode', 'category', 'Qué hacer con los comunicados vencidos: category (mover a la categoría de archivo) o draft (pasar a borrador)'),
+('archive_category', 'archivo', 'Categoría de WordPress a la que se mueven los comunicados vencidos'),
+('audience_meta_keys', 'torre,unidad', 'Campos de user-meta de WordPress que se pueden usar en la audiencia de un comunicado'),
+('email_max_attempts', '5', 'Intentos de envío por destinatario ante fallas SMTP temporales (4xx) antes de pasar a la lista de fallidos'),
+('email_retry_base_minutes', '5', 'Minutos de espera antes del primer reintento; se duplican en cada intento'),
+('email_batch_size', '30', 'Correos por lote del procesador de la cola'),
+('email_batch_interval_minutes', '2', 'Minutos entre lotes del procesador de la cola'),
+('email_max_per_hour', '0', 'Máximo de correos enviados por hora, urgentes incluidos (0 = sin límite)'),
+('email_quiet_hours_start', '22:00', 'Inicio del horario de silencio (HH:mm, hora de Caracas); solo se envían urgentes. Vacío lo desactiva'),
+('email_quiet_hours_end', '06:00', 'Fin del horario de silencio (HH:mm, hora de Caracas)'),
+('email_mandatory_categories', 'emergencia', 'Categorías que reciben todos los vecinos aunque se hayan dado de baja (separadas por coma)')
 ON DUPLICATE KEY UPDATE `setting_value` = VALUES(`setting_value`);
 
 -- Crear índices adicionales para optimización
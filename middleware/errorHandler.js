@@ -20,15 +20,33 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Campo de archivo desconocido o más anexos de los permitidos
+  if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+    return res.status(400).json({
+      success: false,
+      error: `Campo de archivo inesperado o demasiados archivos en "${err.field}"`,
+      code: 'UNEXPECTED_FILE',
+    });
+  }
+
   // Error de tipo de archivo
   if (err.code === 'INVALID_FILE_TYPE') {
     return res.status(400).json({
       success: false,
-      error: 'Tipo de archivo no permitido. Solo se aceptan archivos .docx y .pdf',
+      error: err.message || 'Tipo de archivo no permitido',
       code: 'INVALID_FILE_TYPE',
     });
   }
 
+  // Error de tipo de anexo
+  if (err.code === 'INVALID_ATTACHMENT_TYPE') {
+    return res.status(400).json({
+      success: false,
+      error: err.message || 'Tipo de anexo no permitido',
+      code: 'INVALID_ATTACHMENT_TYPE',
+    });
+  }
+
   // Error de WordPress API
   if (err.code === 'WP_API_ERROR') {
     return res.status(502).json({
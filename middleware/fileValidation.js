@@ -1,10 +1,309 @@
 const path = require('path');
+const moment = require('moment-timezone');
+const { getSetting } = require('../config/database');
+const AudienceService = require('../services/audienceService');
+
+// Documento principal: extensión -> file_type guardado en condo360_communiques
+const SOURCE_FILE_TYPES = {
+  '.docx': 'docx',
+  '.pdf': 'pdf',
+  '.odt': 'odt',
+  '.md': 'md',
+  '.markdown': 'md',
+  '.txt': 'txt',
+  '.jpg': 'jpg',
+  '.jpeg': 'jpg',
+  '.png': 'png',
+};
+const DEFAULT_ALLOWED_FILE_TYPES = 'docx,pdf,odt,md,txt,jpg,png';
+
+// Categorías de comunicados; se publican como categorías de WordPress
+const COMMUNIQUE_CATEGORIES = ['mantenimiento', 'finanzas', 'asamblea', 'seguridad', 'emergencia'];
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 50;
+
+// Niveles de prioridad: los urgentes se envían antes y sin pausas entre lotes
+const COMMUNIQUE_PRIORITIES = ['normal', 'alta', 'urgente'];
+
+// Idempotency-Key enviada por el cliente para reintentar sin duplicar
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// Audiencia: roles de WordPress, valores de user-meta y listas guardadas
+const ROLE_PATTERN = /^[a-z0-9_-]+$/;
+const MAX_AUDIENCE_VALUES = 20;
+
+// Comunicados redactados sin archivo
+const COMPOSE_FORMATS = ['markdown', 'html'];
+const MAX_COMPOSE_BODY_LENGTH = 200000;
+
+// Anexos: hojas de cálculo, actas, presupuestos e imágenes escaneadas
+const ATTACHMENT_EXTENSIONS = ['.pdf', '.docx', '.doc', '.xlsx', '.xls', '.odt', '.ods', '.jpg', '.jpeg', '.png'];
+const MAX_ATTACHMENTS = parseInt(process.env.MAX_ATTACHMENTS) || 10;
+
+/**
+ * Datos de un archivo subido por multer para uso del controlador
+ */
+const toFileInfo = (file) => ({
+  originalName: file.originalname,
+  filename: file.filename,
+  path: file.path,
+  size: file.size,
+  extension: path.extname(file.originalname).toLowerCase(),
+  fileType: SOURCE_FILE_TYPES[path.extname(file.originalname).toLowerCase()] || null,
+  mimeType: file.mimetype,
+});
+
+/**
+ * Extensiones del documento principal habilitadas en el ajuste allowed_file_types
+ */
+const getAllowedExtensions = async () => {
+  const setting = await getSetting('allowed_file_types', DEFAULT_ALLOWED_FILE_TYPES);
+  const allowedTypes = String(setting || '')
+    .split(',')
+    .map(type => type.trim().toLowerCase().replace(/^\./, ''))
+    .filter(type => type.length > 0);
+
+  return Object.keys(SOURCE_FILE_TYPES)
+    .filter(extension => allowedTypes.includes(SOURCE_FILE_TYPES[extension]) || allowedTypes.includes(extension.substring(1)));
+};
+
+/**
+ * Mensaje de error con las extensiones aceptadas
+ */
+const invalidFileTypeMessage = (allowedExtensions) =>
+  `Tipo de archivo no permitido. Se aceptan: ${allowedExtensions.join(', ')}`;
+
+/**
+ * Validar los anexos en el orden recibido; devuelve un error o la lista para req.attachmentsInfo
+ */
+const parseAttachments = (req) => {
+  const files = req.files?.attachments || [];
+
+  if (files.length > MAX_ATTACHMENTS) {
+    return { error: `Se permiten como máximo ${MAX_ATTACHMENTS} anexos`, code: 'TOO_MANY_ATTACHMENTS' };
+  }
+
+  for (const file of files) {
+    if (!ATTACHMENT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      return {
+        error: `Tipo de anexo no permitido: ${file.originalname}. Se aceptan ${ATTACHMENT_EXTENSIONS.join(', ')}`,
+        code: 'INVALID_ATTACHMENT_TYPE',
+      };
+    }
+
+    if (file.originalname.length > 255) {
+      return { error: 'El nombre de un anexo es demasiado largo', code: 'FILENAME_TOO_LONG' };
+    }
+  }
+
+  return { attachments: files.map(toFileInfo) };
+};
+
+/**
+ * Interpretar categoría y etiquetas (lista o texto separado por comas).
+ * Cada campo queda undefined si no se envió, para que la edición conserve el valor anterior.
+ */
+const parseTaxonomy = (body = {}) => {
+  let category;
+  if (body.category !== undefined) {
+    category = String(body.category).trim().toLowerCase() || null;
+    if (category && !COMMUNIQUE_CATEGORIES.includes(category)) {
+      return { error: `Categoría no válida. Use: ${COMMUNIQUE_CATEGORIES.join(', ')}`, code: 'INVALID_CATEGORY' };
+    }
+  }
+
+  let tags;
+  if (body.tags !== undefined) {
+    const list = Array.isArray(body.tags) ? body.tags : String(body.tags).split(',');
+    tags = [...new Set(
+      list
+        .map(tag => String(tag).replace(/,/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase())
+        .filter(tag => tag.length > 0)
+    )];
+
+    if (tags.length > MAX_TAGS) {
+      return { error: `Se permiten como máximo ${MAX_TAGS} etiquetas`, code: 'TOO_MANY_TAGS' };
+    }
+
+    if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      return { error: `Las etiquetas no pueden superar ${MAX_TAG_LENGTH} caracteres`, code: 'TAG_TOO_LONG' };
+    }
+
+    // El slug de WordPress solo conserva letras y números sin acentos: sin ellos no se puede crear la etiqueta
+    const invalidTag = tags.find(tag => !/[a-z0-9]/.test(tag.normalize('NFD').replace(/[\u0300-\u036f]/g, '')));
+    if (invalidTag) {
+      return { error: `La etiqueta "${invalidTag}" debe contener al menos una letra (a-z) o un número`, code: 'INVALID_TAG' };
+    }
+  }
+
+  return { category, tags };
+};
+
+/**
+ * Interpretar la prioridad; queda undefined si no se envió
+ */
+const parsePriority = (value) => {
+  if (value === undefined) {
+    return { priority: undefined };
+  }
+
+  const priority = String(value).trim().toLowerCase() || 'normal';
+  if (!COMMUNIQUE_PRIORITIES.includes(priority)) {
+    return { error: `Prioridad no válida. Use: ${COMMUNIQUE_PRIORITIES.join(', ')}`, code: 'INVALID_PRIORITY' };
+  }
+
+  return { priority };
+};
+
+/**
+ * Leer la cabecera Idempotency-Key; queda null si no se envió
+ */
+const parseIdempotencyKey = (req) => {
+  const idempotencyKey = (req.get('Idempotency-Key') || '').trim();
+
+  if (idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    return {
+      error: `La cabecera Idempotency-Key no puede superar ${MAX_IDEMPOTENCY_KEY_LENGTH} caracteres`,
+      code: 'INVALID_IDEMPOTENCY_KEY',
+    };
+  }
+
+  return { idempotencyKey: idempotencyKey || null };
+};
+
+/**
+ * Interpretar publish_at (ISO 8601, hora de Caracas si no indica zona)
+ */
+const parsePublishAt = (value) => {
+  if (!value) {
+    return { publishAt: null };
+  }
+
+  const publishAt = moment.tz(value, moment.ISO_8601, 'America/Caracas');
+  if (!publishAt.isValid()) {
+    return { error: 'La fecha de publicación no es válida (use formato ISO 8601, ej: 2025-02-03T07:00)', code: 'INVALID_PUBLISH_AT' };
+  }
+
+  if (publishAt.isBefore(moment().add(1, 'minute'))) {
+    return { error: 'La fecha de publicación debe ser futura', code: 'PUBLISH_AT_IN_PAST' };
+  }
+
+  return { publishAt };
+};
+
+/**
+ * Interpretar expires_at (ISO 8601, hora de Caracas si no indica zona); debe ser posterior a publish_at.
+ * Con allowClear un valor vacío quita el vencimiento (null); sin enviar el campo queda undefined.
+ */
+const parseExpiresAt = (value, { publishAt = null, allowClear = false } = {}) => {
+  if (value === undefined) {
+    return { expiresAt: allowClear ? undefined : null };
+  }
+  if (!value) {
+    return { expiresAt: null };
+  }
+
+  const expiresAt = moment.tz(value, moment.ISO_8601, 'America/Caracas');
+  if (!expiresAt.isValid()) {
+    return { error: 'La fecha de vencimiento no es válida (use formato ISO 8601, ej: 2025-02-08T18:00)', code: 'INVALID_EXPIRES_AT' };
+  }
+
+  if (expiresAt.isBefore(moment().add(1, 'minute'))) {
+    return { error: 'La fecha de vencimiento debe ser futura', code: 'EXPIRES_AT_IN_PAST' };
+  }
+
+  if (publishAt && !expiresAt.isAfter(publishAt)) {
+    return { error: 'La fecha de vencimiento debe ser posterior a la de publicación', code: 'EXPIRES_BEFORE_PUBLISH' };
+  }
+
+  return { expiresAt };
+};
+
+/**
+ * Interpretar audience (objeto JSON o texto JSON en multipart): { roles, meta: { torre: ['B'] }, lists }.
+ * Queda null si no se envió o está vacía (toda la comunidad).
+ */
+const parseAudience = async (value) => {
+  if (value === undefined || value === null || value === '') {
+    return { audience: null };
+  }
+
+  let raw = value;
+  if (typeof value === 'string') {
+    try {
+      raw = JSON.parse(value);
+    } catch (error) {
+      raw = null;
+    }
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'La audiencia debe ser un objeto JSON con roles, meta y/o lists', code: 'INVALID_AUDIENCE' };
+  }
+
+  const toList = (list, lowercase) => [...new Set(
+    [].concat(list ?? [])
+      .map(item => String(item).trim())
+      .map(item => (lowercase ? item.toLowerCase() : item))
+      .filter(item => item.length > 0)
+  )];
+
+  const roles = toList(raw.roles, true);
+  if (roles.some(role => !ROLE_PATTERN.test(role))) {
+    return { error: 'Los roles de la audiencia solo admiten letras minúsculas, números, guiones y guiones bajos', code: 'INVALID_AUDIENCE_ROLE' };
+  }
+
+  if (raw.meta !== undefined && (!raw.meta || typeof raw.meta !== 'object' || Array.isArray(raw.meta))) {
+    return { error: 'audience.meta debe ser un objeto { clave: valores }', code: 'INVALID_AUDIENCE' };
+  }
+
+  const audienceService = new AudienceService();
+  const metaKeys = await audienceService.getMetaKeys();
+  const meta = {};
+  for (const [key, values] of Object.entries(raw.meta || {})) {
+    if (!metaKeys.includes(key)) {
+      return { error: `Campo de audiencia no permitido: ${key}. Use: ${metaKeys.join(', ')}`, code: 'INVALID_AUDIENCE_META_KEY' };
+    }
+    const list = toList(values, false);
+    if (list.length > 0) {
+      meta[key] = list;
+    }
+  }
+
+  const lists = toList(raw.lists, true);
+  if (lists.some(name => !audienceService.isValidListName(name))) {
+    return { error: 'Nombre de lista de audiencia no válido', code: 'INVALID_AUDIENCE_LIST' };
+  }
+
+  if ([roles, lists, ...Object.values(meta)].some(list => list.length > MAX_AUDIENCE_VALUES)) {
+    return { error: `Cada criterio de la audiencia admite como máximo ${MAX_AUDIENCE_VALUES} valores`, code: 'INVALID_AUDIENCE' };
+  }
+
+  const missingLists = await audienceService.findMissingLists(lists);
+  if (missingLists.length > 0) {
+    return { error: `No existen las listas de audiencia: ${missingLists.join(', ')}`, code: 'AUDIENCE_LIST_NOT_FOUND' };
+  }
+
+  if (roles.length === 0 && lists.length === 0 && Object.keys(meta).length === 0) {
+    return { audience: null };
+  }
+
+  return {
+    audience: {
+      ...(roles.length > 0 && { roles }),
+      ...(Object.keys(meta).length > 0 && { meta }),
+      ...(lists.length > 0 && { lists }),
+    },
+  };
+};
 
 /**
  * Middleware para validar archivos subidos
  */
-const validateFileUpload = (req, res, next) => {
+const validateFileUpload = async (req, res, next) => {
   try {
+    // Documento principal (campo file); los anexos llegan en el campo attachments
+    req.file = req.file || req.files?.file?.[0];
+
     // Verificar que se subió un archivo
     if (!req.file) {
       return res.status(400).json({
@@ -34,13 +333,13 @@ const validateFileUpload = (req, res, next) => {
     }
 
     // Validar tipo de archivo
-    const allowedExtensions = ['.pdf', '.docx'];
+    const allowedExtensions = await getAllowedExtensions();
     const fileExtension = path.extname(req.file.originalname).toLowerCase();
     
     if (!allowedExtensions.includes(fileExtension)) {
       return res.status(400).json({
         success: false,
-        error: 'Tipo de archivo no permitido. Solo se aceptan archivos .docx y .pdf',
+        error: invalidFileTypeMessage(allowedExtensions),
         code: 'INVALID_FILE_TYPE',
       });
     }
@@ -83,15 +382,85 @@ const validateFileUpload = (req, res, next) => {
       });
     }
 
+    // Validar categoría y etiquetas
+    const { category, tags, error: taxonomyError, code: taxonomyCode } = parseTaxonomy(req.body);
+    if (taxonomyError) {
+      return res.status(400).json({
+        success: false,
+        error: taxonomyError,
+        code: taxonomyCode,
+      });
+    }
+    req.category = category || null;
+    req.tags = tags || [];
+
+    // Validar prioridad
+    const { priority, error: priorityError, code: priorityCode } = parsePriority(req.body.priority);
+    if (priorityError) {
+      return res.status(400).json({
+        success: false,
+        error: priorityError,
+        code: priorityCode,
+      });
+    }
+    req.priority = priority || 'normal';
+
+    // Validar clave de idempotencia
+    const { idempotencyKey, error: idempotencyError, code: idempotencyCode } = parseIdempotencyKey(req);
+    if (idempotencyError) {
+      return res.status(400).json({
+        success: false,
+        error: idempotencyError,
+        code: idempotencyCode,
+      });
+    }
+    req.idempotencyKey = idempotencyKey;
+
+    // Validar fecha de publicación programada
+    const { publishAt, error: publishAtError, code: publishAtCode } = parsePublishAt(req.body.publish_at);
+    if (publishAtError) {
+      return res.status(400).json({
+        success: false,
+        error: publishAtError,
+        code: publishAtCode,
+      });
+    }
+    req.publishAt = publishAt;
+
+    // Vencimiento opcional: al llegar la fecha el comunicado se archiva
+    const { expiresAt, error: expiresAtError, code: expiresAtCode } = parseExpiresAt(req.body.expires_at, { publishAt });
+    if (expiresAtError) {
+      return res.status(400).json({
+        success: false,
+        error: expiresAtError,
+        code: expiresAtCode,
+      });
+    }
+    req.expiresAt = expiresAt;
+
+    // Audiencia opcional: sin ella el correo va a toda la comunidad
+    const { audience, error: audienceError, code: audienceCode } = await parseAudience(req.body.audience);
+    if (audienceError) {
+      return res.status(400).json({
+        success: false,
+        error: audienceError,
+        code: audienceCode,
+      });
+    }
+    req.audience = audience;
+
+    const { attachments, error: attachmentsError, code: attachmentsCode } = parseAttachments(req);
+    if (attachmentsError) {
+      return res.status(400).json({
+        success: false,
+        error: attachmentsError,
+        code: attachmentsCode,
+      });
+    }
+    req.attachmentsInfo = attachments;
+
     // Agregar información del archivo al request para uso posterior
-    req.fileInfo = {
-      originalName: req.file.originalname,
-      filename: req.file.filename,
-      path: req.file.path,
-      size: req.file.size,
-      extension: fileExtension,
-      mimeType: req.file.mimetype,
-    };
+    req.fileInfo = toFileInfo(req.file);
 
     next();
   } catch (error) {
@@ -104,6 +473,286 @@ const validateFileUpload = (req, res, next) => {
   }
 };
 
+/**
+ * Middleware para validar la edición de un comunicado (archivo opcional)
+ */
+const validateCommuniqueUpdate = async (req, res, next) => {
+  try {
+    const { title, description } = req.body;
+    req.file = req.file || req.files?.file?.[0];
+    const hasAttachments = (req.files?.attachments || []).length > 0;
+
+    if (!req.file && !hasAttachments && title === undefined && description === undefined && req.body.expires_at === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Debe indicar un nuevo título, descripción, archivo, anexos o vencimiento',
+        code: 'NOTHING_TO_UPDATE',
+      });
+    }
+
+    if (title !== undefined && title.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'El título no puede estar vacío',
+        code: 'MISSING_TITLE',
+      });
+    }
+
+    if (title && title.length > 255) {
+      return res.status(400).json({
+        success: false,
+        error: 'El título es demasiado largo (máximo 255 caracteres)',
+        code: 'TITLE_TOO_LONG',
+      });
+    }
+
+    // Cada cambio queda registrado con su editor en el historial de revisiones
+    if (!req.body.wp_user_id || isNaN(parseInt(req.body.wp_user_id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'El ID de usuario de WordPress es obligatorio',
+        code: 'MISSING_WP_USER_ID',
+      });
+    }
+
+    if (description && description.length > 1000) {
+      return res.status(400).json({
+        success: false,
+        error: 'La descripción es demasiado larga (máximo 1000 caracteres)',
+        code: 'DESCRIPTION_TOO_LONG',
+      });
+    }
+
+    if (req.body.correction_note && req.body.correction_note.length > 1000) {
+      return res.status(400).json({
+        success: false,
+        error: 'La nota de corrección es demasiado larga (máximo 1000 caracteres)',
+        code: 'CORRECTION_NOTE_TOO_LONG',
+      });
+    }
+
+    if (req.file) {
+      const allowedExtensions = await getAllowedExtensions();
+      const fileExtension = path.extname(req.file.originalname).toLowerCase();
+
+      if (!allowedExtensions.includes(fileExtension)) {
+        return res.status(400).json({
+          success: false,
+          error: invalidFileTypeMessage(allowedExtensions),
+          code: 'INVALID_FILE_TYPE',
+        });
+      }
+
+      req.fileInfo = toFileInfo(req.file);
+    }
+
+    // Categoría y etiquetas solo cambian si se envían
+    const { category, tags, error: taxonomyError, code: taxonomyCode } = parseTaxonomy(req.body);
+    if (taxonomyError) {
+      return res.status(400).json({
+        success: false,
+        error: taxonomyError,
+        code: taxonomyCode,
+      });
+    }
+    req.category = category;
+    req.tags = tags;
+
+    // La prioridad solo cambia si se envía
+    const { priority, error: priorityError, code: priorityCode } = parsePriority(req.body.priority);
+    if (priorityError) {
+      return res.status(400).json({
+        success: false,
+        error: priorityError,
+        code: priorityCode,
+      });
+    }
+    req.priority = priority;
+
+    // El vencimiento solo cambia si se envía; vacío lo quita. La comparación con publish_at la hace el controlador
+    const { expiresAt, error: expiresAtError, code: expiresAtCode } = parseExpiresAt(req.body.expires_at, { allowClear: true });
+    if (expiresAtError) {
+      return res.status(400).json({
+        success: false,
+        error: expiresAtError,
+        code: expiresAtCode,
+      });
+    }
+    req.expiresAt = expiresAt;
+
+    // Si se envían anexos reemplazan a los anteriores
+    const { attachments, error: attachmentsError, code: attachmentsCode } = parseAttachments(req);
+    if (attachmentsError) {
+      return res.status(400).json({
+        success: false,
+        error: attachmentsError,
+        code: attachmentsCode,
+      });
+    }
+    req.attachmentsInfo = hasAttachments ? attachments : null;
+
+    next();
+  } catch (error) {
+    console.error('❌ Error en validación de edición:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno al validar la edición',
+      code: 'VALIDATION_ERROR',
+    });
+  }
+};
+
+/**
+ * Middleware para validar comunicados redactados desde el formulario (JSON, sin archivo)
+ */
+const validateCommuniqueCompose = async (req, res, next) => {
+  try {
+    const { title, description, wp_user_id, body, format } = req.body || {};
+
+    if (!title || typeof title !== 'string' || title.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'El título es obligatorio',
+        code: 'MISSING_TITLE',
+      });
+    }
+
+    if (title.length > 255) {
+      return res.status(400).json({
+        success: false,
+        error: 'El título es demasiado largo (máximo 255 caracteres)',
+        code: 'TITLE_TOO_LONG',
+      });
+    }
+
+    if (!wp_user_id || isNaN(parseInt(wp_user_id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'El ID de usuario de WordPress es obligatorio',
+        code: 'MISSING_WP_USER_ID',
+      });
+    }
+
+    if (description && description.length > 1000) {
+      return res.status(400).json({
+        success: false,
+        error: 'La descripción es demasiado larga (máximo 1000 caracteres)',
+        code: 'DESCRIPTION_TOO_LONG',
+      });
+    }
+
+    if (!body || typeof body !== 'string' || body.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'El cuerpo del comunicado es obligatorio',
+        code: 'MISSING_BODY',
+      });
+    }
+
+    if (body.length > MAX_COMPOSE_BODY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `El cuerpo del comunicado es demasiado largo (máximo ${MAX_COMPOSE_BODY_LENGTH} caracteres)`,
+        code: 'BODY_TOO_LONG',
+      });
+    }
+
+    if (format && !COMPOSE_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Formato no válido. Use: ${COMPOSE_FORMATS.join(', ')}`,
+        code: 'INVALID_BODY_FORMAT',
+      });
+    }
+
+    // Validar categoría y etiquetas
+    const { category, tags, error: taxonomyError, code: taxonomyCode } = parseTaxonomy(req.body);
+    if (taxonomyError) {
+      return res.status(400).json({
+        success: false,
+        error: taxonomyError,
+        code: taxonomyCode,
+      });
+    }
+    req.category = category || null;
+    req.tags = tags || [];
+
+    // Validar prioridad
+    const { priority, error: priorityError, code: priorityCode } = parsePriority(req.body.priority);
+    if (priorityError) {
+      return res.status(400).json({
+        success: false,
+        error: priorityError,
+        code: priorityCode,
+      });
+    }
+    req.priority = priority || 'normal';
+
+    // Validar clave de idempotencia
+    const { idempotencyKey, error: idempotencyError, code: idempotencyCode } = parseIdempotencyKey(req);
+    if (idempotencyError) {
+      return res.status(400).json({
+        success: false,
+        error: idempotencyError,
+        code: idempotencyCode,
+      });
+    }
+    req.idempotencyKey = idempotencyKey;
+
+    const { publishAt, error: publishAtError, code: publishAtCode } = parsePublishAt(req.body.publish_at);
+    if (publishAtError) {
+      return res.status(400).json({
+        success: false,
+        error: publishAtError,
+        code: publishAtCode,
+      });
+    }
+    req.publishAt = publishAt;
+
+    // Vencimiento opcional: al llegar la fecha el comunicado se archiva
+    const { expiresAt, error: expiresAtError, code: expiresAtCode } = parseExpiresAt(req.body.expires_at, { publishAt });
+    if (expiresAtError) {
+      return res.status(400).json({
+        success: false,
+        error: expiresAtError,
+        code: expiresAtCode,
+      });
+    }
+    req.expiresAt = expiresAt;
+
+    // Audiencia opcional: sin ella el correo va a toda la comunidad
+    const { audience, error: audienceError, code: audienceCode } = await parseAudience(req.body.audience);
+    if (audienceError) {
+      return res.status(400).json({
+        success: false,
+        error: audienceError,
+        code: audienceCode,
+      });
+    }
+    req.audience = audience;
+
+    next();
+  } catch (error) {
+    console.error('❌ Error en validación de redacción:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error interno al validar el comunicado',
+      code: 'VALIDATION_ERROR',
+    });
+  }
+};
+
 module.exports = {
   validateFileUpload,
+  validateCommuniqueUpdate,
+  validateCommuniqueCompose,
+  getAllowedExtensions,
+  invalidFileTypeMessage,
+  parseExpiresAt,
+  parseAudience,
+  ATTACHMENT_EXTENSIONS,
+  MAX_ATTACHMENTS,
+  SOURCE_FILE_TYPES,
+  COMMUNIQUE_CATEGORIES,
+  COMMUNIQUE_PRIORITIES,
 };
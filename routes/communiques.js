@@ -4,7 +4,15 @@ const path = require('path');
 const fs = require('fs').promises;
 
 const communiquesController = require('../controllers/communiquesController');
-const { validateFileUpload } = require('../middleware/fileValidation');
+const {
+  validateFileUpload,
+  validateCommuniqueUpdate,
+  validateCommuniqueCompose,
+  getAllowedExtensions,
+  invalidFileTypeMessage,
+  ATTACHMENT_EXTENSIONS,
+  MAX_ATTACHMENTS,
+} = require('../middleware/fileValidation');
 
 const router = express.Router();
 
@@ -35,26 +43,54 @@ const upload = multer({
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 25 * 1024 * 1024, // 25MB por defecto
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
-    const allowedExtensions = ['.pdf', '.docx'];
-    
     const fileExtension = path.extname(file.originalname).toLowerCase();
-    
-    if (allowedTypes.includes(file.mimeType) || allowedExtensions.includes(fileExtension)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Tipo de archivo no permitido. Solo se aceptan archivos .docx y .pdf'), false);
+
+    // Los anexos admiten más formatos que el documento principal
+    if (file.fieldname === 'attachments') {
+      if (ATTACHMENT_EXTENSIONS.includes(fileExtension)) {
+        return cb(null, true);
+      }
+
+      const error = new Error(`Tipo de anexo no permitido: ${file.originalname}. Se aceptan ${ATTACHMENT_EXTENSIONS.join(', ')}`);
+      error.code = 'INVALID_ATTACHMENT_TYPE';
+      return cb(error, false);
     }
+
+    // Formatos del documento principal según el ajuste allowed_file_types
+    getAllowedExtensions()
+      .then(allowedExtensions => {
+        if (allowedExtensions.includes(fileExtension)) {
+          return cb(null, true);
+        }
+
+        const error = new Error(invalidFileTypeMessage(allowedExtensions));
+        error.code = 'INVALID_FILE_TYPE';
+        cb(error, false);
+      })
+      .catch(error => cb(error, false));
   },
 });
 
+// Documento principal más anexos ordenados
+const uploadFields = upload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'attachments', maxCount: MAX_ATTACHMENTS },
+]);
+
 /**
  * @swagger
  * /communiques/upload:
  *   post:
  *     summary: Subir comunicado
- *     description: Sube un archivo de comunicado (.docx o .pdf) y lo publica en WordPress
+ *     description: Sube un archivo de comunicado (.docx, .odt, .pdf, .md, .txt o foto .jpg/.png, según allowed_file_types) y lo publica en WordPress, o lo guarda como borrador si se requiere aprobación de la Junta (approval_quorum)
  *     tags: [Comunicados]
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Clave única del envío. Reintentar con la misma clave devuelve el comunicado ya creado
  *     requestBody:
  *       required: true
  *       content:
@@ -69,7 +105,7 @@ const upload = multer({
  *               file:
  *                 type: string
  *                 format: binary
- *                 description: Archivo .docx o .pdf (máximo 25MB)
+ *                 description: Archivo .docx, .odt, .pdf, .md, .txt, .jpg o .png habilitado en allowed_file_types (máximo 25MB)
  *               title:
  *                 type: string
  *                 description: Título del comunicado
@@ -82,6 +118,43 @@ const upload = multer({
  *               user_display_name:
  *                 type: string
  *                 description: Nombre del usuario que envía el comunicado
+ *               attachments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Anexos en el orden en que se listarán (pdf, docx, doc, xlsx, xls, odt, ods, jpg, png)
+ *               category:
+ *                 type: string
+ *                 enum: [mantenimiento, finanzas, asamblea, seguridad, emergencia]
+ *                 description: Categoría del comunicado (categoría de WordPress)
+ *               tags:
+ *                 type: string
+ *                 description: Etiquetas libres separadas por comas (máximo 10); se crean en WordPress si no existen
+ *               priority:
+ *                 type: string
+ *                 enum: [normal, alta, urgente]
+ *                 default: normal
+ *                 description: Prioridad. Los urgentes se envían antes que el resto de la cola, sin pausas entre lotes, y quedan fijados en WordPress
+ *               publish_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Fecha de publicación programada (ISO 8601, hora de Caracas si no indica zona). Si se omite se publica de inmediato
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Fecha de vencimiento (ISO 8601, hora de Caracas si no indica zona). Al llegar el post pasa a la categoría de archivo o a borrador (archive_mode) y el comunicado queda archived
+ *               audience:
+ *                 type: string
+ *                 description: 'Audiencia del correo en JSON, ej. {"roles":["subscriber"],"meta":{"torre":["B"]},"lists":["comision-piscina"]}. Roles y meta se combinan; las listas suman a sus miembros. Si se omite se notifica a toda la comunidad'
+ *               force:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Crear el comunicado aunque el mismo autor haya subido el mismo contenido recientemente (duplicate_window_minutes)
+ *               async:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Responder 202 apenas se guarda el archivo y procesarlo en segundo plano; el avance se consulta en GET /communiques/jobs/{id}
  *     responses:
  *       200:
  *         description: Comunicado subido exitosamente
@@ -105,12 +178,121 @@ const upload = multer({
  *                       type: string
  *                     notifications_sent:
  *                       type: integer
+ *                     duplicate:
+ *                       type: boolean
+ *                       description: true si se devolvió un comunicado ya existente en lugar de crear uno nuevo
+ *                     matched_by:
+ *                       type: string
+ *                       enum: [idempotency_key, content_hash]
+ *       202:
+ *         description: Archivo recibido (async=true); se procesa en segundo plano
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     job_id:
+ *                       type: string
+ *                     communique_id:
+ *                       type: integer
+ *                     status:
+ *                       type: string
+ *                     status_url:
+ *                       type: string
  *       400:
  *         description: Error de validación
  *       500:
  *         description: Error interno del servidor
  */
-router.post('/upload', upload.single('file'), validateFileUpload, communiquesController.uploadCommunique);
+router.post('/upload', uploadFields, validateFileUpload, communiquesController.uploadCommunique);
+
+/**
+ * @swagger
+ * /communiques:
+ *   post:
+ *     summary: Redactar comunicado
+ *     description: Crea un comunicado a partir de texto en Markdown o HTML, sin subir archivo. Se publica, programa o guarda como borrador igual que en la subida
+ *     tags: [Comunicados]
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Clave única del envío. Reintentar con la misma clave devuelve el comunicado ya creado
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - body
+ *               - wp_user_id
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Título del comunicado
+ *               description:
+ *                 type: string
+ *                 description: Descripción corta del comunicado
+ *               body:
+ *                 type: string
+ *                 description: Cuerpo del comunicado; se sanea antes de publicarlo
+ *               format:
+ *                 type: string
+ *                 enum: [markdown, html]
+ *                 default: markdown
+ *                 description: Formato del cuerpo
+ *               wp_user_id:
+ *                 type: integer
+ *                 description: ID del usuario de WordPress que redacta el comunicado
+ *               category:
+ *                 type: string
+ *                 enum: [mantenimiento, finanzas, asamblea, seguridad, emergencia]
+ *                 description: Categoría del comunicado (categoría de WordPress)
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Etiquetas libres (máximo 10); se crean en WordPress si no existen
+ *               priority:
+ *                 type: string
+ *                 enum: [normal, alta, urgente]
+ *                 default: normal
+ *                 description: Prioridad. Los urgentes se envían antes que el resto de la cola, sin pausas entre lotes, y quedan fijados en WordPress
+ *               publish_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Fecha de publicación programada (ISO 8601, hora de Caracas si no indica zona)
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Fecha de vencimiento (ISO 8601, hora de Caracas si no indica zona). Al llegar el post pasa a la categoría de archivo o a borrador (archive_mode) y el comunicado queda archived
+ *               audience:
+ *                 type: object
+ *                 description: Audiencia del correo (roles, meta, lists); ver POST /communiques/upload
+ *               force:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Crear el comunicado aunque el mismo autor haya subido el mismo contenido recientemente (duplicate_window_minutes)
+ *     responses:
+ *       200:
+ *         description: Comunicado creado (publicado, programado o en borrador), o el existente con duplicate=true si el envío se repitió
+ *       400:
+ *         description: Error de validación o cuerpo vacío
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/', validateCommuniqueCompose, communiquesController.composeCommunique);
 
 /**
  * @swagger
@@ -136,8 +318,38 @@ router.post('/upload', upload.single('file'), validateFileUpload, communiquesCon
  *         name: file_type
  *         schema:
  *           type: string
- *           enum: [docx, pdf]
+ *           enum: [docx, odt, pdf, md, txt, jpg, png, html]
  *         description: Filtrar por tipo de archivo
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [mantenimiento, finanzas, asamblea, seguridad, emergencia]
+ *         description: Filtrar por categoría
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Filtrar por etiqueta
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: [normal, alta, urgente]
+ *         description: Filtrar por prioridad
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, rejected, published, scheduled, archived, retracted, deleted]
+ *           default: published
+ *         description: Filtrar por estado del comunicado (scheduled lista los programados por fecha de publicación)
+ *       - in: query
+ *         name: include_archived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Incluir los comunicados vencidos (archived) junto con los publicados
  *     responses:
  *       200:
  *         description: Lista de comunicados obtenida exitosamente
@@ -185,21 +397,115 @@ router.get('/', communiquesController.getCommuniques);
 
 /**
  * @swagger
- * /communiques/{id}:
+ * /communiques/search:
  *   get:
- *     summary: Obtener comunicado por ID
- *     description: Obtiene los detalles de un comunicado específico y sus notificaciones
+ *     summary: Buscar comunicados
+ *     description: Búsqueda de texto completo en título, descripción y texto extraído del documento, ordenada por relevancia y con extractos resaltados
+ *     tags: [Comunicados]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Palabras a buscar (todas deben aparecer; se aceptan prefijos de 3 o más letras)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Número de página
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Número de elementos por página
+ *       - in: query
+ *         name: file_type
+ *         schema:
+ *           type: string
+ *           enum: [docx, odt, pdf, md, txt, jpg, png, html]
+ *         description: Filtrar por tipo de archivo
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [mantenimiento, finanzas, asamblea, seguridad, emergencia]
+ *         description: Filtrar por categoría
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Filtrar por etiqueta
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: [normal, alta, urgente]
+ *         description: Filtrar por prioridad
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, rejected, published, scheduled, archived, retracted, deleted]
+ *           default: published
+ *         description: Filtrar por estado del comunicado
+ *       - in: query
+ *         name: include_archived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Incluir los comunicados vencidos (archived) junto con los publicados
+ *     responses:
+ *       200:
+ *         description: Resultados de la búsqueda con la misma paginación que el listado; cada comunicado incluye relevance y snippet (HTML con las coincidencias en <mark>)
+ *       400:
+ *         description: Consulta vacía o sin palabras de 3 o más letras
+ */
+router.get('/search', communiquesController.searchCommuniques);
+
+/**
+ * @swagger
+ * /communiques/pipeline:
+ *   get:
+ *     summary: Listar creaciones atascadas
+ *     description: Lista los comunicados cuya creación falló o lleva más de 30 minutos sin avanzar, con el estado de cada paso (media, post, queue, telegram) y lo que creó. Solo para el rol admin_role
+ *     tags: [Comunicados]
+ *     parameters:
+ *       - in: query
+ *         name: wp_user_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario de WordPress (rol admin_role)
+ *     responses:
+ *       200:
+ *         description: Creaciones fallidas o atascadas
+ *       400:
+ *         description: Falta el ID de usuario
+ *       403:
+ *         description: El usuario no tiene el rol de administración
+ */
+router.get('/pipeline', communiquesController.getStuckPipelines);
+
+/**
+ * @swagger
+ * /communiques/jobs/{id}:
+ *   get:
+ *     summary: Consultar el avance de una subida asíncrona
+ *     description: Estado del trabajo creado por POST /communiques/upload con async=true. Informa la etapa en curso (convirtiendo, subiendo_imagenes, publicando, encolado) y, al terminar, los datos del comunicado o el error
  *     tags: [Comunicados]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: integer
- *         description: ID del comunicado
+ *           type: string
+ *         description: ID del trabajo (job_id de la respuesta 202)
  *     responses:
  *       200:
- *         description: Comunicado obtenido exitosamente
+ *         description: Estado del trabajo
  *         content:
  *           application/json:
  *             schema:
@@ -207,39 +513,56 @@ router.get('/', communiquesController.getCommuniques);
  *               properties:
  *                 success:
  *                   type: boolean
+ *                 message:
+ *                   type: string
  *                 data:
  *                   type: object
  *                   properties:
- *                     communique:
- *                       type: object
- *                     notifications:
+ *                     job_id:
+ *                       type: string
+ *                     communique_id:
+ *                       type: integer
+ *                     status:
+ *                       type: string
+ *                       enum: [pending, processing, completed, failed]
+ *                     stage:
+ *                       type: string
+ *                       enum: [convirtiendo, subiendo_imagenes, publicando, encolado]
+ *                     stages:
  *                       type: array
  *                       items:
  *                         type: object
  *                         properties:
- *                           email:
+ *                           key:
  *                             type: string
- *                           status:
+ *                           label:
  *                             type: string
- *                             enum: [sent, error]
- *                           sent_at:
+ *                           state:
  *                             type: string
- *                             format: date-time
+ *                             enum: [pending, running, done, failed]
+ *                     progress:
+ *                       type: integer
+ *                       description: Porcentaje de etapas terminadas
+ *                     result:
+ *                       type: object
+ *                       description: Datos de la subida terminada (los mismos de la respuesta 200 de /upload)
+ *                     error:
+ *                       type: object
  *       404:
- *         description: Comunicado no encontrado
+ *         description: Trabajo no encontrado
  */
-router.get('/:id', communiquesController.getCommuniqueById);
+router.get('/jobs/:id', communiquesController.getUploadJob);
 
 /**
  * @swagger
- * /communiques/stats:
+ * /communiques/upload-config:
  *   get:
- *     summary: Obtener estadísticas de comunicados
- *     description: Obtiene estadísticas generales de los comunicados
+ *     summary: Formatos aceptados en la subida
+ *     description: Extensiones del documento principal habilitadas en allowed_file_types, extensiones de los anexos y máximo de anexos. El plugin de WordPress las usa para validar antes de subir
  *     tags: [Comunicados]
  *     responses:
  *       200:
- *         description: Estadísticas obtenidas exitosamente
+ *         description: Formatos aceptados
  *         content:
  *           application/json:
  *             schema:
@@ -250,19 +573,838 @@ router.get('/:id', communiquesController.getCommuniqueById);
  *                 data:
  *                   type: object
  *                   properties:
- *                     total_comunicados:
- *                       type: integer
- *                     comunicados_docx:
- *                       type: integer
- *                     comunicados_pdf:
- *                       type: integer
- *                     total_notifications:
- *                       type: integer
- *                     notifications_sent:
- *                       type: integer
- *                     notifications_failed:
+ *                     allowed_extensions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: [docx, pdf, jpg, jpeg]
+ *                     attachment_extensions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     max_attachments:
  *                       type: integer
  */
-router.get('/stats', communiquesController.getCommuniquesStats);
+router.get('/upload-config', communiquesController.getUploadConfig);
+
+/**
+ * @swagger
+ * /communiques/audiences:
+ *   get:
+ *     summary: Opciones de audiencia
+ *     description: Rol predeterminado (notification_role_filter), campos de user-meta permitidos (audience_meta_keys) y listas guardadas con su cantidad de miembros
+ *     tags: [Comunicados]
+ *     responses:
+ *       200:
+ *         description: Opciones de audiencia
+ */
+router.get('/audiences', communiquesController.getAudiences);
+
+/**
+ * @swagger
+ * /communiques/audiences/lists/{name}:
+ *   get:
+ *     summary: Obtener una lista de audiencia
+ *     tags: [Comunicados]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lista con los IDs de usuario de sus miembros
+ *       404:
+ *         description: Lista no encontrada
+ *   put:
+ *     summary: Crear o reemplazar una lista de audiencia
+ *     description: Guarda una lista con nombre para usarla en audience.lists. Los miembros enviados reemplazan a los anteriores. Requiere el rol admin_role
+ *     tags: [Comunicados]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nombre de la lista (minúsculas, números, guiones y guiones bajos)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - wp_user_id
+ *               - members
+ *             properties:
+ *               wp_user_id:
+ *                 type: integer
+ *                 description: ID del usuario de WordPress (rol admin_role)
+ *               label:
+ *                 type: string
+ *                 description: Nombre visible de la lista
+ *               description:
+ *                 type: string
+ *               members:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: IDs de usuario de WordPress de los miembros
+ *     responses:
+ *       200:
+ *         description: Lista guardada
+ *       400:
+ *         description: Nombre o miembros no válidos
+ *       403:
+ *         description: El usuario no tiene el rol de administración
+ *   delete:
+ *     summary: Eliminar una lista de audiencia
+ *     description: Los comunicados ya encolados conservan sus destinatarios. Requiere el rol admin_role
+ *     tags: [Comunicados]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: wp_user_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Lista eliminada
+ *       403:
+ *         description: El usuario no tiene el rol de administración
+ *       404:
+ *         description: Lista no encontrada
+ */
+router.get('/audiences/lists/:name', communiquesController.getAudienceList);
+router.put('/audiences/lists/:name', communiquesController.saveAudienceList);
+router.delete('/audiences/lists/:name', communiquesController.deleteAudienceList);
+
+/**
+ * @swagger
+ * /communiques/dead-letters:
+ *   get:
+ *     summary: Lista de correos fallidos
+ *     description: Destinatarios a los que no se pudo enviar un comunicado, por falla SMTP permanente (5xx) o por agotar los reintentos de fallas temporales (email_max_attempts). Requiere el rol admin_role
+ *     tags: [Comunicados]
+ *     parameters:
+ *       - in: query
+ *         name: wp_user_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario de WordPress (rol admin_role)
+ *       - in: query
+ *         name: communique_id
+ *         schema:
+ *           type: integer
+ *         description: Solo los fallidos de este comunicado
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Destinatarios fallidos con el código SMTP, el tipo de falla y los intentos
+ *       400:
+ *         description: Falta el ID de usuario
+ *       403:
+ *         description: El usuario no tiene el rol de administración
+ */
+router.get('/dead-letters', communiquesController.getDeadLetters);
+
+/**
+ * @swagger
+ * /communiques/dead-letters/resend:
+ *   post:
+ *     summary: Reenviar correos fallidos
+ *     description: Devuelve a la cola los destinatarios indicados (o todos los fallidos de un comunicado) con los intentos en cero. Los envíos cancelados no se reenvían. Requiere el rol admin_role
+ *     tags: [Comunicados]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - wp_user_id
+ *             properties:
+ *               wp_user_id:
+ *                 type: integer
+ *                 description: ID del usuario de WordPress (rol admin_role)
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: IDs de la lista de fallidos a reenviar
+ *               communique_id:
+ *                 type: integer
+ *                 description: Reenviar todos los fallidos de este comunicado
+ *     responses:
+ *       200:
+ *         description: Destinatarios devueltos a la cola
+ *       400:
+ *         description: Faltan ids o communique_id
+ *       403:
+ *         description: El usuario no tiene el rol de administración
+ *       404:
+ *         description: No hay fallidos que reenviar con esos criterios
+ */
+router.post('/dead-letters/resend', communiquesController.resendDeadLetters);
+
+/**
+ * @swagger
+ * /communiques/email-schedule:
+ *   get:
+ *     summary: Consultar el ritmo de envío de correos
+ *     description: Tamaño de lote, minutos entre lotes, máximo por hora y horario de silencio vigentes (condo360_settings). Requiere el rol admin_role
+ *     tags: [Comunicados]
+ *     parameters:
+ *       - in: query
+ *         name: wp_user_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario de WordPress (rol admin_role)
+ *     responses:
+ *       200:
+ *         description: Ritmo de envío vigente
+ *       403:
+ *         description: El usuario no tiene el rol de administración
+ *   put:
+ *     summary: Cambiar el ritmo de envío de correos
+ *     description: Guarda los valores indicados en condo360_settings y los aplica al procesador en marcha sin reiniciar. En el horario de silencio solo se envían los comunicados urgentes; el máximo por hora aplica a todos. Requiere el rol admin_role
+ *     tags: [Comunicados]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - wp_user_id
+ *             properties:
+ *               wp_user_id:
+ *                 type: integer
+ *                 description: ID del usuario de WordPress (rol admin_role)
+ *               batch_size:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 500
+ *               interval_minutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1440
+ *               max_per_hour:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: 0 = sin límite
+ *               quiet_hours:
+ *                 type: object
+ *                 nullable: true
+ *                 description: Horario de silencio en hora de Caracas; null lo desactiva
+ *                 properties:
+ *                   start:
+ *                     type: string
+ *                     example: "22:00"
+ *                   end:
+ *                     type: string
+ *                     example: "06:00"
+ *     responses:
+ *       200:
+ *         description: Ritmo de envío actualizado
+ *       400:
+ *         description: Valores no válidos
+ *       403:
+ *         description: El usuario no tiene el rol de administración
+ */
+router.get('/email-schedule', communiquesController.getEmailSchedule);
+router.put('/email-schedule', communiquesController.updateEmailSchedule);
+
+/**
+ * @swagger
+ * /communiques/suppressions:
+ *   get:
+ *     summary: Direcciones suprimidas por rebote
+ *     description: Direcciones con un rebote definitivo (DSN 5.x.x) leído por el procesador de rebotes. No reciben comunicados. Requiere el rol admin_role
+ *     tags: [Comunicados]
+ *     parameters:
+ *       - in: query
+ *         name: wp_user_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario de WordPress (rol admin_role)
+ *     responses:
+ *       200:
+ *         description: Direcciones suprimidas con el estado y el diagnóstico del último rebote
+ *       403:
+ *         description: El usuario no tiene el rol de administración
+ */
+router.get('/suppressions', communiquesController.getSuppressions);
+
+/**
+ * @swagger
+ * /communiques/suppressions/{email}:
+ *   delete:
+ *     summary: Quitar una dirección de las suprimidas
+ *     description: La dirección vuelve a recibir comunicados desde el próximo envío (por ejemplo, cuando el vecino corrigió su buzón). Requiere el rol admin_role
+ *     tags: [Comunicados]
+ *     parameters:
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: wp_user_id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Dirección quitada de las suprimidas
+ *       403:
+ *         description: El usuario no tiene el rol de administración
+ *       404:
+ *         description: La dirección no está suprimida
+ */
+router.delete('/suppressions/:email', communiquesController.deleteSuppression);
+
+// Antes de /:id, que de lo contrario tomaría "stats" como ID
+/**
+ * @swagger
+ * /communiques/stats:
+ *   get:
+ *     summary: Obtener estadísticas de comunicados
+ *     description: Obtiene estadísticas generales de los comunicados
+ *     tags: [Comunicados]
+ *     responses:
+ *       200:
+ *         description: Estadísticas obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     total_comunicados:
+ *                       type: integer
+ *                     comunicados_docx:
+ *                       type: integer
+ *                     comunicados_pdf:
+ *                       type: integer
+ *                     total_notifications:
+ *                       type: integer
+ *                     notifications_sent:
+ *                       type: integer
+ *                     notifications_failed:
+ *                       type: integer
+ */
+router.get('/stats', communiquesController.getCommuniquesStats);
+
+/**
+ * @swagger
+ * /communiques/{id}:
+ *   get:
+ *     summary: Obtener comunicado por ID
+ *     description: Obtiene los detalles de un comunicado específico y sus notificaciones
+ *     tags: [Comunicados]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del comunicado
+ *     responses:
+ *       200:
+ *         description: Comunicado obtenido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     communique:
+ *                       type: object
+ *                     notifications:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           email:
+ *                             type: string
+ *                           status:
+ *                             type: string
+ *                             enum: [sent, error]
+ *                           sent_at:
+ *                             type: string
+ *                             format: date-time
+ *       404:
+ *         description: Comunicado no encontrado
+ */
+router.get('/:id', communiquesController.getCommuniqueById);
+
+/**
+ * @swagger
+ * /communiques/{id}:
+ *   put:
+ *     summary: Editar comunicado publicado
+ *     description: Actualiza título, descripción y/o archivo de un comunicado y su post en WordPress. No vuelve a notificar salvo que se indique notify=true
+ *     tags: [Comunicados]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del comunicado
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Archivo que reemplaza al original (opcional, mismos formatos que en la subida)
+ *               attachments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Anexos que reemplazan la lista anterior completa (opcional)
+ *               title:
+ *                 type: string
+ *                 description: Nuevo título
+ *               description:
+ *                 type: string
+ *                 description: Nueva descripción corta
+ *               category:
+ *                 type: string
+ *                 enum: [mantenimiento, finanzas, asamblea, seguridad, emergencia]
+ *                 description: Nueva categoría (vacío la quita)
+ *               tags:
+ *                 type: string
+ *                 description: Etiquetas que reemplazan a las anteriores (vacío las quita)
+ *               priority:
+ *                 type: string
+ *                 enum: [normal, alta, urgente]
+ *                 description: Nueva prioridad; solo urgente deja el post fijado en WordPress
+ *               expires_at:
+ *                 type: string
+ *                 description: Nueva fecha de vencimiento (vacío la quita). En un comunicado archivado lo vuelve a publicar
+ *               notify:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Volver a notificar a los residentes por correo y Telegram. No aplica a borradores ni programados, que se notifican al publicarse
+ *               correction_banner:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Agregar un aviso de corrección al inicio del post. El aviso se conserva en las ediciones siguientes; false lo quita
+ *               correction_note:
+ *                 type: string
+ *                 description: Texto explicativo del aviso de corrección (implica correction_banner)
+ *               wp_user_id:
+ *                 type: integer
+ *                 description: ID del usuario de WordPress que edita (obligatorio, queda como editor de la revisión)
+ *             required:
+ *               - wp_user_id
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - wp_user_id
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               wp_user_id:
+ *                 type: integer
+ *               expires_at:
+ *                 type: string
+ *               notify:
+ *                 type: boolean
+ *               correction_banner:
+ *                 type: boolean
+ *               correction_note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Comunicado actualizado exitosamente; data.revision es el número de la revisión guardada
+ *       400:
+ *         description: Error de validación
+ *       404:
+ *         description: Comunicado no encontrado
+ */
+router.put('/:id', uploadFields, validateCommuniqueUpdate, communiquesController.updateCommunique);
+
+/**
+ * @swagger
+ * /communiques/{id}:
+ *   delete:
+ *     summary: Anular comunicado
+ *     description: Retira (papelera) o elimina definitivamente el post de WordPress, cancela los envíos pendientes de la cola y opcionalmente avisa la anulación a quienes ya recibieron el comunicado
+ *     tags: [Comunicados]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del comunicado
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [retract, delete]
+ *           default: retract
+ *         description: retract envía el post a la papelera; delete lo elimina junto con sus archivos de la biblioteca de medios
+ *       - in: query
+ *         name: notify
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Enviar aviso de "comunicado anulado" a quienes ya lo recibieron
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Motivo de la anulación, incluido en el aviso
+ *     responses:
+ *       200:
+ *         description: Comunicado anulado exitosamente
+ *       400:
+ *         description: Modo inválido
+ *       404:
+ *         description: Comunicado no encontrado
+ *       409:
+ *         description: El comunicado ya fue anulado
+ */
+router.delete('/:id', communiquesController.deleteCommunique);
+
+/**
+ * @swagger
+ * /communiques/{id}/approve:
+ *   post:
+ *     summary: Aprobar comunicado
+ *     description: Registra la aprobación de un miembro de la Junta sobre un borrador. Al alcanzar el quórum (setting approval_quorum) el comunicado se publica o programa y se encolan las notificaciones
+ *     tags: [Comunicados]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del comunicado
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - wp_user_id
+ *             properties:
+ *               wp_user_id:
+ *                 type: integer
+ *                 description: ID del usuario de WordPress que aprueba (rol approval_role)
+ *               comment:
+ *                 type: string
+ *                 description: Comentario opcional
+ *     responses:
+ *       200:
+ *         description: Aprobación registrada
+ *       400:
+ *         description: Error de validación
+ *       403:
+ *         description: El usuario no tiene el rol de aprobación o es quien subió el comunicado
+ *       404:
+ *         description: Comunicado no encontrado
+ *       409:
+ *         description: El comunicado no está en borrador o el usuario ya decidió
+ */
+router.post('/:id/approve', communiquesController.approveCommunique);
+
+/**
+ * @swagger
+ * /communiques/{id}/reject:
+ *   post:
+ *     summary: Rechazar comunicado
+ *     description: Registra el rechazo de un miembro de la Junta; el comunicado queda como rejected y no se publica
+ *     tags: [Comunicados]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del comunicado
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - wp_user_id
+ *               - comment
+ *             properties:
+ *               wp_user_id:
+ *                 type: integer
+ *                 description: ID del usuario de WordPress que rechaza (rol approval_role)
+ *               comment:
+ *                 type: string
+ *                 description: Motivo del rechazo
+ *     responses:
+ *       200:
+ *         description: Rechazo registrado
+ *       400:
+ *         description: Error de validación
+ *       403:
+ *         description: El usuario no tiene el rol de aprobación
+ *       404:
+ *         description: Comunicado no encontrado
+ *       409:
+ *         description: El comunicado no está en borrador o el usuario ya decidió
+ */
+router.post('/:id/reject', communiquesController.rejectCommunique);
+
+/**
+ * @swagger
+ * /communiques/{id}/pipeline/resume:
+ *   post:
+ *     summary: Reanudar creación de comunicado
+ *     description: Ejecuta los pasos que faltan de una creación fallida o atascada. Requiere que la media ya se haya subido; si no, solo puede revertirse
+ *     tags: [Comunicados]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del comunicado
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - wp_user_id
+ *             properties:
+ *               wp_user_id:
+ *                 type: integer
+ *                 description: ID del usuario de WordPress (rol admin_role)
+ *     responses:
+ *       200:
+ *         description: Creación completada
+ *       403:
+ *         description: El usuario no tiene el rol de administración
+ *       404:
+ *         description: Comunicado no encontrado
+ *       409:
+ *         description: La creación terminó, sigue en curso o no se puede reanudar
+ */
+router.post('/:id/pipeline/resume', communiquesController.resumePipeline);
+
+/**
+ * @swagger
+ * /communiques/{id}/pipeline/rollback:
+ *   post:
+ *     summary: Revertir creación de comunicado
+ *     description: Deshace en orden inverso los pasos de una creación fallida o atascada: cancela la cola de correos y elimina el post y la media de WordPress. El comunicado queda como deleted
+ *     tags: [Comunicados]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del comunicado
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - wp_user_id
+ *             properties:
+ *               wp_user_id:
+ *                 type: integer
+ *                 description: ID del usuario de WordPress (rol admin_role)
+ *     responses:
+ *       200:
+ *         description: Creación revertida
+ *       403:
+ *         description: El usuario no tiene el rol de administración
+ *       404:
+ *         description: Comunicado no encontrado
+ *       409:
+ *         description: La creación terminó o sigue en curso
+ *       502:
+ *         description: Algunos pasos no se pudieron revertir; puede reintentarse
+ */
+router.post('/:id/pipeline/rollback', communiquesController.rollbackPipeline);
+
+/**
+ * @swagger
+ * /communiques/{id}/revisions:
+ *   get:
+ *     summary: Historial de revisiones
+ *     description: Lista cada versión del comunicado (creación, ediciones y restauraciones) con el editor, la fecha y el hash del archivo, de la más reciente a la más antigua
+ *     tags: [Comunicados]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del comunicado
+ *     responses:
+ *       200:
+ *         description: Revisiones del comunicado
+ *       404:
+ *         description: Comunicado no encontrado
+ */
+router.get('/:id/revisions', communiquesController.getRevisions);
+
+/**
+ * @swagger
+ * /communiques/{id}/revisions/diff:
+ *   get:
+ *     summary: Comparar dos revisiones
+ *     description: Devuelve los campos que cambiaron entre dos revisiones y las líneas eliminadas (-) y agregadas (+) del contenido publicado
+ *     tags: [Comunicados]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del comunicado
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revisión de origen
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revisión de destino
+ *     responses:
+ *       200:
+ *         description: Diferencias entre las revisiones. Si el contenido es demasiado extenso para compararlo por líneas, content es null y content_too_large es true
+ *       400:
+ *         description: Faltan from o to
+ *       404:
+ *         description: Comunicado o revisión no encontrados
+ */
+router.get('/:id/revisions/diff', communiquesController.diffRevisions);
+
+/**
+ * @swagger
+ * /communiques/{id}/revisions/{revision}:
+ *   get:
+ *     summary: Obtener una revisión
+ *     description: Devuelve una revisión completa, incluido el HTML que se publicó en WordPress y sus anexos
+ *     tags: [Comunicados]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del comunicado
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Número de revisión
+ *     responses:
+ *       200:
+ *         description: Revisión obtenida
+ *       404:
+ *         description: Comunicado o revisión no encontrados
+ */
+router.get('/:id/revisions/:revision', communiquesController.getRevision);
+
+/**
+ * @swagger
+ * /communiques/{id}/revisions/{revision}/restore:
+ *   post:
+ *     summary: Restaurar una revisión
+ *     description: Vuelve a publicar en WordPress el título, el contenido, los anexos y la taxonomía de una revisión anterior, sin notificar a los residentes. La restauración queda como una revisión nueva
+ *     tags: [Comunicados]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del comunicado
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Número de la revisión a restaurar
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - wp_user_id
+ *             properties:
+ *               wp_user_id:
+ *                 type: integer
+ *                 description: ID del usuario de WordPress que restaura
+ *     responses:
+ *       200:
+ *         description: Revisión restaurada
+ *       400:
+ *         description: Falta el ID de usuario
+ *       404:
+ *         description: Comunicado o revisión no encontrados
+ *       409:
+ *         description: El comunicado está anulado o su creación no terminó
+ */
+router.post('/:id/revisions/:revision/restore', communiquesController.restoreRevision);
 
 module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+
+const PreferenceService = require('../services/preferenceService');
+const { COMMUNIQUE_CATEGORIES } = require('../middleware/fileValidation');
+
+const router = express.Router();
+
+/**
+ * Responder JSON a los clientes de la API y la página HTML a los navegadores
+ */
+const wantsJson = (req) => req.is('application/json') || req.accepts(['html', 'json']) === 'json';
+
+/**
+ * Responder que el token no es válido (firma alterada o PREFERENCES_SECRET cambiado)
+ */
+const rejectToken = (req, res, preferenceService) => (wantsJson(req)
+  ? res.status(400).json({ success: false, error: 'Enlace de preferencias no válido', code: 'INVALID_PREFERENCES_TOKEN' })
+  : res.status(400).type('html').send(preferenceService.renderLayout('Enlace no válido', '<p>El enlace de preferencias no es válido. Use el enlace de un correo reciente.</p>')));
+
+/**
+ * @swagger
+ * /preferences/{token}:
+ *   get:
+ *     summary: Página de preferencias de correo
+ *     description: Página pública enlazada desde cada correo. El token es el correo del destinatario firmado con HMAC (PREFERENCES_SECRET). Con Accept application/json devuelve las preferencias
+ *     tags: [Preferencias]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Página con las categorías y la opción de baja
+ *       400:
+ *         description: Enlace no válido
+ *   post:
+ *     summary: Guardar preferencias de correo
+ *     description: Recibe el formulario de la página (categories repetido, unsubscribe_all=1) o JSON. Con List-Unsubscribe=One-Click (RFC 8058, botón de baja de Gmail) da de baja de los avisos no obligatorios. Los urgentes y las categorías de email_mandatory_categories llegan siempre
+ *     tags: [Preferencias]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               categories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [mantenimiento, finanzas, asamblea, seguridad, emergencia]
+ *                 description: Categorías que desea recibir. En JSON, si se omite se conservan las silenciadas actuales
+ *               unsubscribe_all:
+ *                 type: string
+ *                 enum: ['1']
+ *               List-Unsubscribe:
+ *                 type: string
+ *                 enum: [One-Click]
+ *     responses:
+ *       200:
+ *         description: Preferencias guardadas
+ *       400:
+ *         description: Enlace no válido
+ */
+router.get('/:token', async (req, res, next) => {
+  try {
+    const preferenceService = new PreferenceService();
+    const email = preferenceService.verifyToken(req.params.token);
+
+    if (!email) {
+      return rejectToken(req, res, preferenceService);
+    }
+
+    const preferences = await preferenceService.getPreferences(email);
+    if (wantsJson(req)) {
+      return res.json({
+        success: true,
+        data: { email, unsubscribed: preferences.unsubscribed, muted_categories: preferences.mutedCategories },
+      });
+    }
+
+    res.type('html').send(await preferenceService.renderPage(email, preferences));
+  } catch (error) {
+    console.error('❌ Error al mostrar preferencias de correo:', error);
+    next(error);
+  }
+});
+
+router.post('/:token', async (req, res, next) => {
+  try {
+    const preferenceService = new PreferenceService();
+    const email = preferenceService.verifyToken(req.params.token);
+    const body = req.body || {};
+
+    if (!email) {
+      return rejectToken(req, res, preferenceService);
+    }
+
+    // Baja de un clic desde el cliente de correo (cabecera List-Unsubscribe-Post)
+    if (body['List-Unsubscribe'] === 'One-Click') {
+      const current = await preferenceService.getPreferences(email);
+      await preferenceService.savePreferences(email, { unsubscribed: true, mutedCategories: current.mutedCategories });
+      return res.json({ success: true, message: 'Baja registrada' });
+    }
+
+    // Las casillas marcadas son las categorías que desea recibir; el resto queda silenciado.
+    // El formulario no envía categories si no hay casillas marcadas; en JSON, omitirlo conserva las actuales
+    let mutedCategories;
+    if (body.categories !== undefined || !wantsJson(req)) {
+      const wanted = [].concat(body.categories || []).map(category => String(category).trim().toLowerCase());
+      mutedCategories = COMMUNIQUE_CATEGORIES.filter(category => !wanted.includes(category));
+    } else {
+      mutedCategories = (await preferenceService.getPreferences(email)).mutedCategories;
+    }
+
+    const preferences = await preferenceService.savePreferences(email, {
+      unsubscribed: ['1', 'true', true].includes(body.unsubscribe_all),
+      mutedCategories,
+    });
+
+    if (wantsJson(req)) {
+      return res.json({
+        success: true,
+        message: 'Preferencias guardadas',
+        data: { email, unsubscribed: preferences.unsubscribed, muted_categories: preferences.mutedCategories },
+      });
+    }
+
+    res.type('html').send(await preferenceService.renderPage(email, preferences, 'Preferencias guardadas'));
+  } catch (error) {
+    console.error('❌ Error al guardar preferencias de correo:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+
+const TelegramBotService = require('../services/telegramBotService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /telegram/webhook:
+ *   post:
+ *     summary: Webhook del bot de Telegram
+ *     description: Recibe actualizaciones de la Bot API y responde los comandos /ultimos, /buscar, /comunicado y /suscribir
+ *     tags: [Telegram]
+ *     parameters:
+ *       - in: header
+ *         name: X-Telegram-Bot-Api-Secret-Token
+ *         schema:
+ *           type: string
+ *         description: Debe coincidir con TELEGRAM_WEBHOOK_SECRET. Sin ese secreto configurado el webhook está desactivado
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Objeto Update de la Bot API de Telegram
+ *     responses:
+ *       200:
+ *         description: Actualización recibida
+ *       401:
+ *         description: Token secreto inválido
+ *       503:
+ *         description: Webhook desactivado porque TELEGRAM_WEBHOOK_SECRET no está configurado
+ */
+router.post('/webhook', async (req, res) => {
+  // Sin secreto cualquiera podría enviar actualizaciones falsas en nombre de un chat
+  const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+  if (!secret) {
+    return res.status(503).json({
+      success: false,
+      error: 'Webhook de Telegram desactivado: configure TELEGRAM_WEBHOOK_SECRET',
+      code: 'TELEGRAM_WEBHOOK_DISABLED',
+    });
+  }
+
+  if (req.get('X-Telegram-Bot-Api-Secret-Token') !== secret) {
+    return res.status(401).json({
+      success: false,
+      error: 'Token secreto de Telegram inválido',
+      code: 'INVALID_TELEGRAM_SECRET',
+    });
+  }
+
+  // Responder siempre 200 para que Telegram no reintente la misma actualización
+  try {
+    const botService = new TelegramBotService();
+    await botService.handleUpdate(req.body || {});
+  } catch (error) {
+    console.error('❌ Error en webhook de Telegram:', error);
+  }
+
+  res.json({ success: true });
+});
+
+module.exports = router;
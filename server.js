@@ -8,9 +8,17 @@ const path = require('path');
 require('dotenv').config();
 
 const communiquesRoutes = require('./routes/communiques');
+const telegramRoutes = require('./routes/telegram');
+const preferencesRoutes = require('./routes/preferences');
 const { errorHandler } = require('./middleware/errorHandler');
 const { initializeDatabase } = require('./config/database');
 const EmailQueueService = require('./services/emailQueueService');
+const BounceService = require('./services/bounceService');
+const TelegramBotService = require('./services/telegramBotService');
+const SchedulerService = require('./services/schedulerService');
+const UploadJobService = require('./services/uploadJobService');
+const { processUploadJob } = require('./controllers/communiquesController');
+const { FileProcessingService } = require('./services/wordpressService');
 
 const app = express();
 const PORT = process.env.PORT || 6000;
@@ -60,7 +68,7 @@ app.use(helmet());
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Origin', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Origin', 'X-Requested-With', 'Idempotency-Key'],
   credentials: false,
   preflightContinue: false,
   optionsSuccessStatus: 200
@@ -70,7 +78,7 @@ app.use(cors({
 app.options('*', (req, res) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept, Origin, X-Requested-With');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept, Origin, X-Requested-With, Idempotency-Key');
   res.sendStatus(200);
 });
 
@@ -83,6 +91,8 @@ app.use('/temp', express.static(path.join(__dirname, 'temp')));
 
 // Rutas
 app.use('/communiques', communiquesRoutes);
+app.use('/telegram', telegramRoutes);
+app.use('/preferences', preferencesRoutes);
 
 // Documentación Swagger
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
@@ -107,6 +117,8 @@ app.get('/', (req, res) => {
       upload: 'POST /communiques/upload',
       list: 'GET /communiques',
       detail: 'GET /communiques/:id',
+      telegram_webhook: 'POST /telegram/webhook',
+      email_preferences: 'GET|POST /preferences/:token',
       health: 'GET /health',
     },
   });
@@ -121,11 +133,34 @@ async function startServer() {
     await initializeDatabase();
     console.log('✅ Base de datos inicializada correctamente');
     
+    // Verificar pdftoppm (poppler-utils) para las miniaturas de los PDF
+    await new FileProcessingService().checkPdftoppm();
+    
     // Inicializar procesador de cola de correos
     const emailQueueService = new EmailQueueService();
     emailQueueService.startQueueProcessor();
     console.log('📧 Procesador de cola de correos iniciado');
     
+    // Inicializar procesador de rebotes (BOUNCE_MAILDIR o BOUNCE_MBOX)
+    const bounceService = new BounceService();
+    bounceService.startProcessor();
+    
+    // Inicializar programador de publicaciones (publish_at)
+    const schedulerService = new SchedulerService();
+    schedulerService.startScheduler();
+    
+    // Inicializar procesador de subidas asíncronas (async=true en /communiques/upload)
+    const uploadJobService = new UploadJobService();
+    uploadJobService.startWorker(processUploadJob);
+    
+    // Iniciar bot de Telegram en modo long polling (en modo webhook lo atiende /telegram/webhook)
+    if (process.env.TELEGRAM_BOT_MODE === 'polling') {
+      const telegramBotService = new TelegramBotService();
+      telegramBotService.startPolling();
+    } else if (process.env.TELEGRAM_BOT_TOKEN && !process.env.TELEGRAM_WEBHOOK_SECRET) {
+      console.error('❌ Webhook de Telegram desactivado: configure TELEGRAM_WEBHOOK_SECRET (y secret_token en setWebhook) o use TELEGRAM_BOT_MODE=polling');
+    }
+    
     app.listen(PORT, () => {
       console.log(`🚀 Servidor ejecutándose en puerto ${PORT}`);
       console.log(`📚 Documentación disponible en http://localhost:${PORT}/api-docs`);
@@ -0,0 +1,265 @@
+const { getAppConnection, createAppConnection, getWpConnection, getSetting } = require('../config/database');
+
+// Nombre de una lista guardada: se usa en la audiencia del comunicado y en la URL
+const LIST_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,99}$/;
+const DEFAULT_META_KEYS = 'torre,unidad';
+
+/**
+ * Audiencias de los comunicados: roles de WordPress, valores de user-meta (torre, unidad)
+ * y listas guardadas. Se resuelven al encolar el envío en el conjunto de destinatarios.
+ */
+class AudienceService {
+  /**
+   * Claves de user-meta que se pueden usar para segmentar (ajuste audience_meta_keys)
+   */
+  async getMetaKeys() {
+    const setting = await getSetting('audience_meta_keys', DEFAULT_META_KEYS);
+    return setting.split(',').map(key => key.trim()).filter(Boolean);
+  }
+
+  /**
+   * Validar el nombre de una lista guardada
+   */
+  isValidListName(name) {
+    return LIST_NAME_PATTERN.test(name || '');
+  }
+
+  /**
+   * Nombres de listas que no existen, de entre los indicados
+   */
+  async findMissingLists(names) {
+    if (names.length === 0) {
+      return [];
+    }
+
+    const connection = await getAppConnection();
+    const [rows] = await connection.execute(
+      `SELECT name FROM condo360_audience_lists WHERE name IN (${names.map(() => '?').join(', ')})`,
+      names
+    );
+    const existing = rows.map(row => row.name);
+    return names.filter(name => !existing.includes(name));
+  }
+
+  /**
+   * Audiencia guardada de un comunicado (null si va a toda la comunidad) y su categoría,
+   * que decide qué preferencias de correo aplican
+   */
+  async getCommuniqueTargeting(communiqueId) {
+    const connection = await getAppConnection();
+    const [rows] = await connection.execute(
+      'SELECT audience, category FROM condo360_communiques WHERE id = ?',
+      [communiqueId]
+    );
+    return {
+      audience: rows.length > 0 && rows[0].audience ? JSON.parse(rows[0].audience) : null,
+      category: rows.length > 0 ? rows[0].category : null,
+    };
+  }
+
+  /**
+   * Resolver una audiencia en usuarios de WordPress con correo válido, sin repetir.
+   * Roles y meta se combinan (deben cumplirse todos); las listas suman a sus miembros.
+   * Sin audiencia se usa el rol de notification_role_filter.
+   */
+  async resolveUsers(audience = null) {
+    const roles = audience?.roles || [];
+    const meta = audience?.meta || {};
+    const lists = audience?.lists || [];
+    const segmented = roles.length > 0 || Object.keys(meta).length > 0;
+
+    const users = [];
+    if (segmented || lists.length === 0) {
+      const defaultRole = await getSetting('notification_role_filter', 'subscriber');
+      users.push(...await this.findUsersBySegment(roles.length > 0 ? roles : [defaultRole], meta));
+    }
+    if (lists.length > 0) {
+      users.push(...await this.findListMembers(lists));
+    }
+
+    const seen = new Set();
+    return users.filter(user => {
+      const email = user.user_email.toLowerCase();
+      if (seen.has(email)) {
+        return false;
+      }
+      seen.add(email);
+      return true;
+    });
+  }
+
+  /**
+   * Usuarios con alguno de los roles y todos los valores de meta indicados
+   */
+  async findUsersBySegment(roles, meta) {
+    const conditions = [`(${roles.map(() => 'cap.meta_value LIKE ?').join(' OR ')})`];
+    const params = roles.map(role => `%"${role}"%`);
+
+    for (const [key, values] of Object.entries(meta)) {
+      conditions.push(`EXISTS (
+        SELECT 1 FROM wp_usermeta m
+        WHERE m.user_id = u.ID AND m.meta_key = ? AND m.meta_value IN (${values.map(() => '?').join(', ')})
+      )`);
+      params.push(key, ...values);
+    }
+
+    const connection = await getWpConnection();
+    const [rows] = await connection.execute(
+      `SELECT DISTINCT u.ID, u.user_email, u.display_name
+       FROM wp_users u
+       INNER JOIN wp_usermeta cap ON u.ID = cap.user_id AND cap.meta_key = 'wp_capabilities'
+       WHERE ${conditions.join(' AND ')}
+         AND ${this.validEmailCondition()}`,
+      params
+    );
+    return rows;
+  }
+
+  /**
+   * Miembros de las listas guardadas; las listas viven en la base propia y los usuarios en WordPress
+   */
+  async findListMembers(names) {
+    const connection = await getAppConnection();
+    const [members] = await connection.execute(
+      `SELECT DISTINCT m.wp_user_id
+       FROM condo360_audience_list_members m
+       INNER JOIN condo360_audience_lists l ON l.id = m.list_id
+       WHERE l.name IN (${names.map(() => '?').join(', ')})`,
+      names
+    );
+
+    if (members.length === 0) {
+      return [];
+    }
+
+    const ids = members.map(member => member.wp_user_id);
+    const wpConnection = await getWpConnection();
+    const [rows] = await wpConnection.execute(
+      `SELECT u.ID, u.user_email, u.display_name
+       FROM wp_users u
+       WHERE u.ID IN (${ids.map(() => '?').join(', ')})
+         AND ${this.validEmailCondition()}`,
+      ids
+    );
+    return rows;
+  }
+
+  /**
+   * Condición SQL de correo válido sobre wp_users u
+   */
+  validEmailCondition() {
+    return `u.user_email IS NOT NULL
+         AND u.user_email != ''
+         AND u.user_email REGEXP '^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\\\.[A-Za-z]{2,}$'`;
+  }
+
+  /**
+   * Descripción legible de una audiencia para el detalle del comunicado
+   */
+  describe(audience) {
+    if (!audience) {
+      return 'Toda la comunidad';
+    }
+
+    const parts = [];
+    if (audience.roles?.length > 0) {
+      parts.push(`Roles: ${audience.roles.join(', ')}`);
+    }
+    for (const [key, values] of Object.entries(audience.meta || {})) {
+      parts.push(`${key.charAt(0).toUpperCase() + key.slice(1)}: ${values.join(', ')}`);
+    }
+    if (audience.lists?.length > 0) {
+      parts.push(`Listas: ${audience.lists.join(', ')}`);
+    }
+    return parts.join(' · ');
+  }
+
+  /**
+   * Listar las listas guardadas con su cantidad de miembros
+   */
+  async getLists() {
+    const connection = await getAppConnection();
+    const [rows] = await connection.execute(
+      `SELECT l.name, l.label, l.description, l.created_by, l.created_at, l.updated_at,
+              COUNT(m.wp_user_id) AS member_count
+       FROM condo360_audience_lists l
+       LEFT JOIN condo360_audience_list_members m ON m.list_id = l.id
+       GROUP BY l.id
+       ORDER BY l.name ASC`
+    );
+    return rows;
+  }
+
+  /**
+   * Obtener una lista guardada con sus miembros, o null si no existe
+   */
+  async getList(name) {
+    const connection = await getAppConnection();
+    const [rows] = await connection.execute(
+      'SELECT id, name, label, description, created_by, created_at, updated_at FROM condo360_audience_lists WHERE name = ?',
+      [name]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const [members] = await connection.execute(
+      'SELECT wp_user_id FROM condo360_audience_list_members WHERE list_id = ? ORDER BY wp_user_id ASC',
+      [rows[0].id]
+    );
+    const { id, ...list } = rows[0];
+    return { ...list, members: members.map(member => member.wp_user_id) };
+  }
+
+  /**
+   * Crear una lista o reemplazar sus datos y miembros si ya existe
+   */
+  async saveList({ name, label, description = null, members, createdBy }) {
+    // Conexión propia: la transacción no debe mezclarse con las consultas de la conexión compartida
+    const connection = await createAppConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.execute(
+        `INSERT INTO condo360_audience_lists (name, label, description, created_by)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE label = VALUES(label), description = VALUES(description), updated_at = NOW()`,
+        [name, label, description, createdBy]
+      );
+
+      const [[{ id: listId }]] = await connection.execute(
+        'SELECT id FROM condo360_audience_lists WHERE name = ? FOR UPDATE',
+        [name]
+      );
+
+      await connection.execute('DELETE FROM condo360_audience_list_members WHERE list_id = ?', [listId]);
+      for (const wpUserId of members) {
+        await connection.execute(
+          'INSERT INTO condo360_audience_list_members (list_id, wp_user_id) VALUES (?, ?)',
+          [listId, wpUserId]
+        );
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback().catch(() => {});
+      throw error;
+    } finally {
+      await connection.end().catch(() => {});
+    }
+
+    console.log(`👥 Lista de audiencia "${name}" guardada con ${members.length} miembro(s)`);
+    return this.getList(name);
+  }
+
+  /**
+   * Eliminar una lista guardada; devuelve false si no existía
+   */
+  async deleteList(name) {
+    const connection = await getAppConnection();
+    const [result] = await connection.execute('DELETE FROM condo360_audience_lists WHERE name = ?', [name]);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = AudienceService;
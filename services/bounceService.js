@@ -0,0 +1,312 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { getWpConnection, getSetting, updateSetting } = require('../config/database');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lectura del mbox por bloques; de cada mensaje basta su inicio (cabeceras, VERP y campos del DSN)
+const MBOX_CHUNK_BYTES = 1024 * 1024;
+const MBOX_MESSAGE_HEAD_BYTES = 256 * 1024;
+// Bytes que se conservan al final del bloque por si la línea "From " queda partida entre dos bloques
+const MBOX_BOUNDARY_BYTES = 5;
+
+/**
+ * Rebotes de correo: cada envío sale con una dirección de retorno VERP
+ * (rebotes+<comunicado>-<usuario>=<dominio>@dominio) y el procesador lee los avisos
+ * de rebote (DSN) de un Maildir o mbox local. Los rebotes definitivos (5.x.x) suprimen
+ * la dirección en condo360_email_suppressions y ya no se le envían comunicados.
+ */
+class BounceService {
+  constructor() {
+    this.bounceAddress = (process.env.BOUNCE_ADDRESS || '').trim().toLowerCase();
+    this.maildir = process.env.BOUNCE_MAILDIR || null;
+    this.mbox = process.env.BOUNCE_MBOX || null;
+    this.pollInterval = (parseInt(process.env.BOUNCE_POLL_MINUTES) || 5) * 60 * 1000;
+    this.isRunning = false;
+    this.processorInterval = null;
+  }
+
+  /**
+   * Dirección de retorno VERP de un destinatario, o null si BOUNCE_ADDRESS no está configurada
+   */
+  getReturnPath(communiqueId, email) {
+    if (!this.bounceAddress.includes('@')) {
+      return null;
+    }
+
+    const [local, domain] = this.bounceAddress.split('@');
+    return `${local}+${communiqueId}-${email.toLowerCase().replace('@', '=')}@${domain}`;
+  }
+
+  /**
+   * Obtener el comunicado y el destinatario de la dirección VERP que aparece en un rebote
+   */
+  parseReturnPath(raw) {
+    if (!this.bounceAddress.includes('@')) {
+      return null;
+    }
+
+    const [local, domain] = this.bounceAddress.split('@');
+    const match = raw.match(new RegExp(
+      `${escapeRegExp(local)}\\+(\\d+)-([^\\s<>"'@=]+)=([^\\s<>"'@=]+)@${escapeRegExp(domain)}`,
+      'i'
+    ));
+    return match ? { communiqueId: parseInt(match[1]), email: `${match[2]}@${match[3]}`.toLowerCase() } : null;
+  }
+
+  /**
+   * Leer los campos del informe de entrega (message/delivery-status); null si no es un DSN
+   */
+  parseDsn(raw) {
+    const field = name => {
+      const match = raw.match(new RegExp(`^${name}:[ \\t]*(.+(?:\\r?\\n[ \\t]+.+)*)`, 'im'));
+      return match ? match[1].replace(/\s+/g, ' ').trim() : null;
+    };
+
+    // El mbox agrega una cabecera "Status: RO" propia: se busca el campo con formato de DSN
+    const action = (field('Action') || '').toLowerCase();
+    const statusMatch = raw.match(/^Status:[ \t]*([245]\.\d{1,3}\.\d{1,3})/im);
+    const diagnostic = field('Diagnostic-Code');
+    if (!action && !statusMatch) {
+      return null;
+    }
+
+    // Sin Status, la clase se toma del código SMTP del diagnóstico
+    const smtpCode = diagnostic ? (diagnostic.match(/\b([245])\d\d\b/) || [])[1] : null;
+    const status = statusMatch ? statusMatch[1] : (smtpCode ? `${smtpCode}.0.0` : null);
+
+    return {
+      action,
+      status,
+      diagnostic,
+      hard: action === 'failed' && Boolean(status) && status.startsWith('5'),
+    };
+  }
+
+  /**
+   * Procesar un aviso de rebote. Devuelve 'hard', 'soft' o 'ignored'.
+   */
+  async handleMessage(raw) {
+    const recipient = this.parseReturnPath(raw);
+    const dsn = recipient ? this.parseDsn(raw) : null;
+
+    if (!dsn || !['failed', 'delayed'].includes(dsn.action)) {
+      return 'ignored';
+    }
+
+    if (!dsn.hard) {
+      console.log(`📭 Rebote temporal de ${recipient.email} (comunicado ${recipient.communiqueId}, ${dsn.status || 'sin estado'}); no se suprime`);
+      return 'soft';
+    }
+
+    const connection = await getWpConnection();
+    await connection.execute(
+      `INSERT INTO condo360_email_suppressions (email, communique_id, smtp_status, diagnostic)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE bounce_count = bounce_count + 1, communique_id = VALUES(communique_id),
+         smtp_status = VALUES(smtp_status), diagnostic = VALUES(diagnostic), updated_at = NOW()`,
+      [recipient.email, recipient.communiqueId, dsn.status, dsn.diagnostic]
+    );
+
+    await connection.execute(
+      `UPDATE condo360_communiques_notifications
+       SET status = 'bounced', message = ?
+       WHERE communique_id = ? AND email = ? AND status = 'sent'`,
+      [`Rebote ${dsn.status}${dsn.diagnostic ? `: ${dsn.diagnostic}` : ''}`, recipient.communiqueId, recipient.email]
+    );
+
+    console.log(`🚫 Rebote definitivo de ${recipient.email} (comunicado ${recipient.communiqueId}, ${dsn.status}); dirección suprimida`);
+    return 'hard';
+  }
+
+  /**
+   * Leer los mensajes nuevos del Maildir; cada mensaje procesado pasa a cur/ marcado como leído.
+   * Si falla el registro el mensaje queda en new/ y se reintenta en el siguiente ciclo.
+   */
+  async processMaildir() {
+    const newDir = path.join(this.maildir, 'new');
+    const curDir = path.join(this.maildir, 'cur');
+    const files = await fs.readdir(newDir);
+    const counts = { hard: 0, soft: 0, ignored: 0 };
+
+    for (const file of files) {
+      try {
+        const raw = await fs.readFile(path.join(newDir, file), 'utf8');
+        counts[await this.handleMessage(raw)]++;
+        await fs.rename(path.join(newDir, file), path.join(curDir, `${file.split(':')[0]}:2,S`));
+      } catch (error) {
+        console.error(`❌ Error al procesar el rebote ${file}:`, error.message);
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Leer los mensajes agregados al mbox desde la última lectura (bounce_mbox_offset), por bloques.
+   * La posición avanza con cada mensaje completo: el último solo se procesa si ya termina en una
+   * línea vacía, así un mensaje que se está agregando se lee entero en el siguiente ciclo.
+   * Si el archivo se rotó y es más corto que la posición guardada, se lee desde el inicio.
+   */
+  async processMbox() {
+    const { size } = await fs.stat(this.mbox);
+    let offset = parseInt(await getSetting('bounce_mbox_offset', '0')) || 0;
+    if (size < offset) {
+      offset = 0;
+    }
+
+    const counts = { hard: 0, soft: 0, ignored: 0 };
+    if (size === offset) {
+      return counts;
+    }
+
+    // Mensaje en curso: su inicio (hasta MBOX_MESSAGE_HEAD_BYTES) y los últimos bytes leídos
+    let buffer = Buffer.alloc(0);
+    let dropped = 0;
+    let scanFrom = 1;
+    let position = offset;
+
+    const handle = await fs.open(this.mbox, 'r');
+    try {
+      while (position < size) {
+        const chunk = Buffer.alloc(Math.min(MBOX_CHUNK_BYTES, size - position));
+        const { bytesRead } = await handle.read(chunk, 0, chunk.length, position);
+        if (bytesRead === 0) {
+          break;
+        }
+        position += bytesRead;
+        buffer = Buffer.concat([buffer, chunk.subarray(0, bytesRead)]);
+
+        // Un mensaje está completo cuando aparece la línea "From " del siguiente
+        let boundary;
+        while ((boundary = buffer.indexOf('\nFrom ', scanFrom)) !== -1) {
+          if (!await this.handleMboxMessage(buffer.subarray(0, Math.min(boundary + 1, MBOX_MESSAGE_HEAD_BYTES)), counts)) {
+            return counts;
+          }
+          offset += dropped + boundary + 1;
+          await updateSetting('bounce_mbox_offset', String(offset));
+          buffer = buffer.subarray(boundary + 1);
+          dropped = 0;
+          scanFrom = 1;
+        }
+
+        // Del resto de un mensaje largo solo se conservan los bytes donde puede empezar el siguiente
+        if (buffer.length > MBOX_MESSAGE_HEAD_BYTES + MBOX_BOUNDARY_BYTES) {
+          dropped += buffer.length - MBOX_MESSAGE_HEAD_BYTES - MBOX_BOUNDARY_BYTES;
+          buffer = Buffer.concat([
+            buffer.subarray(0, MBOX_MESSAGE_HEAD_BYTES),
+            buffer.subarray(buffer.length - MBOX_BOUNDARY_BYTES),
+          ]);
+        }
+        scanFrom = Math.max(1, buffer.length - MBOX_BOUNDARY_BYTES);
+      }
+    } finally {
+      await handle.close();
+    }
+
+    if (buffer.length > 0 && buffer.subarray(-2).toString() === '\n\n'
+      && await this.handleMboxMessage(buffer.subarray(0, MBOX_MESSAGE_HEAD_BYTES), counts)) {
+      await updateSetting('bounce_mbox_offset', String(position));
+    }
+    return counts;
+  }
+
+  /**
+   * Procesar un mensaje del mbox. Si falla, la lectura se detiene en ese mensaje y se reintenta
+   * en el siguiente ciclo sin volver a procesar los anteriores; devuelve false en ese caso.
+   */
+  async handleMboxMessage(raw, counts) {
+    try {
+      counts[await this.handleMessage(raw.toString('utf8'))]++;
+      return true;
+    } catch (error) {
+      console.error('❌ Error al procesar un rebote del mbox:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Procesar el buzón de rebotes configurado
+   */
+  async processMailbox() {
+    if (this.isRunning) {
+      return;
+    }
+
+    try {
+      this.isRunning = true;
+      const counts = this.maildir ? await this.processMaildir() : await this.processMbox();
+
+      if (counts.hard + counts.soft + counts.ignored > 0) {
+        console.log(`📭 Rebotes procesados: ${counts.hard} definitivos, ${counts.soft} temporales, ${counts.ignored} ignorados`);
+      }
+    } catch (error) {
+      console.error('❌ Error en el procesador de rebotes:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Direcciones suprimidas, en minúsculas
+   */
+  async getSuppressedEmails() {
+    const connection = await getWpConnection();
+    const [rows] = await connection.execute('SELECT email FROM condo360_email_suppressions');
+    return new Set(rows.map(row => row.email.toLowerCase()));
+  }
+
+  /**
+   * Listar las direcciones suprimidas, las más recientes primero
+   */
+  async listSuppressions() {
+    const connection = await getWpConnection();
+    const [rows] = await connection.execute(
+      `SELECT email, communique_id, smtp_status, diagnostic, bounce_count, created_at, updated_at
+       FROM condo360_email_suppressions
+       ORDER BY updated_at DESC`
+    );
+    return rows;
+  }
+
+  /**
+   * Quitar una dirección de la lista de suprimidas; devuelve false si no estaba
+   */
+  async removeSuppression(email) {
+    const connection = await getWpConnection();
+    const [result] = await connection.execute(
+      'DELETE FROM condo360_email_suppressions WHERE email = ?',
+      [email.toLowerCase()]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Iniciar el procesador si hay un buzón de rebotes configurado (BOUNCE_MAILDIR o BOUNCE_MBOX)
+   */
+  startProcessor() {
+    if (!this.bounceAddress.includes('@') || (!this.maildir && !this.mbox)) {
+      console.log('📭 Procesador de rebotes desactivado (configure BOUNCE_ADDRESS y BOUNCE_MAILDIR o BOUNCE_MBOX)');
+      return;
+    }
+
+    console.log(`📭 Iniciando procesador de rebotes (${this.maildir ? `Maildir ${this.maildir}` : `mbox ${this.mbox}`})...`);
+    this.processMailbox();
+
+    this.processorInterval = setInterval(() => {
+      this.processMailbox();
+    }, this.pollInterval);
+  }
+
+  /**
+   * Detener el procesador
+   */
+  stopProcessor() {
+    if (this.processorInterval) {
+      clearInterval(this.processorInterval);
+      this.processorInterval = null;
+      console.log('⏹️  Procesador de rebotes detenido');
+    }
+  }
+}
+
+module.exports = BounceService;
@@ -0,0 +1,279 @@
+const moment = require('moment-timezone');
+const { getAppConnection } = require('../config/database');
+const { escapeHtml } = require('../utils/html');
+
+const LIST_COLUMNS = `id, wp_user_id, title, description, original_filename, file_type,
+                wp_post_id, wp_post_url, category, tags, priority, status, publish_at, expires_at, archived_at, created_at, updated_at`;
+
+const STATUSES = ['draft', 'rejected', 'published', 'scheduled', 'archived', 'retracted', 'deleted'];
+const FILE_TYPES = ['docx', 'odt', 'pdf', 'md', 'txt', 'jpg', 'png', 'html'];
+const CATEGORIES = ['mantenimiento', 'finanzas', 'asamblea', 'seguridad', 'emergencia'];
+const PRIORITIES = ['normal', 'alta', 'urgente'];
+
+// innodb_ft_min_token_size: InnoDB no indexa palabras más cortas
+const MIN_SEARCH_TERM_LENGTH = 3;
+const SNIPPET_RADIUS = 90;
+
+/**
+ * Servicio de consultas de comunicados compartido por la API y el bot de Telegram
+ */
+class CommuniqueQueryService {
+  /**
+   * Construir filtros WHERE a partir de las opciones de búsqueda
+   */
+  buildFilters({ fileType, status = 'published', category, tag, priority, includeArchived = false } = {}) {
+    // Las creaciones sin terminar (o revertidas) no se listan
+    const conditions = ["pipeline_state = 'completed'"];
+    const params = [];
+
+    // Los vencidos quedan fuera de los publicados salvo que se pidan con includeArchived
+    const statusFilter = STATUSES.includes(status) ? status : 'published';
+    if (statusFilter === 'published' && includeArchived) {
+      conditions.push("status IN ('published', 'archived')");
+    } else {
+      conditions.push('status = ?');
+      params.push(statusFilter);
+    }
+
+    if (fileType && FILE_TYPES.includes(fileType)) {
+      conditions.push('file_type = ?');
+      params.push(fileType);
+    }
+
+    if (category && CATEGORIES.includes(category)) {
+      conditions.push('category = ?');
+      params.push(category);
+    }
+
+    if (priority && PRIORITIES.includes(priority)) {
+      conditions.push('priority = ?');
+      params.push(priority);
+    }
+
+    // Las etiquetas se guardan normalizadas en minúsculas y separadas por comas
+    if (tag && tag.trim().length > 0) {
+      conditions.push('FIND_IN_SET(?, tags) > 0');
+      params.push(tag.trim().replace(/\s+/g, ' ').toLowerCase());
+    }
+
+    return {
+      where: `WHERE ${conditions.join(' AND ')}`,
+      params,
+    };
+  }
+
+  /**
+   * Obtener lista paginada de comunicados
+   */
+  async listCommuniques({ page = 1, limit = 10, fileType, status, category, tag, priority, includeArchived } = {}) {
+    const offset = (page - 1) * limit;
+    const connection = await getAppConnection();
+    const { where, params } = this.buildFilters({ fileType, status, category, tag, priority, includeArchived });
+
+    const [countResult] = await connection.execute(
+      `SELECT COUNT(*) as total FROM condo360_communiques ${where}`,
+      params
+    );
+    const total = countResult[0].total;
+
+    // LIMIT/OFFSET se interpolan como enteros, mysql2 no los acepta como parámetros en execute
+    const [communiques] = await connection.execute(
+      `SELECT ${LIST_COLUMNS}
+         FROM condo360_communiques
+         ${where}
+         ORDER BY ${status === 'scheduled' ? 'publish_at ASC' : 'created_at DESC'}
+         LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+      params
+    );
+
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      communiques: communiques.map(comm => this.formatCommunique(comm)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Extraer los términos de búsqueda, sin operadores del modo booleano de MySQL
+   */
+  parseSearchTerms(query) {
+    return [...new Set(
+      String(query || '')
+        .replace(/[+\-<>()~*"@]/g, ' ')
+        .split(/\s+/)
+        .map(term => term.trim().toLowerCase())
+        .filter(term => term.length >= MIN_SEARCH_TERM_LENGTH)
+    )];
+  }
+
+  /**
+   * Búsqueda de texto completo ordenada por relevancia, o null si la consulta no tiene términos válidos
+   */
+  async searchCommuniques({ query, page = 1, limit = 10, fileType, status, category, tag, priority, includeArchived } = {}) {
+    const terms = this.parseSearchTerms(query);
+    if (terms.length === 0) {
+      return null;
+    }
+
+    // Todos los términos son obligatorios y admiten prefijos ("asamb" encuentra "asamblea")
+    const booleanQuery = terms.map(term => `+${term}*`).join(' ');
+    const offset = (page - 1) * limit;
+    const connection = await getAppConnection();
+    const filters = this.buildFilters({ fileType, status, category, tag, priority, includeArchived });
+    const where = `${filters.where} AND MATCH(title, description, document_text) AGAINST (? IN BOOLEAN MODE)`;
+    const params = [...filters.params, booleanQuery];
+
+    const [countResult] = await connection.execute(
+      `SELECT COUNT(*) as total FROM condo360_communiques ${where}`,
+      params
+    );
+    const total = countResult[0].total;
+
+    // Las coincidencias en el título pesan el doble que en el resto del contenido
+    const [rows] = await connection.execute(
+      `SELECT ${LIST_COLUMNS}, document_text,
+              (MATCH(title) AGAINST (? IN BOOLEAN MODE) * 2
+               + MATCH(title, description, document_text) AGAINST (? IN BOOLEAN MODE)) as relevance
+         FROM condo360_communiques
+         ${where}
+         ORDER BY relevance DESC, created_at DESC
+         LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+      [booleanQuery, booleanQuery, ...params]
+    );
+
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      communiques: rows.map(({ document_text: documentText, ...comm }) => ({
+        ...this.formatCommunique(comm),
+        relevance: Number(comm.relevance),
+        snippet: this.buildSnippet([documentText, comm.description, comm.title], terms),
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1,
+      },
+      terms,
+    };
+  }
+
+  /**
+   * Generar un extracto con los términos resaltados en <mark>, alrededor de la primera coincidencia
+   */
+  buildSnippet(texts, terms) {
+    // Comparar sin tildes ni mayúsculas conservando las posiciones del texto original
+    const fold = text => Array.from(text)
+      .map(char => {
+        const folded = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        return folded.length === char.length ? folded : char;
+      })
+      .join('');
+    const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(terms.map(term => escapeRegExp(fold(term))).join('|'), 'g');
+
+    for (const rawText of texts) {
+      if (!rawText) {
+        continue;
+      }
+
+      const text = String(rawText).replace(/\s+/g, ' ').trim();
+      const folded = fold(text);
+      const matches = [...folded.matchAll(pattern)];
+      if (matches.length === 0) {
+        continue;
+      }
+
+      const start = Math.max(0, matches[0].index - SNIPPET_RADIUS);
+      const end = Math.min(text.length, matches[0].index + SNIPPET_RADIUS);
+      let snippet = '';
+      let cursor = start;
+
+      for (const match of matches) {
+        const matchEnd = match.index + match[0].length;
+        if (match.index < start || matchEnd > end) {
+          continue;
+        }
+        snippet += escapeHtml(text.slice(cursor, match.index));
+        snippet += `<mark>${escapeHtml(text.slice(match.index, matchEnd))}</mark>`;
+        cursor = matchEnd;
+      }
+      snippet += escapeHtml(text.slice(cursor, end));
+
+      return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Obtener un comunicado por ID, o null si no existe
+   */
+  async getCommuniqueById(id) {
+    const connection = await getAppConnection();
+    const [communiques] = await connection.execute(
+      `SELECT id, wp_user_id, title, description, original_filename, file_type,
+              wp_post_id, wp_post_url, wp_media_id, category, tags, priority, audience, status, pipeline_state, publish_at, expires_at, archived_at, created_at, updated_at
+       FROM condo360_communiques
+       WHERE id = ?`,
+      [id]
+    );
+
+    return communiques.length > 0 ? this.formatCommunique(communiques[0]) : null;
+  }
+
+  /**
+   * Obtener los anexos de un comunicado en su orden
+   */
+  async getAttachments(communiqueId) {
+    const connection = await getAppConnection();
+    const [attachments] = await connection.execute(
+      `SELECT id, position, original_filename, mime_type, file_size, wp_media_id, wp_media_url
+       FROM condo360_communique_attachments
+       WHERE communique_id = ?
+       ORDER BY position ASC`,
+      [communiqueId]
+    );
+
+    return attachments;
+  }
+
+  /**
+   * Dar formato a un comunicado para la API: fechas en hora de Caracas, etiquetas como lista
+   * y audiencia como objeto (null = toda la comunidad)
+   */
+  formatCommunique(communique) {
+    return {
+      ...this.formatDates(communique),
+      tags: communique.tags ? communique.tags.split(',') : [],
+      ...(communique.audience !== undefined && { audience: communique.audience ? JSON.parse(communique.audience) : null }),
+    };
+  }
+
+  /**
+   * Convertir fechas a la zona horaria de Caracas
+   */
+  formatDates(communique) {
+    return {
+      ...communique,
+      created_at: moment(communique.created_at).tz('America/Caracas').format(),
+      updated_at: moment(communique.updated_at).tz('America/Caracas').format(),
+      publish_at: communique.publish_at ? moment(communique.publish_at).tz('America/Caracas').format() : null,
+      expires_at: communique.expires_at ? moment(communique.expires_at).tz('America/Caracas').format() : null,
+      archived_at: communique.archived_at ? moment(communique.archived_at).tz('America/Caracas').format() : null,
+    };
+  }
+}
+
+module.exports = CommuniqueQueryService;
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { getAppConnection, getSetting } = require('../config/database');
+
+// Subidas en curso en este proceso: clave -> promesa que se resuelve al terminar
+const inFlightUploads = new Map();
+
+/**
+ * Detección de subidas repetidas: la misma Idempotency-Key o el mismo contenido
+ * del mismo autor dentro de la ventana configurada devuelven el comunicado existente
+ */
+class DuplicateDetectionService {
+  /**
+   * Hash SHA-256 del contenido de un archivo
+   */
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    });
+  }
+
+  /**
+   * Hash SHA-256 de un texto (comunicados redactados)
+   */
+  hashText(text) {
+    return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+  }
+
+  /**
+   * Claves de bloqueo de una subida; con force solo cuenta la Idempotency-Key
+   */
+  getLockKeys({ wpUserId, idempotencyKey, contentHash, force }) {
+    const keys = [];
+    if (idempotencyKey) {
+      keys.push(`${wpUserId}:key:${idempotencyKey}`);
+    }
+    if (contentHash && !force) {
+      keys.push(`${wpUserId}:hash:${contentHash}`);
+    }
+    return keys;
+  }
+
+  /**
+   * Buscar el comunicado que ya corresponde a esta subida, o null si no hay coincidencias
+   */
+  async findExisting({ wpUserId, idempotencyKey, contentHash, force }) {
+    const connection = await getAppConnection();
+
+    // La misma Idempotency-Key es el mismo pedido: se devuelve siempre el original
+    if (idempotencyKey) {
+      const [rows] = await connection.execute(
+        `SELECT id FROM condo360_communiques
+         WHERE wp_user_id = ? AND idempotency_key = ?
+         ORDER BY id DESC LIMIT 1`,
+        [wpUserId, idempotencyKey]
+      );
+      if (rows.length > 0) {
+        return { id: rows[0].id, matchedBy: 'idempotency_key' };
+      }
+    }
+
+    if (!contentHash || force) {
+      return null;
+    }
+
+    // Los anulados y las creaciones fallidas no cuentan: volver a subirlos es intencional
+    const windowMinutes = parseInt(await getSetting('duplicate_window_minutes', '30')) || 0;
+    if (windowMinutes <= 0) {
+      return null;
+    }
+
+    const [rows] = await connection.execute(
+      `SELECT id FROM condo360_communiques
+       WHERE wp_user_id = ? AND content_hash = ?
+         AND status IN ('draft', 'scheduled', 'published')
+         AND pipeline_state IN ('processing', 'completed')
+         AND created_at >= DATE_SUB(NOW(), INTERVAL ${windowMinutes} MINUTE)
+       ORDER BY id DESC LIMIT 1`,
+      [wpUserId, contentHash]
+    );
+
+    return rows.length > 0 ? { id: rows[0].id, matchedBy: 'content_hash' } : null;
+  }
+
+  /**
+   * Ejecutar create() salvo que la subida ya exista. Una subida idéntica que sigue en curso
+   * (el AJAX de WordPress expiró pero el backend continúa) se espera antes de comparar.
+   * Devuelve { existing } o { created }.
+   */
+  async guard(upload, create) {
+    const keys = this.getLockKeys(upload);
+
+    let pending = keys.map(key => inFlightUploads.get(key)).find(Boolean);
+    while (pending) {
+      await pending;
+      pending = keys.map(key => inFlightUploads.get(key)).find(Boolean);
+    }
+
+    // Registrar el bloqueo sin await intermedio para que otra petición no se cuele
+    let release;
+    const lock = new Promise(resolve => { release = resolve; });
+    keys.forEach(key => inFlightUploads.set(key, lock));
+
+    try {
+      const existing = await this.findExisting(upload);
+      if (existing) {
+        return { existing };
+      }
+
+      return { created: await create() };
+    } finally {
+      keys.forEach(key => inFlightUploads.delete(key));
+      release();
+    }
+  }
+}
+
+module.exports = DuplicateDetectionService;
@@ -1,14 +1,131 @@
 const mysql = require('mysql2/promise');
 const nodemailer = require('nodemailer');
 const moment = require('moment-timezone');
+const { getSetting } = require('../config/database');
+const { escapeHtml } = require('../utils/html');
+const CommuniqueQueryService = require('./communiqueQueryService');
+const AudienceService = require('./audienceService');
+const BounceService = require('./bounceService');
+const PreferenceService = require('./preferenceService');
+
+// Destinatarios por INSERT al llenar el buzón de salida
+const OUTBOX_INSERT_CHUNK = 200;
+// Espera máxima entre reintentos de un destinatario con falla temporal
+const MAX_RETRY_DELAY_MINUTES = 24 * 60;
+// Errores de nodemailer sin respuesta del servidor que no se resuelven reintentando
+const PERMANENT_ERROR_CODES = ['EENVELOPE', 'EMESSAGE'];
+// Hora del día (HH:mm) en los ajustes del horario de silencio
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Marca del pie del correo que se reemplaza por el enlace de preferencias de cada destinatario
+const PREFERENCES_LINK_PLACEHOLDER = '<!--enlace-preferencias-->';
+
+// Procesador activo en este proceso, para aplicar los cambios de ajustes sin reiniciar
+let activeProcessor = null;
 
 class EmailQueueService {
   constructor() {
+    this.audienceService = new AudienceService();
+    this.bounceService = new BounceService();
+    this.preferenceService = new PreferenceService();
     this.transporter = null;
     this.isProcessing = false;
-    this.batchSize = 30; // Enviar 30 correos por lote
-    this.batchInterval = 2 * 60 * 1000; // Cada 2 minutos
-    this.processingInterval = null;
+    this.urgentPollInterval = 15 * 1000; // Revisar comunicados urgentes cada 15 segundos
+    this.processingTimeout = null;
+    this.urgentInterval = null;
+  }
+
+  /**
+   * Ritmo de envío vigente, leído de condo360_settings en cada ciclo: tamaño de lote, minutos entre
+   * lotes, máximo por hora (0 = sin límite) y horario de silencio para los no urgentes (null = sin silencio)
+   */
+  async getSchedule() {
+    const start = (await getSetting('email_quiet_hours_start', '22:00') || '').trim();
+    const end = (await getSetting('email_quiet_hours_end', '06:00') || '').trim();
+
+    return {
+      batchSize: Math.max(parseInt(await getSetting('email_batch_size', '30')) || 30, 1),
+      intervalMinutes: Math.max(parseInt(await getSetting('email_batch_interval_minutes', '2')) || 2, 1),
+      maxPerHour: Math.max(parseInt(await getSetting('email_max_per_hour', '0')) || 0, 0),
+      quietHours: TIME_OF_DAY_PATTERN.test(start) && TIME_OF_DAY_PATTERN.test(end) && start !== end
+        ? { start, end }
+        : null,
+    };
+  }
+
+  /**
+   * Indicar si una hora (por defecto, ahora) cae en el horario de silencio, en hora de Caracas.
+   * El horario puede cruzar la medianoche (22:00 a 06:00).
+   */
+  isQuietTime(schedule, at = moment()) {
+    if (!schedule.quietHours) {
+      return false;
+    }
+
+    const toMinutes = time => parseInt(time.slice(0, 2)) * 60 + parseInt(time.slice(3, 5));
+    const local = moment(at).tz('America/Caracas');
+    const now = local.hours() * 60 + local.minutes();
+    const start = toMinutes(schedule.quietHours.start);
+    const end = toMinutes(schedule.quietHours.end);
+
+    return start < end ? now >= start && now < end : now >= start || now < end;
+  }
+
+  /**
+   * Correos que se pueden enviar en el próximo lote: el tamaño de lote, limitado por lo que
+   * queda del máximo por hora (contando los enviados en los últimos 60 minutos)
+   */
+  async getBatchLimit(connection, schedule) {
+    if (schedule.maxPerHour === 0) {
+      return schedule.batchSize;
+    }
+
+    const [[{ sent }]] = await connection.execute(
+      `SELECT COUNT(*) AS sent FROM condo360_email_outbox
+       WHERE status = 'sent' AND sent_at >= DATE_SUB(NOW(), INTERVAL 1 HOUR)`
+    );
+    return Math.max(Math.min(schedule.batchSize, schedule.maxPerHour - Number(sent)), 0);
+  }
+
+  /**
+   * Ritmo de envío que se informa al subir un comunicado
+   */
+  async describeSchedule(priority) {
+    const schedule = await this.getSchedule();
+    const quietNow = priority !== 'urgente' && this.isQuietTime(schedule);
+
+    let message = `Los correos se enviarán en lotes de ${schedule.batchSize} cada ${schedule.intervalMinutes} minuto(s)`;
+    if (priority === 'urgente') {
+      message = 'Comunicado urgente: los correos se envían antes que el resto de la cola y sin pausas entre lotes';
+    } else if (quietNow) {
+      message = `Horario de silencio (${schedule.quietHours.start} a ${schedule.quietHours.end}): los correos comenzarán a enviarse a las ${schedule.quietHours.end}`;
+    }
+    if (schedule.maxPerHour > 0) {
+      message += `, hasta ${schedule.maxPerHour} por hora`;
+    }
+
+    return {
+      batch_size: schedule.batchSize,
+      interval_minutes: priority === 'urgente' ? 0 : schedule.intervalMinutes,
+      max_per_hour: schedule.maxPerHour || null,
+      quiet_hours: schedule.quietHours,
+      quiet_now: quietNow,
+      message,
+    };
+  }
+
+  /**
+   * Crear conexión a la base de datos de WordPress donde vive la cola
+   */
+  async createConnection() {
+    return mysql.createConnection({
+      host: process.env.WP_DB_HOST || 'localhost',
+      port: parseInt(process.env.WP_DB_PORT) || 3306,
+      user: process.env.WP_DB_USER,
+      password: process.env.WP_DB_PASS,
+      database: process.env.WP_DB_NAME || 'wordpress',
+      timezone: '+00:00'
+    });
   }
 
   /**
@@ -44,86 +161,220 @@ class EmailQueueService {
   }
 
   /**
-   * Agregar comunicado a la cola de envío
+   * Agregar comunicado a la cola de envío, con un registro por destinatario en el buzón de salida
    */
   async queueCommunique(communiqueData) {
+    let connection = null;
+
     try {
-      const connection = await mysql.createConnection({
-        host: process.env.WP_DB_HOST || 'localhost',
-        port: parseInt(process.env.WP_DB_PORT) || 3306,
-        user: process.env.WP_DB_USER,
-        password: process.env.WP_DB_PASS,
-        database: process.env.WP_DB_NAME || 'wordpress',
-        timezone: '+00:00'
-      });
+      connection = await this.createConnection();
+
+      // La audiencia se resuelve al encolar: los destinatarios quedan fijados en el buzón de salida
+      const kind = communiqueData.kind || 'communique';
+      let recipients = [];
+      let recipientsError = null;
+      try {
+        recipients = await this.resolveRecipients(connection, {
+          communique_id: communiqueData.communique_id,
+          kind,
+          priority: communiqueData.priority || 'normal',
+        });
+      } catch (error) {
+        // Sin destinatarios el comunicado se publica igual: el envío queda fallido con el motivo
+        recipientsError = `No se pudieron obtener los destinatarios: ${error.message}`;
+      }
+
+      await connection.beginTransaction();
 
       // Insertar en la cola
       const [result] = await connection.execute(
         `INSERT INTO condo360_email_queue 
-         (communique_id, title, description, wp_post_url, status, created_at) 
-         VALUES (?, ?, ?, ?, 'pending', NOW())`,
+         (communique_id, kind, title, description, wp_post_url, image_url, priority, status, error_message, processed_at, created_at) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ${recipientsError ? 'NOW()' : 'NULL'}, NOW())`,
         [
           communiqueData.communique_id,
+          kind,
           communiqueData.title,
-          communiqueData.description,
-          communiqueData.wp_post_url
+          communiqueData.description || null,
+          communiqueData.wp_post_url || null,
+          communiqueData.image_url || null,
+          communiqueData.priority || 'normal',
+          recipientsError ? 'failed' : (communiqueData.held ? 'held' : 'pending'),
+          recipientsError
         ]
       );
 
-      await connection.end();
+      await this.addToOutbox(connection, result.insertId, communiqueData.communique_id, recipients);
+      await connection.commit();
 
-      console.log(`📧 Comunicado ${communiqueData.communique_id} agregado a la cola de envío`);
+      if (recipientsError) {
+        console.error(`❌ Envío del comunicado ${communiqueData.communique_id} marcado como fallido: ${recipientsError}`);
+        return result.insertId;
+      }
+
+      console.log(communiqueData.held
+        ? `📧 Comunicado ${communiqueData.communique_id} retenido en la cola hasta su publicación (${recipients.length} destinatarios)`
+        : `📧 Comunicado ${communiqueData.communique_id} agregado a la cola de envío (${recipients.length} destinatarios)`);
       return result.insertId;
 
     } catch (error) {
+      if (connection) {
+        await connection.rollback().catch(() => {});
+      }
       console.error('❌ Error al agregar comunicado a la cola:', error);
       throw error;
+    } finally {
+      if (connection) {
+        await connection.end().catch(() => {});
+      }
     }
   }
 
   /**
-   * Obtener destinatarios de la base de datos
+   * Liberar los envíos retenidos de un comunicado programado que ya se publicó
    */
-  async getRecipients() {
+  async releaseCommunique(communiqueId, wpPostUrl) {
     try {
-      const connection = await mysql.createConnection({
-        host: process.env.WP_DB_HOST || 'localhost',
-        port: parseInt(process.env.WP_DB_PORT) || 3306,
-        user: process.env.WP_DB_USER,
-        password: process.env.WP_DB_PASS,
-        database: process.env.WP_DB_NAME || 'wordpress',
-        timezone: '+00:00'
-      });
+      const connection = await this.createConnection();
+      const [result] = await connection.execute(
+        `UPDATE condo360_email_queue
+         SET status = 'pending', wp_post_url = ?
+         WHERE communique_id = ? AND status = 'held'`,
+        [wpPostUrl, communiqueId]
+      );
+      await connection.end();
+
+      console.log(`📧 ${result.affectedRows} envíos liberados para el comunicado ${communiqueId}`);
+      return result.affectedRows;
 
-      const [rows] = await connection.execute(`
-        SELECT u.user_email, u.display_name
-        FROM wp_users u
-        INNER JOIN wp_usermeta um ON u.ID = um.user_id
-        WHERE um.meta_key = 'wp_capabilities'
-        AND um.meta_value LIKE '%subscriber%'
-        AND u.user_email IS NOT NULL
-        AND u.user_email != ''
-        AND u.user_email REGEXP '^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}$'
-        AND u.user_email LIKE '%@%.%'
-      `);
+    } catch (error) {
+      console.error('❌ Error al liberar envíos del comunicado:', error);
+      throw error;
+    }
+  }
 
+  /**
+   * Actualizar los datos del correo retenido de un comunicado programado que se editó antes de publicarse
+   */
+  async updateHeldCommunique(communiqueId, { title, description, image_url, priority }) {
+    try {
+      const connection = await this.createConnection();
+      const [result] = await connection.execute(
+        `UPDATE condo360_email_queue
+         SET title = ?, description = ?, image_url = ?, priority = ?
+         WHERE communique_id = ? AND kind = 'communique' AND status = 'held'`,
+        [title, description || null, image_url || null, priority || 'normal', communiqueId]
+      );
       await connection.end();
 
-      // Filtrar dominios conocidos para evitar errores SMTP
-      const knownDomains = ['gmail.com', 'hotmail.com', 'yahoo.com', 'outlook.com', 'live.com', 'bonaventurecclub.com'];
-      const filteredRecipients = rows.filter(user => 
-        knownDomains.some(domain => user.user_email.toLowerCase().includes(domain))
+      console.log(`📧 ${result.affectedRows} envíos retenidos actualizados para el comunicado ${communiqueId}`);
+      return result.affectedRows;
+
+    } catch (error) {
+      console.error('❌ Error al actualizar envíos retenidos del comunicado:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancelar los envíos pendientes o en proceso de un comunicado
+   */
+  async cancelCommunique(communiqueId, reason = 'Comunicado anulado') {
+    try {
+      const connection = await this.createConnection();
+      const [result] = await connection.execute(
+        `UPDATE condo360_email_queue
+         SET status = 'cancelled', processed_at = NOW(), error_message = ?
+         WHERE communique_id = ? AND status IN ('held', 'pending', 'processing')`,
+        [reason, communiqueId]
       );
+      await connection.end();
+
+      console.log(`🛑 ${result.affectedRows} envíos cancelados para el comunicado ${communiqueId}`);
+      return result.affectedRows;
+
+    } catch (error) {
+      console.error('❌ Error al cancelar envíos del comunicado:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Destinatarios de un envío de la cola. Los avisos de anulación van solo a quienes recibieron
+   * el original; el resto, a la audiencia del comunicado según las preferencias de cada vecino
+   */
+  async resolveRecipients(connection, item) {
+    if (item.kind === 'retraction') {
+      return this.getNotifiedRecipients(connection, item.communique_id);
+    }
+
+    const { audience, category } = await this.audienceService.getCommuniqueTargeting(item.communique_id);
+    return this.getRecipients(audience, { category, priority: item.priority });
+  }
+
+  /**
+   * Obtener los destinatarios de una audiencia (sin audiencia, toda la comunidad).
+   * Con la categoría y la prioridad se omiten quienes se dieron de baja de ese tipo de aviso.
+   */
+  async getRecipients(audience = null, { category = null, priority = 'normal' } = {}) {
+    try {
+      const users = await this.audienceService.resolveUsers(audience);
+      const suppressed = await this.bounceService.getSuppressedEmails();
+
+      // Filtrar dominios conocidos para evitar errores SMTP y omitir las direcciones que rebotaron
+      const knownDomains = ['gmail.com', 'hotmail.com', 'yahoo.com', 'outlook.com', 'live.com', 'bonaventurecclub.com'];
+      const deliverable = users
+        .filter(user => knownDomains.some(domain => user.user_email.toLowerCase().includes(domain)))
+        .filter(user => !suppressed.has(user.user_email.toLowerCase()))
+        .map(user => ({ user_email: user.user_email, display_name: user.display_name }));
+      const filteredRecipients = await this.preferenceService.filterRecipients(deliverable, { category, priority });
 
-      console.log(`📧 ${filteredRecipients.length} destinatarios encontrados para envío en lotes`);
+      const bounced = users.filter(user => suppressed.has(user.user_email.toLowerCase())).length;
+      const optedOut = deliverable.length - filteredRecipients.length;
+      console.log(`📧 ${filteredRecipients.length} destinatarios encontrados (${this.audienceService.describe(audience)})`
+        + (bounced > 0 ? `; ${bounced} omitidos por rebote` : '')
+        + (optedOut > 0 ? `; ${optedOut} omitidos por sus preferencias` : ''));
       return filteredRecipients;
 
     } catch (error) {
+      // Quien encola decide qué hacer sin destinatarios (queueCommunique marca el envío como fallido)
       console.error('❌ Error al obtener destinatarios:', error);
-      return [];
+      throw error;
     }
   }
 
+  /**
+   * Cantidad de destinatarios fijados en el último envío de un comunicado, o null si no se encoló
+   */
+  async getQueuedRecipientCount(communiqueId) {
+    const connection = await this.createConnection();
+    const [rows] = await connection.execute(
+      `SELECT recipient_count
+       FROM condo360_email_queue
+       WHERE communique_id = ? AND kind = 'communique' AND recipient_count IS NOT NULL
+       ORDER BY id DESC LIMIT 1`,
+      [communiqueId]
+    );
+    await connection.end();
+
+    return rows.length > 0 ? rows[0].recipient_count : null;
+  }
+
+  /**
+   * Obtener quienes ya recibieron un comunicado (para avisos de anulación)
+   */
+  async getNotifiedRecipients(connection, communiqueId) {
+    const [rows] = await connection.execute(
+      `SELECT DISTINCT email AS user_email
+       FROM condo360_communiques_notifications
+       WHERE communique_id = ? AND status = 'sent'`,
+      [communiqueId]
+    );
+
+    console.log(`📧 ${rows.length} destinatarios recibieron el comunicado ${communiqueId}`);
+    return rows;
+  }
+
   /**
    * Generar template HTML para el correo
    */
@@ -137,6 +388,13 @@ class EmailQueueService {
       const logoHeight = await getSetting('email_template_logo_height', '94');
       
       const currentDate = moment().tz('America/Caracas').format('dddd, D [de] MMMM [de] YYYY [a las] h:mm A');
+      const isRetraction = communiqueData.kind === 'retraction';
+      const isUrgent = communiqueData.priority === 'urgente';
+
+      // Los anexos viven en la base de datos propia, no en la cola
+      const attachments = isRetraction
+        ? []
+        : await new CommuniqueQueryService().getAttachments(communiqueData.communique_id);
       
       return `
         <!DOCTYPE html>
@@ -162,7 +420,9 @@ class EmailQueueService {
               overflow: hidden;
             }
             .header {
-              background: linear-gradient(135deg, #007cba 0%, #005a87 100%);
+              background: ${isUrgent
+                ? 'linear-gradient(135deg, #d62c1a 0%, #a11d10 100%)'
+                : 'linear-gradient(135deg, #007cba 0%, #005a87 100%)'};
               padding: 30px 20px;
               text-align: center;
             }
@@ -191,6 +451,12 @@ class EmailQueueService {
               margin: 20px 0;
               font-style: italic;
             }
+            .attachments {
+              margin: 20px 0;
+            }
+            .attachments a {
+              color: #3498db;
+            }
             .cta-button {
               display: inline-block;
               background-color: #3498db;
@@ -231,29 +497,51 @@ class EmailQueueService {
             </div>
             
             <div class="content">
-              <h1 class="title">Comunicado de la Junta</h1>
+              <h1 class="title">${isRetraction ? 'Comunicado Anulado' : (isUrgent ? 'Comunicado Urgente' : 'Comunicado de la Junta')}</h1>
               
               <p>Estimado(a) propietario(a),</p>
               
-              <p>La Junta de Condominio ha publicado un nuevo comunicado que requiere su atención:</p>
+              <p>${isRetraction
+                ? 'La Junta de Condominio ha anulado el siguiente comunicado que le fue enviado anteriormente. Por favor, no lo tome en cuenta:'
+                : isUrgent
+                  ? 'La Junta de Condominio ha publicado un comunicado URGENTE que requiere su atención inmediata:'
+                  : 'La Junta de Condominio ha publicado un nuevo comunicado que requiere su atención:'}</p>
               
               <div class="description">
                 <strong>${communiqueData.title}</strong><br>
                 ${communiqueData.description || ''}
               </div>
               
+              ${!isRetraction && communiqueData.image_url ? `
+              <div style="text-align: center; margin: 20px 0;">
+                <a href="${communiqueData.wp_post_url}">
+                  <img src="${communiqueData.image_url}" alt="Vista previa del comunicado" style="max-width: 100%; height: auto; border: 1px solid #dddddd;">
+                </a>
+              </div>` : ''}
+              
+              ${attachments.length > 0 ? `
+              <div class="attachments">
+                <strong>Anexos:</strong>
+                <ol>
+                  ${attachments.map(attachment => `<li><a href="${escapeHtml(attachment.wp_media_url)}">${escapeHtml(attachment.original_filename)}</a></li>`).join('')}
+                </ol>
+              </div>` : ''}
+              
+              ${isRetraction ? '' : `
               <div style="text-align: center;">
                 <a href="${communiqueData.wp_post_url}" class="cta-button">
                   Ver Comunicado Completo
                 </a>
-              </div>
+              </div>`}
               
               <div class="divider"></div>
               
-              <p>Por favor, revise este comunicado en su totalidad para mantenerse informado sobre los asuntos importantes de nuestro condominio.</p>
+              <p>${isRetraction
+                ? 'Disculpe las molestias ocasionadas.'
+                : 'Por favor, revise este comunicado en su totalidad para mantenerse informado sobre los asuntos importantes de nuestro condominio.'}</p>
               
               <div class="date-info">
-                <strong>Fecha de publicación:</strong> ${currentDate} (GMT -4)
+                <strong>${isRetraction ? 'Fecha de anulación' : 'Fecha de publicación'}:</strong> ${currentDate} (GMT -4)
               </div>
             </div>
             
@@ -265,6 +553,7 @@ class EmailQueueService {
                 Este es un mensaje automático del sistema de comunicados.<br>
                 Por favor, no responda a este correo.
               </p>
+              ${PREFERENCES_LINK_PLACEHOLDER}
             </div>
           </div>
         </body>
@@ -277,180 +566,548 @@ class EmailQueueService {
   }
 
   /**
-   * Procesar lote de correos pendientes
+   * Poner en el pie del correo el enlace de preferencias del destinatario (sin enlace, se quita la marca)
+   */
+  addPreferencesLink(html, preferencesUrl) {
+    return html.replace(PREFERENCES_LINK_PLACEHOLDER, preferencesUrl
+      ? `<p style="font-size: 12px;"><a href="${preferencesUrl}" style="color: #2c5aa0;">Elegir qué comunicados recibir o darse de baja</a></p>`
+      : '');
+  }
+
+  /**
+   * Asunto del correo según el tipo de envío y su prioridad
    */
-  async processBatch() {
+  getSubject(communique) {
+    const subject = communique.kind === 'retraction'
+      ? `Comunicado anulado: ${communique.title}`
+      : `Comunicado de la Junta: ${communique.title}`;
+
+    return communique.priority === 'urgente' ? `🚨 URGENTE - ${subject}` : subject;
+  }
+
+  /**
+   * Registrar los destinatarios de un envío en el buzón de salida, en bloques.
+   * La clave única (queue_id, email) evita repetir una dirección en el mismo envío.
+   */
+  async addToOutbox(connection, queueId, communiqueId, recipients) {
+    for (let i = 0; i < recipients.length; i += OUTBOX_INSERT_CHUNK) {
+      const chunk = recipients.slice(i, i + OUTBOX_INSERT_CHUNK);
+      await connection.execute(
+        `INSERT IGNORE INTO condo360_email_outbox (queue_id, communique_id, email, display_name)
+         VALUES ${chunk.map(() => '(?, ?, ?, ?)').join(', ')}`,
+        chunk.flatMap(recipient => [queueId, communiqueId, recipient.user_email, recipient.display_name || null])
+      );
+    }
+
+    await connection.execute(
+      'UPDATE condo360_email_queue SET recipient_count = ? WHERE id = ?',
+      [recipients.length, queueId]
+    );
+  }
+
+  /**
+   * Tomar el envío a atender: urgentes primero, luego alta y normal; dentro de cada prioridad
+   * se continúa el que ya está en proceso antes de empezar otro, por antigüedad.
+   * Un envío en proceso cuyos pendientes esperan reintento no detiene a los demás.
+   * El UPDATE condicional evita que dos procesos empiecen el mismo envío.
+   */
+  async claimNextItem(connection, urgentOnly = false) {
+    const [items] = await connection.execute(`
+      SELECT * FROM condo360_email_queue q
+      WHERE (q.status = 'pending' OR (q.status = 'processing' AND (
+          q.recipient_count IS NULL
+          OR EXISTS (
+            SELECT 1 FROM condo360_email_outbox o
+            WHERE o.queue_id = q.id AND o.status = 'pending'
+              AND (o.next_attempt_at IS NULL OR o.next_attempt_at <= NOW())
+          )
+          OR NOT EXISTS (
+            SELECT 1 FROM condo360_email_outbox o
+            WHERE o.queue_id = q.id AND o.status = 'pending'
+          )
+        )))${urgentOnly ? " AND q.priority = 'urgente'" : ''}
+      ORDER BY FIELD(q.priority, 'urgente', 'alta', 'normal'), FIELD(q.status, 'processing', 'pending'), q.created_at ASC 
+      LIMIT 1
+    `);
+
+    if (items.length === 0) {
+      return null;
+    }
+
+    if (items[0].status === 'processing') {
+      return items[0];
+    }
+
+    const [result] = await connection.execute(
+      "UPDATE condo360_email_queue SET status = 'processing' WHERE id = ? AND status = 'pending'",
+      [items[0].id]
+    );
+
+    return result.affectedRows > 0 ? items[0] : null;
+  }
+
+  /**
+   * Procesar lote de correos pendientes.
+   * Con urgentOnly solo se toman comunicados urgentes (revisión frecuente entre ciclos).
+   */
+  async processBatch({ urgentOnly = false } = {}) {
     if (this.isProcessing) {
-      console.log('⏳ Ya hay un lote procesándose, saltando...');
+      if (!urgentOnly) {
+        console.log('⏳ Ya hay un lote procesándose, saltando...');
+      }
       return;
     }
 
+    let connection = null;
+
     try {
       this.isProcessing = true;
-      console.log('📧 Iniciando procesamiento de lote de correos...');
 
       // Verificar si está en modo de prueba
       if (process.env.NODE_ENV === 'development' || process.env.SMTP_TEST_MODE === 'true') {
-        console.log('🧪 Modo de prueba: Simulando envío de lotes');
+        if (!urgentOnly) {
+          console.log('🧪 Modo de prueba: Simulando envío de lotes');
+        }
         return;
       }
 
-      // Inicializar transporter
-      await this.initializeTransporter();
+      // En horario de silencio el ciclo normal solo atiende urgentes
+      const schedule = await this.getSchedule();
+      const quiet = !urgentOnly && this.isQuietTime(schedule);
 
-      // Obtener comunicados pendientes
-      const connection = await mysql.createConnection({
-        host: process.env.WP_DB_HOST || 'localhost',
-        port: parseInt(process.env.WP_DB_PORT) || 3306,
-        user: process.env.WP_DB_USER,
-        password: process.env.WP_DB_PASS,
-        database: process.env.WP_DB_NAME || 'wordpress',
-        timezone: '+00:00'
-      });
+      connection = await this.createConnection();
+      let limit = await this.getBatchLimit(connection, schedule);
+      if (limit === 0) {
+        if (!urgentOnly) {
+          console.log(`⏸️  Se alcanzó el máximo de ${schedule.maxPerHour} correos por hora; el envío continúa en el próximo ciclo`);
+        }
+        return;
+      }
 
-      const [pendingCommuniques] = await connection.execute(`
-        SELECT * FROM condo360_email_queue 
-        WHERE status = 'pending' 
-        ORDER BY created_at ASC 
-        LIMIT 1
-      `);
+      // Obtener el envío en curso o el siguiente pendiente
+      const communique = await this.claimNextItem(connection, urgentOnly || quiet);
 
-      if (pendingCommuniques.length === 0) {
-        console.log('📧 No hay comunicados pendientes en la cola');
-        await connection.end();
+      if (!communique) {
+        if (quiet) {
+          console.log(`🌙 Horario de silencio (${schedule.quietHours.start} a ${schedule.quietHours.end}): solo se envían comunicados urgentes`);
+        } else if (!urgentOnly) {
+          console.log('📧 No hay comunicados pendientes en la cola');
+        }
         return;
       }
 
-      const communique = pendingCommuniques[0];
-      console.log(`📧 Procesando comunicado ${communique.communique_id}: ${communique.title}`);
+      console.log('📧 Iniciando procesamiento de lote de correos...');
+
+      // Inicializar transporter
+      await this.initializeTransporter();
+
+      // Un lote por ciclo; los urgentes envían todos sus lotes sin pausa, dentro del máximo por hora
+      let hasMore = await this.sendNextBatch(connection, communique, limit);
+      while (hasMore && communique.priority === 'urgente') {
+        limit = await this.getBatchLimit(connection, schedule);
+        if (limit === 0) {
+          console.log(`⏸️  Se alcanzó el máximo de ${schedule.maxPerHour} correos por hora; el urgente continúa en la próxima revisión`);
+          break;
+        }
+        hasMore = await this.sendNextBatch(connection, communique, limit);
+      }
+
+    } catch (error) {
+      console.error('❌ Error en procesamiento de lote:', error);
+    } finally {
+      if (connection) {
+        await connection.end().catch(() => {});
+      }
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Enviar el siguiente lote del buzón de salida de un envío ya tomado de la cola.
+   * Cada destinatario se marca al enviarse, así un reinicio continúa donde quedó.
+   * Devuelve true si quedan destinatarios pendientes.
+   */
+  async sendNextBatch(connection, communique, limit) {
+    // Detener el envío si el comunicado fue anulado mientras se procesaba
+    const [queueRows] = await connection.execute(
+      'SELECT status FROM condo360_email_queue WHERE id = ?',
+      [communique.id]
+    );
+    if (queueRows.length === 0 || queueRows[0].status === 'cancelled') {
+      console.log(`🛑 Envío del comunicado ${communique.communique_id} cancelado, deteniendo lotes`);
+      return false;
+    }
+
+    // Los envíos encolados antes del buzón de salida se resuelven al tomarlos
+    if (communique.recipient_count === null) {
+      const recipients = await this.resolveRecipients(connection, communique);
+      await this.addToOutbox(connection, communique.id, communique.communique_id, recipients);
+      communique.recipient_count = recipients.length;
+    }
+
+    // Los destinatarios con una falla temporal esperan su próximo intento
+    const [pendingRows] = await connection.execute(
+      `SELECT id, email, attempts FROM condo360_email_outbox
+       WHERE queue_id = ? AND status = 'pending'
+         AND (next_attempt_at IS NULL OR next_attempt_at <= NOW())
+       ORDER BY id ASC
+       LIMIT ${parseInt(limit)}`,
+      [communique.id]
+    );
+
+    if (pendingRows.length === 0) {
+      return this.checkRemaining(connection, communique);
+    }
+
+    const isUrgent = communique.priority === 'urgente';
+    console.log(`📧 Procesando comunicado ${communique.communique_id}${isUrgent ? ' (urgente)' : ''}: ${communique.title} (${pendingRows.length} destinatarios en este lote)`);
+
+    // Generar template HTML para este comunicado
+    const htmlContent = await this.generateEmailTemplate(communique);
+
+    // Preparar datos del correo
+    const mailOptions = {
+      from: process.env.MAIL_FROM || 'comunicados@bonaventurecclub.com',
+      subject: this.getSubject(communique),
+      html: htmlContent,
+      ...(isUrgent && { priority: 'high' }),
+    };
 
-      // Obtener destinatarios
-      const recipients = await this.getRecipients();
-      if (recipients.length === 0) {
-        console.log('⚠️  No se encontraron destinatarios');
+    for (const recipient of pendingRows) {
+      try {
+        // Dirección de retorno VERP: el rebote identifica al comunicado y al destinatario
+        const returnPath = this.bounceService.getReturnPath(communique.communique_id, recipient.email);
+        const preferencesUrl = this.preferenceService.getPreferencesUrl(recipient.email);
+        await this.transporter.sendMail({
+          ...mailOptions,
+          to: recipient.email,
+          html: this.addPreferencesLink(htmlContent, preferencesUrl),
+          ...(returnPath && { envelope: { from: returnPath, to: recipient.email } }),
+          ...(preferencesUrl && {
+            headers: {
+              'List-Unsubscribe': `<${preferencesUrl}>`,
+              'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+            },
+          }),
+        });
+
+        // Marcar de inmediato: un reinicio no vuelve a enviar a quien ya lo recibió
         await connection.execute(
-          'UPDATE condo360_email_queue SET status = ?, error_message = ? WHERE id = ?',
-          ['failed', 'No se encontraron destinatarios', communique.id]
+          "UPDATE condo360_email_outbox SET status = 'sent', sent_at = NOW() WHERE id = ?",
+          [recipient.id]
+        );
+
+        // Registrar envío exitoso
+        await connection.execute(
+          `INSERT INTO condo360_communiques_notifications 
+           (communique_id, email, status, sent_at) 
+           VALUES (?, ?, 'sent', NOW())`,
+          [communique.communique_id, recipient.email]
         );
-        await connection.end();
-        return;
-      }
 
-      console.log(`📧 ${recipients.length} destinatarios encontrados para envío en lotes`);
+        console.log(`✅ Enviado a: ${recipient.email}`);
 
-      // Dividir destinatarios en lotes de máximo 30
-      const recipientBatches = [];
-      for (let i = 0; i < recipients.length; i += this.batchSize) {
-        recipientBatches.push(recipients.slice(i, i + this.batchSize));
+      } catch (error) {
+        console.error(`❌ Error al enviar a ${recipient.email}:`, error.message);
+        await this.recordFailure(connection, communique, recipient, error);
       }
+    }
 
-      console.log(`📧 ${recipients.length} destinatarios divididos en ${recipientBatches.length} lotes de máximo ${this.batchSize}`);
-
-      // Generar template HTML para este comunicado
-      const htmlContent = await this.generateEmailTemplate(communique);
-
-      // Preparar datos del correo
-      const mailOptions = {
-        from: process.env.MAIL_FROM || 'comunicados@bonaventurecclub.com',
-        subject: `Comunicado de la Junta: ${communique.title}`,
-        html: htmlContent,
-      };
-
-      // Procesar cada lote de destinatarios
-      let totalSent = 0;
-      let totalFailed = 0;
-      const errors = [];
-
-      for (let batchIndex = 0; batchIndex < recipientBatches.length; batchIndex++) {
-        const recipientBatch = recipientBatches[batchIndex];
-        console.log(`📧 Procesando lote ${batchIndex + 1}/${recipientBatches.length} (${recipientBatch.length} destinatarios)`);
-
-        // Enviar a cada destinatario del lote
-        for (const recipient of recipientBatch) {
-          try {
-            await this.transporter.sendMail({
-              ...mailOptions,
-              to: recipient.user_email
-            });
-
-            // Registrar envío exitoso
-            await connection.execute(
-              `INSERT INTO condo360_communiques_notifications 
-               (communique_id, email, status, sent_at) 
-               VALUES (?, ?, 'sent', NOW())`,
-              [communique.communique_id, recipient.user_email]
-            );
-
-            totalSent++;
-            console.log(`✅ Enviado a: ${recipient.user_email}`);
-
-          } catch (error) {
-            console.error(`❌ Error al enviar a ${recipient.user_email}:`, error.message);
-
-            // Registrar error
-            await connection.execute(
-              `INSERT INTO condo360_communiques_notifications 
-               (communique_id, email, status, message, sent_at) 
-               VALUES (?, ?, 'error', ?, NOW())`,
-              [communique.communique_id, recipient.user_email, error.message]
-            );
-
-            totalFailed++;
-            errors.push(`${recipient.user_email}: ${error.message}`);
-          }
-        }
+    return this.checkRemaining(connection, communique);
+  }
 
-        // Esperar 2 minutos entre lotes (excepto en el último)
-        if (batchIndex < recipientBatches.length - 1) {
-          console.log(`⏳ Esperando 2 minutos antes del siguiente lote...`);
-          await new Promise(resolve => setTimeout(resolve, this.batchInterval));
-        }
+  /**
+   * Clasificar una falla de envío por el código de respuesta SMTP: 4xx es temporal y 5xx permanente.
+   * Sin respuesta del servidor (conexión, tiempo de espera) se considera temporal.
+   */
+  classifyFailure(error) {
+    const smtpCode = parseInt(error.responseCode) || null;
+
+    if (smtpCode) {
+      return { type: smtpCode >= 500 ? 'permanent' : 'temporary', smtpCode };
+    }
+    return { type: PERMANENT_ERROR_CODES.includes(error.code) ? 'permanent' : 'temporary', smtpCode };
+  }
+
+  /**
+   * Reintentos por destinatario (email_max_attempts) y espera base entre ellos (email_retry_base_minutes)
+   */
+  async getRetryPolicy() {
+    return {
+      maxAttempts: Math.max(parseInt(await getSetting('email_max_attempts', '5')) || 1, 1),
+      baseMinutes: Math.max(parseInt(await getSetting('email_retry_base_minutes', '5')) || 1, 1),
+    };
+  }
+
+  /**
+   * Registrar la falla de un destinatario: las temporales se reintentan con espera exponencial;
+   * las permanentes y las que agotaron los intentos pasan a la lista de fallidos
+   */
+  async recordFailure(connection, communique, recipient, error) {
+    const { type, smtpCode } = this.classifyFailure(error);
+    const attempts = recipient.attempts + 1;
+    const { maxAttempts, baseMinutes } = await this.getRetryPolicy();
+
+    if (type === 'temporary' && attempts < maxAttempts) {
+      const delayMinutes = Math.min(baseMinutes * 2 ** (attempts - 1), MAX_RETRY_DELAY_MINUTES);
+      await connection.execute(
+        `UPDATE condo360_email_outbox
+         SET attempts = ?, failure_type = ?, smtp_code = ?, error_message = ?,
+             next_attempt_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+         WHERE id = ?`,
+        [attempts, type, smtpCode, error.message, delayMinutes, recipient.id]
+      );
+      console.log(`🔁 Falla temporal con ${recipient.email} (intento ${attempts} de ${maxAttempts}); se reintenta en ${delayMinutes} minutos`);
+      return;
+    }
+
+    await connection.execute(
+      `UPDATE condo360_email_outbox
+       SET status = 'failed', attempts = ?, failure_type = ?, smtp_code = ?, error_message = ?, next_attempt_at = NULL
+       WHERE id = ?`,
+      [attempts, type, smtpCode, error.message, recipient.id]
+    );
+
+    // Registrar error
+    await connection.execute(
+      `INSERT INTO condo360_communiques_notifications 
+       (communique_id, email, status, message, sent_at) 
+       VALUES (?, ?, 'error', ?, NOW())`,
+      [communique.communique_id, recipient.email, error.message]
+    );
+  }
+
+  /**
+   * Cerrar el envío si no quedan destinatarios pendientes.
+   * Devuelve true si quedan destinatarios listos para el siguiente lote.
+   */
+  async checkRemaining(connection, communique) {
+    const [[{ remaining, ready }]] = await connection.execute(
+      `SELECT COUNT(*) AS remaining,
+              COALESCE(SUM(next_attempt_at IS NULL OR next_attempt_at <= NOW()), 0) AS ready
+       FROM condo360_email_outbox
+       WHERE queue_id = ? AND status = 'pending'`,
+      [communique.id]
+    );
+
+    if (Number(remaining) === 0) {
+      await this.finishQueueItem(connection, communique);
+      return false;
+    }
+
+    if (Number(ready) === 0) {
+      console.log(`🔁 Quedan ${remaining} destinatarios esperando reintento`);
+      return false;
+    }
+
+    console.log(`⏳ Quedan ${remaining} destinatarios; el siguiente lote sale en el próximo ciclo`);
+    return true;
+  }
+
+  /**
+   * Cerrar un envío sin destinatarios pendientes y mostrar el resumen
+   */
+  async finishQueueItem(connection, communique) {
+    if (communique.recipient_count === 0) {
+      console.log('⚠️  No se encontraron destinatarios');
+      await connection.execute(
+        "UPDATE condo360_email_queue SET status = ?, error_message = ?, processed_at = NOW() WHERE id = ? AND status = 'processing'",
+        ['failed', 'No se encontraron destinatarios', communique.id]
+      );
+      return;
+    }
+
+    // Marcar el comunicado como completado
+    await connection.execute(
+      "UPDATE condo360_email_queue SET status = ?, processed_at = NOW() WHERE id = ? AND status = 'processing'",
+      ['completed', communique.id]
+    );
+
+    const summary = await this.getOutboxSummary(connection, communique.id);
+    console.log(`📊 Resumen del envío:`);
+    console.log(`  ✅ Enviados: ${summary.sent}`);
+    console.log(`  ❌ Fallidos: ${summary.failed}`);
+    console.log(`  📧 Total destinatarios: ${communique.recipient_count}`);
+    console.log(`  📄 Comunicado procesado: ${communique.title}`);
+  }
+
+  /**
+   * Cantidad de destinatarios de un envío por estado en el buzón de salida
+   */
+  async getOutboxSummary(connection, queueId) {
+    const [rows] = await connection.execute(
+      'SELECT status, COUNT(*) AS total FROM condo360_email_outbox WHERE queue_id = ? GROUP BY status',
+      [queueId]
+    );
+
+    const summary = { pending: 0, sent: 0, failed: 0 };
+    rows.forEach(row => { summary[row.status] = Number(row.total); });
+    return summary;
+  }
+
+  /**
+   * Lista de fallidos: destinatarios con falla permanente o sin más intentos, los más recientes primero
+   */
+  async getDeadLetters({ communiqueId = null, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+    const where = `WHERE o.status = 'failed'${communiqueId ? ' AND o.communique_id = ?' : ''}`;
+    const params = communiqueId ? [communiqueId] : [];
+
+    const connection = await this.createConnection();
+    try {
+      const [[{ total }]] = await connection.execute(
+        `SELECT COUNT(*) AS total FROM condo360_email_outbox o ${where}`,
+        params
+      );
+
+      const [rows] = await connection.execute(
+        `SELECT o.id, o.queue_id, o.communique_id, q.kind, q.title, q.status AS queue_status,
+                o.email, o.display_name, o.attempts, o.failure_type, o.smtp_code, o.error_message,
+                o.updated_at AS failed_at
+         FROM condo360_email_outbox o
+         INNER JOIN condo360_email_queue q ON q.id = o.queue_id
+         ${where}
+         ORDER BY o.updated_at DESC, o.id DESC
+         LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+        params
+      );
+
+      return { deadLetters: rows, total: Number(total) };
+    } finally {
+      await connection.end().catch(() => {});
+    }
+  }
+
+  /**
+   * Volver a enviar destinatarios de la lista de fallidos (por id o todos los de un comunicado).
+   * Vuelven a pendientes con los intentos en cero y su envío se reabre; los de envíos cancelados
+   * no se reenvían. Devuelve la cantidad de destinatarios reencolados.
+   */
+  async resendDeadLetters({ ids = [], communiqueId = null }) {
+    const conditions = ["o.status = 'failed'", "q.status != 'cancelled'"];
+    const params = [];
+    if (ids.length > 0) {
+      conditions.push(`o.id IN (${ids.map(() => '?').join(', ')})`);
+      params.push(...ids);
+    }
+    if (communiqueId) {
+      conditions.push('o.communique_id = ?');
+      params.push(communiqueId);
+    }
+
+    const connection = await this.createConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute(
+        `SELECT o.id, o.queue_id
+         FROM condo360_email_outbox o
+         INNER JOIN condo360_email_queue q ON q.id = o.queue_id
+         WHERE ${conditions.join(' AND ')}
+         FOR UPDATE`,
+        params
+      );
+
+      if (rows.length === 0) {
+        await connection.commit();
+        return 0;
       }
 
-      // Marcar el comunicado como completado
+      const outboxIds = rows.map(row => row.id);
       await connection.execute(
-        'UPDATE condo360_email_queue SET status = ?, processed_at = NOW() WHERE id = ?',
-        ['completed', communique.id]
+        `UPDATE condo360_email_outbox
+         SET status = 'pending', attempts = 0, next_attempt_at = NULL, failure_type = NULL, smtp_code = NULL, error_message = NULL
+         WHERE id IN (${outboxIds.map(() => '?').join(', ')})`,
+        outboxIds
       );
 
-      await connection.end();
+      const queueIds = [...new Set(rows.map(row => row.queue_id))];
+      await connection.execute(
+        `UPDATE condo360_email_queue
+         SET status = 'pending', processed_at = NULL, error_message = NULL
+         WHERE id IN (${queueIds.map(() => '?').join(', ')}) AND status IN ('completed', 'failed')`,
+        queueIds
+      );
 
-      console.log(`📊 Resumen del envío:`);
-      console.log(`  ✅ Enviados: ${totalSent}`);
-      console.log(`  ❌ Fallidos: ${totalFailed}`);
-      console.log(`  📧 Total destinatarios: ${recipients.length}`);
-      console.log(`  📄 Comunicado procesado: ${communique.title}`);
+      await connection.commit();
+      console.log(`🔁 ${rows.length} destinatarios de la lista de fallidos reencolados`);
+      return rows.length;
 
     } catch (error) {
-      console.error('❌ Error en procesamiento de lote:', error);
+      await connection.rollback().catch(() => {});
+      console.error('❌ Error al reenviar destinatarios fallidos:', error);
+      throw error;
     } finally {
-      this.isProcessing = false;
+      await connection.end().catch(() => {});
+    }
+  }
+
+  /**
+   * Programar el siguiente ciclo con el intervalo vigente; se relee en cada ciclo,
+   * así un cambio de email_batch_interval_minutes se aplica sin reiniciar
+   */
+  async scheduleNextCycle() {
+    const { intervalMinutes } = await this.getSchedule();
+    if (activeProcessor !== this) {
+      return;
+    }
+
+    clearTimeout(this.processingTimeout);
+    this.processingTimeout = setTimeout(async () => {
+      await this.processBatch();
+      this.scheduleNextCycle();
+    }, intervalMinutes * 60 * 1000);
+  }
+
+  /**
+   * Aplicar de inmediato un cambio de ajustes de envío al procesador en marcha:
+   * se atiende la cola y el siguiente ciclo usa el nuevo intervalo
+   */
+  applySchedule() {
+    if (activeProcessor) {
+      setImmediate(async () => {
+        await activeProcessor.processBatch();
+        activeProcessor.scheduleNextCycle();
+      });
     }
   }
 
   /**
    * Iniciar el procesador de cola
    */
-  startQueueProcessor() {
+  async startQueueProcessor() {
     console.log('🚀 Iniciando procesador de cola de correos...');
-    console.log(`📧 Configuración: Lotes de ${this.batchSize} correos cada ${this.batchInterval / 1000 / 60} minutos`);
+    activeProcessor = this;
+
+    const schedule = await this.getSchedule();
+    console.log(`📧 Configuración: Lotes de ${schedule.batchSize} correos cada ${schedule.intervalMinutes} minutos`
+      + (schedule.maxPerHour > 0 ? `, máximo ${schedule.maxPerHour} por hora` : '')
+      + (schedule.quietHours ? `, silencio de ${schedule.quietHours.start} a ${schedule.quietHours.end}` : ''));
 
-    // Procesar inmediatamente al inicio
-    this.processBatch();
+    // Procesar inmediatamente al inicio; lo que quedó a medias antes de un reinicio continúa
+    // desde el buzón de salida con los destinatarios que faltan
+    await this.processBatch();
+    this.scheduleNextCycle();
 
-    // Luego procesar cada 2 minutos
-    this.processingInterval = setInterval(() => {
-      this.processBatch();
-    }, this.batchInterval);
+    // Los comunicados urgentes no esperan al siguiente ciclo
+    this.urgentInterval = setInterval(() => {
+      this.processBatch({ urgentOnly: true });
+    }, this.urgentPollInterval);
   }
 
   /**
    * Detener el procesador de cola
    */
   stopQueueProcessor() {
-    if (this.processingInterval) {
-      clearInterval(this.processingInterval);
-      this.processingInterval = null;
+    if (this.urgentInterval) {
+      clearInterval(this.urgentInterval);
+      this.urgentInterval = null;
+    }
+
+    if (activeProcessor === this) {
+      clearTimeout(this.processingTimeout);
+      this.processingTimeout = null;
+      activeProcessor = null;
       console.log('⏹️  Procesador de cola detenido');
     }
   }
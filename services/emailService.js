@@ -336,6 +336,47 @@ class EmailService {
     }
   }
 
+  /**
+   * Enviar código de vinculación de Telegram
+   */
+  async sendTelegramLinkCode(email, code) {
+    try {
+      // Verificar si está en modo de prueba
+      if (process.env.NODE_ENV === 'development' || process.env.SMTP_TEST_MODE === 'true') {
+        console.log(`🧪 Modo de prueba: Código de vinculación de Telegram para ${email}: ${code}`);
+        return true;
+      }
+
+      await this.initializeTransporter();
+
+      await this.transporter.sendMail({
+        from: process.env.MAIL_FROM || 'comunicados@bonaventurecclub.com',
+        to: email,
+        subject: 'Código de vinculación de Telegram - Condo360',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+            <h2 style="color: #2c3e50;">Vinculación con Telegram</h2>
+            <p>Se solicitó vincular su cuenta con el bot de comunicados de Telegram.</p>
+            <p>Envíe al bot el siguiente mensaje para completar la vinculación:</p>
+            <p style="font-size: 20px; font-weight: bold; letter-spacing: 2px;">/suscribir ${code}</p>
+            <p>El código vence en 15 minutos. Si usted no hizo esta solicitud, ignore este correo.</p>
+            <hr>
+            <p style="color: #7f8c8d; font-size: 12px;">
+              Sistema de Comunicados Condo360<br>
+              Bonaventure Country Club
+            </p>
+          </div>
+        `,
+      });
+
+      console.log(`✅ Código de vinculación de Telegram enviado a: ${email}`);
+      return true;
+    } catch (error) {
+      console.error('❌ Error al enviar código de vinculación:', error);
+      throw error;
+    }
+  }
+
   /**
    * Enviar correo de prueba
    */
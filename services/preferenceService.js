@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const { getWpConnection, getSetting } = require('../config/database');
+const { COMMUNIQUE_CATEGORIES } = require('../middleware/fileValidation');
+const { escapeHtml } = require('../utils/html');
+
+/**
+ * Preferencias de correo de los vecinos (condo360_email_preferences). Cada correo lleva un enlace
+ * firmado con HMAC por destinatario para elegir categorías o darse de baja de los avisos no
+ * obligatorios. Los urgentes y las categorías de email_mandatory_categories llegan siempre.
+ */
+class PreferenceService {
+  constructor() {
+    this.secret = process.env.PREFERENCES_SECRET || '';
+    this.baseUrl = (process.env.PUBLIC_API_URL || 'https://blogapi.bonaventurecclub.com').replace(/\/+$/, '');
+  }
+
+  /**
+   * Firma HMAC-SHA256 de la parte de datos del token
+   */
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Token de preferencias de un destinatario: el correo en base64url y su firma
+   */
+  createToken(email) {
+    const payload = Buffer.from(email.trim().toLowerCase()).toString('base64url');
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * Correo de un token con firma válida, o null
+   */
+  verifyToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!this.secret || !payload || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(payload));
+    const received = Buffer.from(signature);
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      return null;
+    }
+    return Buffer.from(payload, 'base64url').toString('utf8');
+  }
+
+  /**
+   * Enlace a la página de preferencias de un destinatario, o null si PREFERENCES_SECRET no está configurado
+   */
+  getPreferencesUrl(email) {
+    return this.secret ? `${this.baseUrl}/preferences/${this.createToken(email)}` : null;
+  }
+
+  /**
+   * Categorías que llegan a todos aunque el vecino se haya dado de baja (email_mandatory_categories)
+   */
+  async getMandatoryCategories() {
+    const setting = await getSetting('email_mandatory_categories', 'emergencia');
+    return setting.split(',').map(category => category.trim().toLowerCase()).filter(Boolean);
+  }
+
+  /**
+   * Preferencias guardadas de un correo; sin registro recibe todo
+   */
+  async getPreferences(email) {
+    const connection = await getWpConnection();
+    const [rows] = await connection.execute(
+      'SELECT unsubscribed, muted_categories, updated_at FROM condo360_email_preferences WHERE email = ?',
+      [email.toLowerCase()]
+    );
+
+    if (rows.length === 0) {
+      return { unsubscribed: false, mutedCategories: [], updatedAt: null };
+    }
+    return {
+      unsubscribed: Boolean(rows[0].unsubscribed),
+      mutedCategories: rows[0].muted_categories ? rows[0].muted_categories.split(',') : [],
+      updatedAt: rows[0].updated_at,
+    };
+  }
+
+  /**
+   * Guardar las preferencias de un correo. Las categorías obligatorias no se pueden silenciar.
+   */
+  async savePreferences(email, { unsubscribed, mutedCategories }) {
+    const mandatory = await this.getMandatoryCategories();
+    const muted = [...new Set(mutedCategories)]
+      .filter(category => COMMUNIQUE_CATEGORIES.includes(category) && !mandatory.includes(category));
+
+    const connection = await getWpConnection();
+    await connection.execute(
+      `INSERT INTO condo360_email_preferences (email, unsubscribed, muted_categories)
+       VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE unsubscribed = VALUES(unsubscribed), muted_categories = VALUES(muted_categories), updated_at = NOW()`,
+      [email.toLowerCase(), unsubscribed ? 1 : 0, muted.join(',') || null]
+    );
+
+    console.log(`📬 Preferencias de ${email} guardadas: ${unsubscribed ? 'baja de avisos no obligatorios' : `silenciadas ${muted.join(', ') || 'ninguna'}`}`);
+    return this.getPreferences(email);
+  }
+
+  /**
+   * Quitar de los destinatarios a quienes no quieren recibir este comunicado.
+   * Los urgentes y los de categorías obligatorias llegan a todos.
+   */
+  async filterRecipients(recipients, { category = null, priority = 'normal' } = {}) {
+    const mandatory = await this.getMandatoryCategories();
+    if (priority === 'urgente' || (category && mandatory.includes(category))) {
+      return recipients;
+    }
+
+    const connection = await getWpConnection();
+    const [rows] = await connection.execute(
+      'SELECT email, unsubscribed, muted_categories FROM condo360_email_preferences WHERE unsubscribed = 1 OR muted_categories IS NOT NULL'
+    );
+
+    const optedOut = new Set(rows
+      .filter(row => row.unsubscribed || (category && (row.muted_categories || '').split(',').includes(category)))
+      .map(row => row.email.toLowerCase()));
+
+    return recipients.filter(recipient => !optedOut.has(recipient.user_email.toLowerCase()));
+  }
+
+  /**
+   * Página de preferencias (HTML) para un correo
+   */
+  async renderPage(email, preferences, notice = null) {
+    const mandatory = await this.getMandatoryCategories();
+    const categories = COMMUNIQUE_CATEGORIES.map(category => {
+      const isMandatory = mandatory.includes(category);
+      const checked = isMandatory || !preferences.mutedCategories.includes(category);
+      return `
+          <label class="option">
+            <input type="checkbox" name="categories" value="${category}"${checked ? ' checked' : ''}${isMandatory ? ' disabled' : ''}>
+            ${escapeHtml(category.charAt(0).toUpperCase() + category.slice(1))}${isMandatory ? ' <small>(obligatoria)</small>' : ''}
+          </label>`;
+    }).join('');
+
+    return this.renderLayout('Preferencias de correo', `
+        <p>Correo: <strong>${escapeHtml(email)}</strong></p>
+        ${notice ? `<p class="notice">${escapeHtml(notice)}</p>` : ''}
+        <form method="post">
+          <h2>Categorías que desea recibir</h2>
+          ${categories}
+          <h2>Baja</h2>
+          <label class="option">
+            <input type="checkbox" name="unsubscribe_all" value="1"${preferences.unsubscribed ? ' checked' : ''}>
+            No deseo recibir comunicados no obligatorios
+          </label>
+          <p class="hint">Los comunicados urgentes y los de categorías obligatorias llegan siempre.</p>
+          <button type="submit">Guardar preferencias</button>
+        </form>`);
+  }
+
+  /**
+   * Estructura HTML común de las páginas públicas de preferencias
+   */
+  renderLayout(title, body) {
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} - Bonaventure Country Club</title>
+  <style>
+    body { font-family: Arial, sans-serif; background-color: #f4f4f4; color: #333; margin: 0; padding: 20px; }
+    .container { max-width: 520px; margin: 0 auto; background: #fff; border-radius: 8px; padding: 30px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+    h1 { color: #2c5aa0; font-size: 22px; }
+    h2 { font-size: 16px; margin-top: 25px; }
+    .option { display: block; margin: 8px 0; }
+    .notice { background: #e8f5e9; border-left: 4px solid #2e7d32; padding: 10px; }
+    .hint { font-size: 13px; color: #666; }
+    button { background: #2c5aa0; color: #fff; border: 0; border-radius: 5px; padding: 12px 24px; font-size: 15px; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>${escapeHtml(title)}</h1>
+    ${body}
+    <p class="hint">Junta de Condominio · Bonaventure Country Club</p>
+  </div>
+</body>
+</html>`;
+  }
+}
+
+module.exports = PreferenceService;
@@ -0,0 +1,155 @@
+const moment = require('moment-timezone');
+const { getAppConnection, getSetting } = require('../config/database');
+const { WordPressService } = require('./wordpressService');
+const EmailQueueService = require('./emailQueueService');
+const TelegramService = require('./telegramService');
+
+/**
+ * Transiciones de publicación de un comunicado ya creado en WordPress:
+ * usado por el programador (publish_at y expires_at) y por el flujo de aprobación
+ */
+class PublicationService {
+  constructor() {
+    this.wordpressService = new WordPressService();
+    this.emailQueueService = new EmailQueueService();
+    this.telegramService = new TelegramService();
+  }
+
+  /**
+   * Cambiar el estado del comunicado solo si sigue en el estado esperado.
+   * Devuelve false si otro proceso ya hizo la transición.
+   */
+  async transition(communiqueId, fromStatus, toStatus, wpPostUrl) {
+    const connection = await getAppConnection();
+    const [result] = await connection.execute(
+      `UPDATE condo360_communiques
+       SET status = ?, wp_post_url = ?, updated_at = NOW()
+       WHERE id = ? AND status = ?`,
+      [toStatus, wpPostUrl, communiqueId, fromStatus]
+    );
+
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Reclamar la transición y después aplicar el cambio al post de WordPress, para que una carrera
+   * perdida o un comunicado ya rechazado o anulado no se toque en WordPress. Si WordPress falla,
+   * el comunicado vuelve al estado anterior. Devuelve null si otro proceso ya hizo la transición.
+   */
+  async transitionPost(communique, fromStatus, toStatus, postChanges) {
+    if (!await this.transition(communique.id, fromStatus, toStatus, communique.wp_post_url)) {
+      return null;
+    }
+
+    let wpPostData;
+    try {
+      wpPostData = await this.wordpressService.updatePost(communique.wp_post_id, postChanges);
+    } catch (error) {
+      await this.transition(communique.id, toStatus, fromStatus, communique.wp_post_url);
+      throw error;
+    }
+
+    // La URL del post cambia al pasar de borrador a publicado
+    if (wpPostData.url !== communique.wp_post_url) {
+      await this.transition(communique.id, toStatus, toStatus, wpPostData.url);
+    }
+    return wpPostData;
+  }
+
+  /**
+   * Publicar de inmediato: post público, cola de correos y difusión en Telegram
+   */
+  async publish(communique, fromStatus) {
+    console.log(`📢 Publicando comunicado ${communique.id}: ${communique.title}`);
+
+    const wpPostData = await this.transitionPost(communique, fromStatus, 'published', { status: 'publish' });
+    if (!wpPostData) {
+      console.log(`ℹ️  Comunicado ${communique.id} ya no estaba en estado ${fromStatus}, se omite la publicación`);
+      return null;
+    }
+
+    // Los programados ya tienen su envío retenido en la cola; los aprobados aún no
+    const released = await this.emailQueueService.releaseCommunique(communique.id, wpPostData.url);
+    if (released === 0) {
+      await this.emailQueueService.queueCommunique({
+        communique_id: communique.id,
+        title: communique.title,
+        description: communique.description,
+        wp_post_url: wpPostData.url,
+        image_url: communique.thumbnail_url,
+        priority: communique.priority,
+      });
+    }
+
+    // El archivo temporal ya no existe: el PDF se envía a Telegram desde la biblioteca de medios
+    await this.telegramService.broadcastCommunique({
+      communique_id: communique.id,
+      title: communique.title,
+      description: communique.description,
+      wp_post_url: wpPostData.url,
+      document: communique.file_type === 'pdf' && communique.wp_media_url
+        ? { path: communique.wp_media_url, filename: communique.original_filename }
+        : null,
+    });
+
+    console.log(`✅ Comunicado ${communique.id} publicado: ${wpPostData.url}`);
+    return wpPostData;
+  }
+
+  /**
+   * Programar la publicación para publish_at y retener su envío de correos
+   */
+  async schedule(communique, fromStatus) {
+    const publishAt = moment(communique.publish_at);
+    console.log(`⏰ Programando comunicado ${communique.id} para ${publishAt.tz('America/Caracas').format()}`);
+
+    const wpPostData = await this.transitionPost(communique, fromStatus, 'scheduled', {
+      status: 'future',
+      date_gmt: publishAt.clone().utc().format('YYYY-MM-DDTHH:mm:ss'),
+    });
+    if (!wpPostData) {
+      return null;
+    }
+
+    await this.emailQueueService.queueCommunique({
+      communique_id: communique.id,
+      title: communique.title,
+      description: communique.description,
+      wp_post_url: wpPostData.url,
+      image_url: communique.thumbnail_url,
+      priority: communique.priority,
+      held: true,
+    });
+
+    return wpPostData;
+  }
+
+  /**
+   * Archivar un comunicado vencido: el post pasa a la categoría de archivo o a borrador
+   * según archive_mode, deja de estar fijado y el comunicado queda como archived
+   */
+  async archive(communique) {
+    const mode = await getSetting('archive_mode', 'category');
+    const archiveCategory = await getSetting('archive_category', 'archivo');
+    console.log(`🗄️  Archivando comunicado vencido ${communique.id}: ${communique.title}`);
+
+    const wpPostData = await this.transitionPost(communique, 'published', 'archived', mode === 'draft'
+      ? { status: 'draft', sticky: false }
+      : { category: archiveCategory, sticky: false });
+    if (!wpPostData) {
+      console.log(`ℹ️  Comunicado ${communique.id} ya no estaba publicado, se omite el archivo`);
+      return null;
+    }
+
+    const connection = await getAppConnection();
+    await connection.execute(
+      'UPDATE condo360_communiques SET archived_at = NOW() WHERE id = ?',
+      [communique.id]
+    );
+
+    console.log(`✅ Comunicado ${communique.id} archivado (${mode === 'draft' ? 'borrador' : `categoría ${archiveCategory}`})`);
+    return wpPostData;
+  }
+}
+
+module.exports = PublicationService;
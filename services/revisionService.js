@@ -0,0 +1,240 @@
+const { getAppConnection } = require('../config/database');
+
+// Tamaño máximo de la tabla de comparación (líneas distintas de una versión × de la otra)
+const MAX_DIFF_CELLS = 4000000;
+
+// Intentos para numerar una revisión cuando otra edición simultánea tomó el mismo número
+const RECORD_ATTEMPTS = 5;
+
+// Campos de una revisión que se comparan uno a uno (el contenido se compara por líneas)
+const DIFF_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'tags',
+  'priority',
+  'file_type',
+  'original_filename',
+  'file_hash',
+  'wp_media_url',
+  'thumbnail_url',
+];
+
+/**
+ * Convertir el HTML publicado en líneas de texto legibles para compararlas
+ */
+const htmlToLines = (html) => (html || '')
+  .replace(/<(br|hr)\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|h[1-6]|li|tr|blockquote|figcaption)>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#0?39;/g, "'")
+  .replace(/&amp;/g, '&')
+  .split('\n')
+  .map(line => line.replace(/\s+/g, ' ').trim())
+  .filter(Boolean);
+
+/**
+ * Diferencias entre dos listas de líneas (subsecuencia común más larga).
+ * Devuelve solo las líneas eliminadas (-) y agregadas (+) con su número en cada versión,
+ * o null si la parte que cambió es demasiado grande para compararla (MAX_DIFF_CELLS).
+ */
+const diffLines = (from, to) => {
+  // Las líneas iguales al inicio y al final no entran en la tabla
+  let start = 0;
+  while (start < from.length && start < to.length && from[start] === to[start]) {
+    start++;
+  }
+  let fromEnd = from.length;
+  let toEnd = to.length;
+  while (fromEnd > start && toEnd > start && from[fromEnd - 1] === to[toEnd - 1]) {
+    fromEnd--;
+    toEnd--;
+  }
+
+  const rows = fromEnd - start + 1;
+  const cols = toEnd - start + 1;
+  if (rows * cols > MAX_DIFF_CELLS) {
+    return null;
+  }
+  const lcs = new Int32Array(rows * cols);
+  const at = (i, j) => (i - start) * cols + (j - start);
+
+  for (let i = fromEnd - 1; i >= start; i--) {
+    for (let j = toEnd - 1; j >= start; j--) {
+      lcs[at(i, j)] = from[i] === to[j]
+        ? lcs[at(i + 1, j + 1)] + 1
+        : Math.max(lcs[at(i + 1, j)], lcs[at(i, j + 1)]);
+    }
+  }
+
+  const changes = [];
+  let i = start;
+  let j = start;
+  while (i < fromEnd || j < toEnd) {
+    if (i < fromEnd && j < toEnd && from[i] === to[j]) {
+      i++;
+      j++;
+    } else if (i < fromEnd && (j === toEnd || lcs[at(i + 1, j)] >= lcs[at(i, j + 1)])) {
+      changes.push({ op: '-', line: i + 1, text: from[i] });
+      i++;
+    } else {
+      changes.push({ op: '+', line: j + 1, text: to[j] });
+      j++;
+    }
+  }
+  return changes;
+};
+
+/**
+ * Historial de revisiones de los comunicados (condo360_communique_revisions): qué se publicó,
+ * quién lo cambió y cuándo, para poder demostrarlo, compararlo y restaurarlo
+ */
+class RevisionService {
+  /**
+   * Guardar una revisión con el estado actual del comunicado; devuelve su número.
+   * Si una edición simultánea tomó el mismo número (clave única), se vuelve a numerar.
+   */
+  async record(communique, options) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.insertRevision(communique, options);
+      } catch (error) {
+        if (error.code !== 'ER_DUP_ENTRY' || attempt >= RECORD_ATTEMPTS) {
+          throw error;
+        }
+        console.log(`🗂️  Revisión del comunicado ${communique.id} numerada por otra edición; reintentando`);
+      }
+    }
+  }
+
+  /**
+   * Insertar la revisión con el siguiente número del comunicado
+   */
+  async insertRevision(communique, { renderedHtml, fileHash, editorWpUserId, changeType, attachments = null, restoredFrom = null, correctionNote = null }) {
+    const connection = await getAppConnection();
+    const [[{ next_revision: revision }]] = await connection.execute(
+      'SELECT COALESCE(MAX(revision), 0) + 1 AS next_revision FROM condo360_communique_revisions WHERE communique_id = ?',
+      [communique.id]
+    );
+
+    await connection.execute(
+      `INSERT INTO condo360_communique_revisions
+       (communique_id, revision, change_type, restored_from, title, description, rendered_html,
+        content_html, document_text, file_hash, original_filename, file_type, wp_media_id, wp_media_url,
+        thumbnail_media_id, thumbnail_url, category, tags, priority, attachments, correction_note, editor_wp_user_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        communique.id,
+        revision,
+        changeType,
+        restoredFrom,
+        communique.title,
+        communique.description || null,
+        renderedHtml || null,
+        communique.content_html || null,
+        communique.document_text || null,
+        fileHash || null,
+        communique.original_filename || null,
+        communique.file_type,
+        communique.wp_media_id || null,
+        communique.wp_media_url || null,
+        communique.thumbnail_media_id || null,
+        communique.thumbnail_url || null,
+        communique.category || null,
+        communique.tags || null,
+        communique.priority || 'normal',
+        attachments ? JSON.stringify(attachments.map(attachment => ({
+          position: attachment.position,
+          original_filename: attachment.original_filename,
+          mime_type: attachment.mime_type || null,
+          file_size: attachment.file_size || null,
+          wp_media_id: attachment.wp_media_id,
+          wp_media_url: attachment.wp_media_url,
+        }))) : null,
+        correctionNote,
+        editorWpUserId || null,
+      ]
+    );
+
+    console.log(`🗂️  Revisión ${revision} del comunicado ${communique.id} guardada (${changeType})`);
+    return revision;
+  }
+
+  /**
+   * Listar las revisiones de un comunicado, sin el contenido
+   */
+  async list(communiqueId) {
+    const connection = await getAppConnection();
+    const [rows] = await connection.execute(
+      `SELECT revision, change_type, restored_from, title, description, file_hash, original_filename,
+              file_type, category, tags, priority, correction_note, editor_wp_user_id, created_at
+       FROM condo360_communique_revisions
+       WHERE communique_id = ?
+       ORDER BY revision DESC`,
+      [communiqueId]
+    );
+    return rows;
+  }
+
+  /**
+   * Obtener una revisión completa, o null si no existe
+   */
+  async get(communiqueId, revision) {
+    const connection = await getAppConnection();
+    const [rows] = await connection.execute(
+      'SELECT * FROM condo360_communique_revisions WHERE communique_id = ? AND revision = ?',
+      [communiqueId, revision]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+    return { ...rows[0], attachments: rows[0].attachments ? JSON.parse(rows[0].attachments) : null };
+  }
+
+  /**
+   * Obtener la revisión más reciente, o null si el comunicado no tiene historial
+   */
+  async getLatest(communiqueId) {
+    const connection = await getAppConnection();
+    const [rows] = await connection.execute(
+      'SELECT MAX(revision) AS revision FROM condo360_communique_revisions WHERE communique_id = ?',
+      [communiqueId]
+    );
+    return rows[0].revision ? this.get(communiqueId, rows[0].revision) : null;
+  }
+
+  /**
+   * Comparar dos revisiones: campos que cambiaron y líneas del contenido publicado.
+   * Si el contenido es demasiado grande para compararlo, content es null y content_too_large true.
+   */
+  diff(from, to) {
+    const fields = DIFF_FIELDS
+      .filter(field => (from[field] ?? null) !== (to[field] ?? null))
+      .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+
+    const attachmentNames = revision => (revision.attachments || []).map(attachment => attachment.original_filename);
+    if (from.attachments && to.attachments
+      && JSON.stringify(attachmentNames(from)) !== JSON.stringify(attachmentNames(to))) {
+      fields.push({ field: 'attachments', from: attachmentNames(from), to: attachmentNames(to) });
+    }
+
+    // Las revisiones anteriores al historial no guardan el HTML publicado: se compara el contenido fuente
+    const contentLines = revision => htmlToLines(revision.rendered_html || revision.content_html || revision.document_text);
+    const content = diffLines(contentLines(from), contentLines(to));
+
+    return {
+      fields,
+      content,
+      content_too_large: content === null,
+      added_lines: content ? content.filter(change => change.op === '+').length : null,
+      removed_lines: content ? content.filter(change => change.op === '-').length : null,
+    };
+  }
+}
+
+module.exports = RevisionService;
@@ -0,0 +1,129 @@
+const { getAppConnection } = require('../config/database');
+const PublicationService = require('./publicationService');
+
+/**
+ * Programador de publicaciones: libera los comunicados cuyo publish_at ya llegó
+ * y archiva los que alcanzaron su expires_at.
+ * El estado vive en condo360_communiques, por lo que sobrevive a reinicios.
+ */
+class SchedulerService {
+  constructor() {
+    this.publicationService = new PublicationService();
+    this.checkInterval = 60 * 1000; // Cada minuto
+    this.isRunning = false;
+    this.isArchiving = false;
+    this.schedulerInterval = null;
+  }
+
+  /**
+   * Publicar los comunicados programados que ya vencieron
+   */
+  async releaseDueCommuniques() {
+    if (this.isRunning) {
+      return;
+    }
+
+    try {
+      this.isRunning = true;
+      const connection = await getAppConnection();
+
+      const [dueCommuniques] = await connection.execute(
+        `SELECT id, title, description, file_type, wp_post_id, wp_post_url, wp_media_url, original_filename, thumbnail_url, priority
+         FROM condo360_communiques
+         WHERE status = 'scheduled' AND pipeline_state = 'completed' AND publish_at <= UTC_TIMESTAMP()
+         ORDER BY publish_at ASC`
+      );
+
+      for (const communique of dueCommuniques) {
+        try {
+          await this.releaseCommunique(communique);
+        } catch (error) {
+          // Se reintenta en el siguiente ciclo
+          console.error(`❌ Error al publicar comunicado programado ${communique.id}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error en el programador de publicaciones:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Publicar un comunicado programado y liberar sus notificaciones
+   */
+  async releaseCommunique(communique) {
+    // WordPress publica los posts 'future' con su propio cron, que depende de visitas al sitio;
+    // forzar el estado garantiza que el enlace notificado ya sea público
+    await this.publicationService.publish(communique, 'scheduled');
+  }
+
+  /**
+   * Archivar los comunicados publicados cuyo expires_at ya pasó
+   */
+  async archiveExpiredCommuniques() {
+    if (this.isArchiving) {
+      return;
+    }
+
+    try {
+      this.isArchiving = true;
+      const connection = await getAppConnection();
+
+      const [expiredCommuniques] = await connection.execute(
+        `SELECT id, title, wp_post_id, expires_at
+         FROM condo360_communiques
+         WHERE status = 'published' AND pipeline_state = 'completed' AND expires_at <= UTC_TIMESTAMP()
+         ORDER BY expires_at ASC`
+      );
+
+      for (const communique of expiredCommuniques) {
+        try {
+          await this.publicationService.archive(communique);
+        } catch (error) {
+          // Se reintenta en el siguiente ciclo
+          console.error(`❌ Error al archivar comunicado vencido ${communique.id}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error al archivar comunicados vencidos:', error);
+    } finally {
+      this.isArchiving = false;
+    }
+  }
+
+  /**
+   * Publicar lo programado y luego archivar lo vencido
+   */
+  async runCycle() {
+    await this.releaseDueCommuniques();
+    await this.archiveExpiredCommuniques();
+  }
+
+  /**
+   * Iniciar el programador
+   */
+  startScheduler() {
+    console.log('⏰ Iniciando programador de publicaciones...');
+
+    // Publicar y archivar de inmediato lo que venció mientras el servidor estaba detenido
+    this.runCycle();
+
+    this.schedulerInterval = setInterval(() => {
+      this.runCycle();
+    }, this.checkInterval);
+  }
+
+  /**
+   * Detener el programador
+   */
+  stopScheduler() {
+    if (this.schedulerInterval) {
+      clearInterval(this.schedulerInterval);
+      this.schedulerInterval = null;
+      console.log('⏹️  Programador de publicaciones detenido');
+    }
+  }
+}
+
+module.exports = SchedulerService;
@@ -0,0 +1,375 @@
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const { getAppConnection, getWpConnection } = require('../config/database');
+const { escapeHtml } = require('../utils/html');
+const TelegramService = require('./telegramService');
+const CommuniqueQueryService = require('./communiqueQueryService');
+const EmailService = require('./emailService');
+
+const LINK_CODE_TTL_MINUTES = 15;
+// Intentos fallidos antes de invalidar el código de vinculación
+const LINK_CODE_MAX_ATTEMPTS = 5;
+// Códigos que se pueden pedir por hora desde un mismo chat o para un mismo correo
+const LINK_REQUESTS_PER_HOUR = 3;
+
+/**
+ * Bot de Telegram para que los residentes consulten comunicados
+ */
+class TelegramBotService {
+  constructor() {
+    this.telegramService = new TelegramService();
+    this.communiqueQueryService = new CommuniqueQueryService();
+    this.emailService = new EmailService();
+    this.pollingOffset = 0;
+    this.pollingTimeout = null;
+    this.isPolling = false;
+  }
+
+  /**
+   * Procesar una actualización recibida por webhook o long polling
+   */
+  async handleUpdate(update) {
+    const message = update.message || update.channel_post;
+    if (!message || !message.text || !message.text.startsWith('/')) {
+      return;
+    }
+
+    const chatId = message.chat.id;
+    const [rawCommand, ...args] = message.text.trim().split(/\s+/);
+    // En grupos los comandos llegan como /comando@nombre_del_bot
+    const command = rawCommand.split('@')[0].toLowerCase();
+    const argument = args.join(' ');
+
+    console.log(`🤖 Comando de Telegram recibido: ${command} (chat ${chatId})`);
+
+    try {
+      let reply;
+      switch (command) {
+        case '/start':
+        case '/ayuda':
+          reply = this.helpText();
+          break;
+        case '/ultimos':
+          reply = await this.handleLatest();
+          break;
+        case '/buscar':
+          reply = await this.handleSearch(argument);
+          break;
+        case '/comunicado':
+          reply = await this.handleDetail(argument);
+          break;
+        case '/suscribir':
+          reply = await this.handleSubscribe(message, argument);
+          break;
+        default:
+          reply = 'Comando no reconocido. Envíe /ayuda para ver los comandos disponibles.';
+      }
+
+      await this.telegramService.sendMessage(reply, { chatId, disablePreview: true });
+    } catch (error) {
+      console.error(`❌ Error al procesar comando ${command}:`, error.message);
+      try {
+        await this.telegramService.sendMessage(
+          'Ocurrió un error al procesar su solicitud. Intente nuevamente más tarde.',
+          { chatId }
+        );
+      } catch (sendError) {
+        console.error('❌ Error al responder en Telegram:', sendError.message);
+      }
+    }
+  }
+
+  /**
+   * Texto de ayuda del bot
+   */
+  helpText() {
+    return [
+      '<b>Comunicados de la Junta de Condominio</b>',
+      '',
+      '/ultimos - Últimos comunicados publicados',
+      '/buscar &lt;texto&gt; - Buscar comunicados por palabras clave',
+      '/comunicado &lt;id&gt; - Ver un comunicado',
+      '/suscribir &lt;correo&gt; - Vincular este chat con su usuario del sitio',
+    ].join('\n');
+  }
+
+  /**
+   * Formatear un comunicado como línea de lista
+   */
+  formatListItem(communique) {
+    const date = moment(communique.created_at).tz('America/Caracas').format('DD/MM/YYYY');
+    const title = escapeHtml(communique.title);
+    return `#${communique.id} • <a href="${escapeHtml(communique.wp_post_url)}">${title}</a> (${date})`;
+  }
+
+  /**
+   * /ultimos
+   */
+  async handleLatest() {
+    const { communiques } = await this.communiqueQueryService.listCommuniques({ page: 1, limit: 5 });
+
+    if (communiques.length === 0) {
+      return 'Aún no hay comunicados publicados.';
+    }
+
+    return ['<b>Últimos comunicados</b>', '', ...communiques.map(comm => this.formatListItem(comm))].join('\n');
+  }
+
+  /**
+   * /buscar <texto>
+   */
+  async handleSearch(text) {
+    if (!text) {
+      return 'Indique el texto a buscar. Ejemplo: /buscar corte de agua';
+    }
+
+    const result = await this.communiqueQueryService.searchCommuniques({
+      query: text,
+      page: 1,
+      limit: 5,
+    });
+
+    if (!result) {
+      return 'Use al menos una palabra de 3 o más letras. Ejemplo: /buscar corte de agua';
+    }
+
+    const { communiques, pagination } = result;
+    if (communiques.length === 0) {
+      return `No se encontraron comunicados para "${escapeHtml(text)}".`;
+    }
+
+    return [
+      `<b>Resultados para "${escapeHtml(text)}"</b> (${pagination.total})`,
+      '',
+      ...communiques.map(comm => this.formatListItem(comm)),
+    ].join('\n');
+  }
+
+  /**
+   * /comunicado <id>
+   */
+  async handleDetail(argument) {
+    const id = parseInt(argument.replace('#', ''));
+    if (isNaN(id)) {
+      return 'Indique el número del comunicado. Ejemplo: /comunicado 12';
+    }
+
+    const communique = await this.communiqueQueryService.getCommuniqueById(id);
+    // Los borradores y programados aún no son públicos
+    if (!communique || ['draft', 'rejected', 'scheduled'].includes(communique.status)) {
+      return `No existe el comunicado #${id}.`;
+    }
+
+    if (!['published', 'archived'].includes(communique.status)) {
+      return `El comunicado #${id} fue anulado por la Junta.`;
+    }
+
+    const date = moment(communique.created_at).tz('America/Caracas').format('DD/MM/YYYY h:mm A');
+    const lines = [
+      this.telegramService.buildCommuniqueMessage(communique),
+      '',
+      `<i>Publicado el ${date}</i>`,
+    ];
+
+    // Los vencidos se siguen consultando por número, indicando que ya están archivados
+    if (communique.status === 'archived') {
+      lines.push(`<i>Vencido y archivado el ${moment(communique.archived_at).tz('America/Caracas').format('DD/MM/YYYY h:mm A')}</i>`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * /suscribir <correo> inicia la vinculación, /suscribir <código> la confirma
+   */
+  async handleSubscribe(message, argument) {
+    const chatId = String(message.chat.id);
+    const username = message.from?.username || null;
+    const connection = await getAppConnection();
+
+    const [rows] = await connection.execute(
+      'SELECT * FROM condo360_telegram_subscribers WHERE chat_id = ?',
+      [chatId]
+    );
+    const subscriber = rows[0];
+
+    if (!argument) {
+      if (subscriber && subscriber.status === 'active') {
+        return 'Este chat ya está vinculado a su usuario. Recibirá los comunicados de la Junta.';
+      }
+      return 'Para vincular este chat envíe: /suscribir su_correo@ejemplo.com';
+    }
+
+    if (/^\d{6}$/.test(argument)) {
+      return this.confirmSubscription(subscriber, argument);
+    }
+
+    const email = argument.toLowerCase();
+    if (!await this.allowLinkRequest(chatId, email)) {
+      console.log(`⚠️  Límite de códigos de vinculación alcanzado (chat ${chatId}, correo ${email})`);
+      return 'Se solicitaron demasiados códigos de vinculación. Intente nuevamente en una hora.';
+    }
+
+    const wpConnection = await getWpConnection();
+    const [users] = await wpConnection.execute(
+      'SELECT ID FROM wp_users WHERE LOWER(user_email) = ? LIMIT 1',
+      [email]
+    );
+
+    // No revelar si el correo existe: la respuesta es la misma en ambos casos
+    if (users.length === 0) {
+      console.log(`⚠️  Solicitud de vinculación de Telegram para correo desconocido: ${email}`);
+      return 'Si el correo está registrado, recibirá un código de vinculación en los próximos minutos.';
+    }
+
+    const code = crypto.randomInt(100000, 1000000).toString();
+
+    await connection.execute(
+      `INSERT INTO condo360_telegram_subscribers
+       (chat_id, telegram_username, wp_user_id, status, verification_code, verification_expires_at, verification_attempts)
+       VALUES (?, ?, ?, 'pending', ?, DATE_ADD(NOW(), INTERVAL ${LINK_CODE_TTL_MINUTES} MINUTE), 0)
+       ON DUPLICATE KEY UPDATE
+         telegram_username = VALUES(telegram_username),
+         wp_user_id = VALUES(wp_user_id),
+         status = IF(status = 'active' AND wp_user_id = VALUES(wp_user_id), 'active', 'pending'),
+         verification_code = VALUES(verification_code),
+         verification_expires_at = VALUES(verification_expires_at),
+         verification_attempts = 0`,
+      [chatId, username, users[0].ID, code]
+    );
+
+    await this.emailService.sendTelegramLinkCode(email, code);
+
+    return 'Si el correo está registrado, recibirá un código de vinculación en los próximos minutos.';
+  }
+
+  /**
+   * Registrar una solicitud de código y comprobar el límite por chat y por correo.
+   * Se cuentan también los correos desconocidos para no revelar cuáles existen.
+   */
+  async allowLinkRequest(chatId, email) {
+    const connection = await getAppConnection();
+    await connection.execute(
+      'DELETE FROM condo360_telegram_link_requests WHERE created_at < DATE_SUB(NOW(), INTERVAL 1 DAY)'
+    );
+
+    const [[counts]] = await connection.execute(
+      `SELECT COALESCE(SUM(chat_id = ?), 0) AS by_chat, COALESCE(SUM(email = ?), 0) AS by_email
+       FROM condo360_telegram_link_requests
+       WHERE created_at >= DATE_SUB(NOW(), INTERVAL 1 HOUR)`,
+      [chatId, email]
+    );
+    if (Number(counts.by_chat) >= LINK_REQUESTS_PER_HOUR || Number(counts.by_email) >= LINK_REQUESTS_PER_HOUR) {
+      return false;
+    }
+
+    await connection.execute(
+      'INSERT INTO condo360_telegram_link_requests (chat_id, email) VALUES (?, ?)',
+      [chatId, email]
+    );
+    return true;
+  }
+
+  /**
+   * Confirmar la vinculación con el código recibido por correo.
+   * Tras LINK_CODE_MAX_ATTEMPTS intentos fallidos el código se invalida.
+   */
+  async confirmSubscription(subscriber, code) {
+    if (!subscriber || !subscriber.verification_code) {
+      return 'No hay una vinculación pendiente. Envíe primero: /suscribir su_correo@ejemplo.com';
+    }
+
+    const connection = await getAppConnection();
+
+    if (moment(subscriber.verification_expires_at).isBefore(moment())) {
+      return 'El código es inválido o ha vencido. Solicite uno nuevo con /suscribir su_correo@ejemplo.com';
+    }
+
+    if (subscriber.verification_code !== code) {
+      // El contador se incrementa en la BD para que intentos simultáneos no lo eludan
+      await connection.execute(
+        'UPDATE condo360_telegram_subscribers SET verification_attempts = verification_attempts + 1 WHERE id = ?',
+        [subscriber.id]
+      );
+      const [result] = await connection.execute(
+        `UPDATE condo360_telegram_subscribers
+         SET verification_code = NULL, verification_expires_at = NULL, verification_attempts = 0
+         WHERE id = ? AND verification_attempts >= ?`,
+        [subscriber.id, LINK_CODE_MAX_ATTEMPTS]
+      );
+
+      if (result.affectedRows > 0) {
+        console.log(`⚠️  Código de vinculación del chat ${subscriber.chat_id} invalidado tras ${LINK_CODE_MAX_ATTEMPTS} intentos fallidos`);
+        return 'Demasiados intentos fallidos. Solicite un código nuevo con /suscribir su_correo@ejemplo.com';
+      }
+      return 'El código es inválido o ha vencido. Solicite uno nuevo con /suscribir su_correo@ejemplo.com';
+    }
+
+    await connection.execute(
+      `UPDATE condo360_telegram_subscribers
+       SET status = 'active', verification_code = NULL, verification_expires_at = NULL, verification_attempts = 0, linked_at = NOW()
+       WHERE id = ?`,
+      [subscriber.id]
+    );
+
+    console.log(`✅ Chat ${subscriber.chat_id} vinculado al usuario de WordPress ${subscriber.wp_user_id}`);
+    return '✅ Chat vinculado correctamente. Recibirá aquí los comunicados de la Junta.';
+  }
+
+  /**
+   * Consultar actualizaciones pendientes (long polling)
+   */
+  async pollUpdates() {
+    if (!this.isPolling) {
+      return;
+    }
+
+    try {
+      const updates = await this.telegramService.callApi('getUpdates', {
+        offset: this.pollingOffset,
+        timeout: 30,
+        allowed_updates: ['message'],
+      });
+
+      for (const update of updates) {
+        this.pollingOffset = update.update_id + 1;
+        await this.handleUpdate(update);
+      }
+    } catch (error) {
+      console.error('❌ Error en long polling de Telegram:', error.message);
+      // Esperar antes de reintentar para no saturar la API ante errores
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+
+    if (this.isPolling) {
+      this.pollingTimeout = setTimeout(() => this.pollUpdates(), 0);
+    }
+  }
+
+  /**
+   * Iniciar el bot en modo long polling
+   */
+  startPolling() {
+    if (!this.telegramService.botToken) {
+      console.log('ℹ️  Bot de Telegram no configurado (TELEGRAM_BOT_TOKEN), long polling deshabilitado');
+      return;
+    }
+
+    console.log('🤖 Iniciando bot de Telegram en modo long polling...');
+    this.isPolling = true;
+    this.pollUpdates();
+  }
+
+  /**
+   * Detener el long polling
+   */
+  stopPolling() {
+    this.isPolling = false;
+    if (this.pollingTimeout) {
+      clearTimeout(this.pollingTimeout);
+      this.pollingTimeout = null;
+    }
+    console.log('⏹️  Long polling de Telegram detenido');
+  }
+}
+
+module.exports = TelegramBotService;
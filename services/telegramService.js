@@ -0,0 +1,235 @@
+const axios = require('axios');
+const fs = require('fs').promises;
+const FormData = require('form-data');
+const { getAppConnection } = require('../config/database');
+const { escapeHtml } = require('../utils/html');
+
+/**
+ * Servicio para difundir comunicados en un canal o grupo de Telegram
+ */
+class TelegramService {
+  constructor() {
+    this.apiBaseUrl = (process.env.TELEGRAM_API_BASE_URL || 'https://api.telegram.org').replace(/\/+$/, '');
+    this.botToken = process.env.TELEGRAM_BOT_TOKEN;
+    this.chatId = process.env.TELEGRAM_CHAT_ID;
+  }
+
+  /**
+   * Verificar si Telegram está configurado
+   */
+  isConfigured() {
+    return !!(this.botToken && this.chatId);
+  }
+
+  /**
+   * Invocar un método de la Bot API
+   */
+  async callApi(method, data, headers = {}) {
+    try {
+      const response = await axios.post(
+        `${this.apiBaseUrl}/bot${this.botToken}/${method}`,
+        data,
+        { headers, timeout: 60000 }
+      );
+
+      if (!response.data || !response.data.ok) {
+        throw new Error(response.data?.description || 'Respuesta inválida de Telegram');
+      }
+
+      return response.data.result;
+    } catch (error) {
+      const description = error.response?.data?.description || error.message;
+      console.error(`❌ Error en Telegram ${method}:`, description);
+      throw new Error(`Error al enviar a Telegram (${method}): ${description}`);
+    }
+  }
+
+  /**
+   * Enviar mensaje de texto
+   */
+  async sendMessage(text, options = {}) {
+    return this.callApi('sendMessage', {
+      chat_id: options.chatId || this.chatId,
+      text,
+      parse_mode: 'HTML',
+      disable_web_page_preview: options.disablePreview || false,
+      ...(options.replyMarkup && { reply_markup: options.replyMarkup }),
+    });
+  }
+
+  /**
+   * Enviar archivo como documento (ruta local o URL pública que Telegram descarga)
+   */
+  async sendDocument(filePath, filename, caption = '') {
+    if (/^https?:\/\//.test(filePath)) {
+      return this.callApi('sendDocument', {
+        chat_id: this.chatId,
+        document: filePath,
+        ...(caption && { caption, parse_mode: 'HTML' }),
+      });
+    }
+
+    const fileBuffer = await fs.readFile(filePath);
+
+    const formData = new FormData();
+    formData.append('chat_id', this.chatId);
+    formData.append('document', fileBuffer, { filename });
+    if (caption) {
+      formData.append('caption', caption);
+      formData.append('parse_mode', 'HTML');
+    }
+
+    return this.callApi('sendDocument', formData, formData.getHeaders());
+  }
+
+  /**
+   * Enviar imágenes como álbum (máximo 10 por álbum según la Bot API)
+   */
+  async sendPhotoAlbum(images) {
+    const results = [];
+
+    for (let i = 0; i < images.length; i += 10) {
+      const chunk = images.slice(i, i + 10);
+      const formData = new FormData();
+      formData.append('chat_id', this.chatId);
+
+      // Telegram exige al menos 2 elementos por álbum, una sola imagen se envía como foto
+      if (chunk.length === 1) {
+        const fileBuffer = await fs.readFile(chunk[0].path);
+        formData.append('photo', fileBuffer, { filename: chunk[0].filename });
+        const message = await this.callApi('sendPhoto', formData, formData.getHeaders());
+        results.push(message);
+        continue;
+      }
+
+      const media = [];
+      for (let j = 0; j < chunk.length; j++) {
+        const fileBuffer = await fs.readFile(chunk[j].path);
+        formData.append(`photo${j}`, fileBuffer, { filename: chunk[j].filename });
+        media.push({ type: 'photo', media: `attach://photo${j}` });
+      }
+      formData.append('media', JSON.stringify(media));
+
+      const messages = await this.callApi('sendMediaGroup', formData, formData.getHeaders());
+      results.push(...messages);
+    }
+
+    return results;
+  }
+
+  /**
+   * Generar texto del anuncio de un comunicado
+   */
+  buildCommuniqueMessage(communiqueData) {
+    const lines = [`📢 <b>${escapeHtml(communiqueData.title)}</b>`];
+
+    if (communiqueData.description) {
+      lines.push('', escapeHtml(communiqueData.description));
+    }
+
+    if (communiqueData.wp_post_url) {
+      lines.push('', `<a href="${escapeHtml(communiqueData.wp_post_url)}">Ver comunicado completo</a>`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Registrar resultado de un envío a Telegram
+   */
+  async recordSend(communiqueId, messageType, result, error = null) {
+    try {
+      const connection = await getAppConnection();
+      await connection.execute(
+        `INSERT INTO condo360_communiques_telegram
+         (communique_id, chat_id, message_type, telegram_message_id, status, message, sent_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          communiqueId,
+          String(this.chatId),
+          messageType,
+          result?.message_id || null,
+          error ? 'error' : 'sent',
+          error ? error.message : null,
+          error ? null : new Date(),
+        ]
+      );
+    } catch (dbError) {
+      console.error('❌ Error al registrar envío de Telegram:', dbError.message);
+    }
+  }
+
+  /**
+   * Difundir un comunicado publicado: anuncio, documento PDF y álbum de imágenes
+   */
+  async broadcastCommunique(communiqueData) {
+    if (!this.isConfigured()) {
+      console.log('ℹ️  Telegram no configurado (TELEGRAM_BOT_TOKEN, TELEGRAM_CHAT_ID), omitiendo difusión');
+      return { sent: 0, failed: 0 };
+    }
+
+    const { communique_id: communiqueId, document, images = [] } = communiqueData;
+    let sent = 0;
+    let failed = 0;
+
+    const steps = [
+      {
+        type: 'message',
+        run: () => this.sendMessage(this.buildCommuniqueMessage(communiqueData)),
+      },
+    ];
+
+    if (document) {
+      steps.push({
+        type: 'document',
+        run: () => this.sendDocument(document.path, document.filename),
+      });
+    }
+
+    if (images.length > 0) {
+      steps.push({
+        type: 'media_group',
+        run: () => this.sendPhotoAlbum(images),
+      });
+    }
+
+    for (const step of steps) {
+      try {
+        const result = await step.run();
+        await this.recordSend(communiqueId, step.type, Array.isArray(result) ? result[0] : result);
+        sent++;
+      } catch (error) {
+        await this.recordSend(communiqueId, step.type, null, error);
+        failed++;
+      }
+    }
+
+    console.log(`📨 Comunicado ${communiqueId} difundido en Telegram: ${sent} envíos, ${failed} fallidos`);
+    return { sent, failed };
+  }
+
+  /**
+   * Anunciar en el canal que un comunicado fue anulado
+   */
+  async announceRetraction(communiqueData) {
+    if (!this.isConfigured()) {
+      return { sent: 0, failed: 0 };
+    }
+
+    const lines = [`⚠️ <b>Comunicado anulado:</b> ${escapeHtml(communiqueData.title)}`];
+    if (communiqueData.reason) {
+      lines.push('', escapeHtml(communiqueData.reason));
+    }
+
+    try {
+      const result = await this.sendMessage(lines.join('\n'));
+      await this.recordSend(communiqueData.communique_id, 'message', result);
+      return { sent: 1, failed: 0 };
+    } catch (error) {
+      await this.recordSend(communiqueData.communique_id, 'message', null, error);
+      return { sent: 0, failed: 1 };
+    }
+  }
+}
+
+module.exports = TelegramService;
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { getAppConnection } = require('../config/database');
+const UploadPipelineService = require('./uploadPipelineService');
+
+// Etapas que ve el usuario mientras se procesa una subida, en orden
+const UPLOAD_JOB_STAGES = [
+  { key: 'convirtiendo', label: 'Convirtiendo el documento' },
+  { key: 'subiendo_imagenes', label: 'Subiendo imágenes y archivos' },
+  { key: 'publicando', label: 'Publicando en WordPress' },
+  { key: 'encolado', label: 'Encolando las notificaciones' },
+];
+
+// Procesador activo en este proceso, para atender un trabajo nuevo sin esperar al siguiente ciclo
+let activeWorker = null;
+
+/**
+ * Trabajos de subida asíncronos (condo360_upload_jobs). La petición responde 202 al guardar el
+ * archivo y el procesador termina la creación en segundo plano, informando la etapa en curso.
+ */
+class UploadJobService {
+  constructor() {
+    this.uploadPipelineService = new UploadPipelineService();
+    this.pollInterval = 5 * 1000; // Cada 5 segundos
+    this.isRunning = false;
+    this.workerInterval = null;
+    this.processor = null;
+  }
+
+  /**
+   * Registrar un trabajo para un comunicado ya insertado; payload guarda los archivos temporales
+   */
+  async createJob({ communiqueId, wpUserId, payload }) {
+    const jobId = crypto.randomUUID();
+    const connection = await getAppConnection();
+    await connection.execute(
+      `INSERT INTO condo360_upload_jobs (id, communique_id, wp_user_id, status, payload)
+       VALUES (?, ?, ?, 'pending', ?)`,
+      [jobId, communiqueId, wpUserId, JSON.stringify(payload)]
+    );
+    return jobId;
+  }
+
+  /**
+   * Obtener un trabajo por id, o null si no existe
+   */
+  async getJob(jobId) {
+    const connection = await getAppConnection();
+    const [rows] = await connection.execute(
+      `SELECT id, communique_id, wp_user_id, status, stage, result, error_message, error_code,
+              created_at, started_at, completed_at, updated_at
+       FROM condo360_upload_jobs
+       WHERE id = ?`,
+      [jobId]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+    return { ...rows[0], result: rows[0].result ? JSON.parse(rows[0].result) : null };
+  }
+
+  /**
+   * Último trabajo de un comunicado (para devolverlo a una subida repetida en curso)
+   */
+  async getJobForCommunique(communiqueId) {
+    const connection = await getAppConnection();
+    const [rows] = await connection.execute(
+      'SELECT id, status, stage FROM condo360_upload_jobs WHERE communique_id = ? ORDER BY created_at DESC LIMIT 1',
+      [communiqueId]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Etapas con su estado (done, running, pending) y el porcentaje de avance
+   */
+  describeProgress(job) {
+    const current = UPLOAD_JOB_STAGES.findIndex(stage => stage.key === job.stage);
+    const finished = job.status === 'completed';
+
+    const stages = UPLOAD_JOB_STAGES.map((stage, index) => {
+      let state = 'pending';
+      if (finished || index < current) {
+        state = 'done';
+      } else if (index === current) {
+        state = job.status === 'failed' ? 'failed' : 'running';
+      }
+      return { ...stage, state };
+    });
+
+    const done = stages.filter(stage => stage.state === 'done').length;
+    return { stages, progress: Math.round((done / UPLOAD_JOB_STAGES.length) * 100) };
+  }
+
+  /**
+   * Informar la etapa en curso
+   */
+  async setStage(jobId, stage) {
+    const connection = await getAppConnection();
+    await connection.execute(
+      'UPDATE condo360_upload_jobs SET stage = ?, updated_at = NOW() WHERE id = ?',
+      [stage, jobId]
+    );
+  }
+
+  /**
+   * Marcar el trabajo como terminado con la respuesta que habría dado la subida síncrona
+   */
+  async complete(jobId, result) {
+    const connection = await getAppConnection();
+    await connection.execute(
+      `UPDATE condo360_upload_jobs
+       SET status = 'completed', result = ?, payload = '{}', completed_at = NOW(), updated_at = NOW()
+       WHERE id = ?`,
+      [JSON.stringify(result), jobId]
+    );
+  }
+
+  /**
+   * Marcar el trabajo como fallido
+   */
+  async fail(jobId, error) {
+    const connection = await getAppConnection();
+    await connection.execute(
+      `UPDATE condo360_upload_jobs
+       SET status = 'failed', error_message = ?, error_code = ?, payload = '{}', completed_at = NOW(), updated_at = NOW()
+       WHERE id = ?`,
+      [error.message, error.code || null, jobId]
+    );
+  }
+
+  /**
+   * Tomar el trabajo pendiente más antiguo; el UPDATE condicionado evita tomarlo dos veces
+   */
+  async claimNextJob() {
+    const connection = await getAppConnection();
+    const [rows] = await connection.execute(
+      `SELECT id, communique_id, wp_user_id, payload
+       FROM condo360_upload_jobs
+       WHERE status = 'pending'
+       ORDER BY created_at ASC
+       LIMIT 1`
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const [result] = await connection.execute(
+      `UPDATE condo360_upload_jobs
+       SET status = 'processing', started_at = NOW(), updated_at = NOW()
+       WHERE id = ? AND status = 'pending'`,
+      [rows[0].id]
+    );
+    if (result.affectedRows === 0) {
+      return this.claimNextJob();
+    }
+
+    return { ...rows[0], payload: JSON.parse(rows[0].payload) };
+  }
+
+  /**
+   * Procesar los trabajos pendientes de uno en uno
+   */
+  async processPendingJobs() {
+    if (this.isRunning || !this.processor) {
+      return;
+    }
+
+    try {
+      this.isRunning = true;
+
+      let job = await this.claimNextJob();
+      while (job) {
+        console.log(`⚙️  Procesando trabajo de subida ${job.id} (comunicado ${job.communique_id})`);
+        try {
+          await this.processor(job);
+        } catch (error) {
+          console.error(`❌ Error en el trabajo de subida ${job.id}:`, error.message);
+          await this.fail(job.id, error);
+        }
+        job = await this.claimNextJob();
+      }
+    } catch (error) {
+      console.error('❌ Error en el procesador de subidas:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Los trabajos que estaban en proceso al detenerse el servidor no se pueden continuar:
+   * quedan fallidos y su comunicado pasa a la lista de creaciones para reanudar o revertir
+   */
+  async recoverInterruptedJobs() {
+    const connection = await getAppConnection();
+    const [rows] = await connection.execute(
+      "SELECT id, communique_id, payload FROM condo360_upload_jobs WHERE status = 'processing'"
+    );
+
+    for (const job of rows) {
+      const error = new Error('El procesamiento se interrumpió por un reinicio del servidor');
+      error.code = 'JOB_INTERRUPTED';
+      await this.fail(job.id, error);
+      await this.uploadPipelineService.setState(job.communique_id, 'failed', error.message);
+
+      const { fileInfo, attachmentsInfo = [] } = JSON.parse(job.payload);
+      for (const file of [fileInfo, ...attachmentsInfo].filter(Boolean)) {
+        await fs.unlink(file.path).catch(() => {});
+      }
+      console.log(`⚠️  Trabajo de subida ${job.id} interrumpido; el comunicado ${job.communique_id} quedó fallido`);
+    }
+  }
+
+  /**
+   * Atender de inmediato un trabajo recién creado
+   */
+  wake() {
+    if (activeWorker) {
+      setImmediate(() => activeWorker.processPendingJobs());
+    }
+  }
+
+  /**
+   * Iniciar el procesador; processor(job) termina la creación del comunicado
+   */
+  async startWorker(processor) {
+    console.log('⚙️  Iniciando procesador de subidas...');
+    this.processor = processor;
+    activeWorker = this;
+
+    try {
+      await this.recoverInterruptedJobs();
+    } catch (error) {
+      console.error('❌ Error al recuperar trabajos de subida interrumpidos:', error);
+    }
+
+    // Los pendientes que quedaron antes del reinicio conservan sus archivos y se procesan
+    this.processPendingJobs();
+
+    this.workerInterval = setInterval(() => {
+      this.processPendingJobs();
+    }, this.pollInterval);
+  }
+
+  /**
+   * Detener el procesador
+   */
+  stopWorker() {
+    if (this.workerInterval) {
+      clearInterval(this.workerInterval);
+      this.workerInterval = null;
+      activeWorker = null;
+      console.log('⏹️  Procesador de subidas detenido');
+    }
+  }
+}
+
+module.exports = UploadJobService;
@@ -0,0 +1,236 @@
+const { getAppConnection } = require('../config/database');
+const { WordPressService } = require('./wordpressService');
+const EmailQueueService = require('./emailQueueService');
+
+// Pasos de la creación de un comunicado, en orden de ejecución
+const PIPELINE_STEPS = ['media', 'post', 'queue', 'telegram'];
+
+// Una creación en proceso sin actividad durante este tiempo se considera atascada
+const STALE_PIPELINE_MINUTES = 30;
+
+/**
+ * Pasos persistidos de la creación de un comunicado (condo360_communique_pipeline_steps).
+ * Cada paso guarda lo que creó para poder deshacerlo si la creación falla a medias.
+ */
+class UploadPipelineService {
+  constructor() {
+    this.wordpressService = new WordPressService();
+    this.emailQueueService = new EmailQueueService();
+
+    // Acción compensatoria de cada paso; la difusión en Telegram no se puede deshacer
+    this.compensations = {
+      media: resource => this.deleteMedia(resource),
+      post: resource => this.deletePost(resource),
+      queue: (resource, communiqueId) => this.emailQueueService.cancelCommunique(communiqueId, 'Creación del comunicado revertida'),
+    };
+  }
+
+  /**
+   * Registrar los pasos pendientes de un comunicado recién insertado
+   */
+  async createSteps(communiqueId) {
+    const connection = await getAppConnection();
+    for (const step of PIPELINE_STEPS) {
+      await connection.execute(
+        `INSERT INTO condo360_communique_pipeline_steps (communique_id, step, state)
+         VALUES (?, ?, 'pending')`,
+        [communiqueId, step]
+      );
+    }
+  }
+
+  /**
+   * Obtener los pasos de un comunicado en orden de ejecución
+   */
+  async getSteps(communiqueId) {
+    const connection = await getAppConnection();
+    const [rows] = await connection.execute(
+      `SELECT step, state, resource, error_message, updated_at
+       FROM condo360_communique_pipeline_steps
+       WHERE communique_id = ?`,
+      [communiqueId]
+    );
+
+    return PIPELINE_STEPS
+      .map(step => rows.find(row => row.step === step))
+      .filter(Boolean)
+      .map(row => ({ ...row, resource: row.resource ? JSON.parse(row.resource) : null }));
+  }
+
+  /**
+   * Estado de cada paso indexado por nombre
+   */
+  async getStepStates(communiqueId) {
+    const steps = await this.getSteps(communiqueId);
+    return Object.fromEntries(steps.map(step => [step.step, step.state]));
+  }
+
+  /**
+   * Actualizar el estado de un paso (y opcionalmente lo que creó o el error)
+   */
+  async updateStep(communiqueId, step, fields) {
+    const assignments = ['updated_at = NOW()'];
+    const params = [];
+
+    if (fields.state !== undefined) {
+      assignments.push('state = ?');
+      params.push(fields.state);
+    }
+    if (fields.resource !== undefined) {
+      assignments.push('resource = ?');
+      params.push(JSON.stringify(fields.resource));
+    }
+    if (fields.error !== undefined) {
+      assignments.push('error_message = ?');
+      params.push(fields.error);
+    }
+
+    const connection = await getAppConnection();
+    await connection.execute(
+      `UPDATE condo360_communique_pipeline_steps SET ${assignments.join(', ')}
+       WHERE communique_id = ? AND step = ?`,
+      [...params, communiqueId, step]
+    );
+  }
+
+  /**
+   * Ejecutar un paso. La acción recibe track(resource) para guardar lo creado apenas existe,
+   * así un fallo posterior dentro del mismo paso también se puede deshacer.
+   */
+  async runStep(communiqueId, step, action) {
+    await this.updateStep(communiqueId, step, { state: 'running', error: null });
+
+    try {
+      const track = resource => this.updateStep(communiqueId, step, { resource });
+      await action(track);
+      await this.updateStep(communiqueId, step, { state: 'done' });
+    } catch (error) {
+      await this.updateStep(communiqueId, step, { state: 'failed', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Marcar un paso que no aplica al comunicado (p. ej. la cola de un borrador)
+   */
+  async skipStep(communiqueId, step) {
+    await this.updateStep(communiqueId, step, { state: 'skipped' });
+  }
+
+  /**
+   * Cambiar el estado general de la creación
+   */
+  async setState(communiqueId, state, error = null) {
+    const connection = await getAppConnection();
+    await connection.execute(
+      'UPDATE condo360_communiques SET pipeline_state = ?, pipeline_error = ?, updated_at = NOW() WHERE id = ?',
+      [state, error, communiqueId]
+    );
+  }
+
+  /**
+   * Tomar una creación atascada o fallida para reanudarla o revertirla.
+   * Devuelve false si sigue en curso o ya terminó.
+   */
+  async claim(communiqueId) {
+    const connection = await getAppConnection();
+    const [result] = await connection.execute(
+      `UPDATE condo360_communiques
+       SET pipeline_state = 'processing', updated_at = NOW()
+       WHERE id = ?
+         AND (pipeline_state = 'failed'
+              OR (pipeline_state = 'processing' AND updated_at < DATE_SUB(NOW(), INTERVAL ${STALE_PIPELINE_MINUTES} MINUTE)))`,
+      [communiqueId]
+    );
+
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Deshacer en orden inverso los pasos que alcanzaron a crear algo.
+   * Si todo se deshace el comunicado queda como deleted; si no, queda fallido para reintentar.
+   */
+  async rollback(communiqueId, reason) {
+    const steps = await this.getSteps(communiqueId);
+    const failures = [];
+
+    for (const step of [...steps].reverse()) {
+      const compensate = this.compensations[step.step];
+      const created = step.state === 'done' || (step.state === 'failed' && step.resource);
+      if (!compensate || !created) {
+        continue;
+      }
+
+      try {
+        await compensate(step.resource || {}, communiqueId);
+        await this.updateStep(communiqueId, step.step, { state: 'compensated', error: null });
+        console.log(`↩️  Paso ${step.step} del comunicado ${communiqueId} revertido`);
+      } catch (error) {
+        console.error(`❌ No se pudo revertir el paso ${step.step} del comunicado ${communiqueId}:`, error.message);
+        await this.updateStep(communiqueId, step.step, { error: `Error al revertir: ${error.message}` });
+        failures.push(step.step);
+      }
+    }
+
+    // La clave de idempotencia se libera para que el cliente pueda reintentar la subida
+    const connection = await getAppConnection();
+    if (failures.length === 0) {
+      await connection.execute(
+        `UPDATE condo360_communiques
+         SET pipeline_state = 'rolled_back', pipeline_error = ?, status = 'deleted', idempotency_key = NULL, updated_at = NOW()
+         WHERE id = ?`,
+        [reason, communiqueId]
+      );
+    } else {
+      await connection.execute(
+        `UPDATE condo360_communiques
+         SET pipeline_state = 'failed', pipeline_error = ?, idempotency_key = NULL, updated_at = NOW()
+         WHERE id = ?`,
+        [`${reason}. No se pudo revertir: ${failures.join(', ')}`, communiqueId]
+      );
+    }
+
+    return { rolledBack: failures.length === 0, failedSteps: failures };
+  }
+
+  /**
+   * Eliminar los archivos subidos a la biblioteca de medios
+   */
+  async deleteMedia(resource) {
+    for (const mediaId of resource.media_ids || []) {
+      await this.wordpressService.deleteMedia(mediaId);
+    }
+  }
+
+  /**
+   * Eliminar definitivamente el post creado
+   */
+  async deletePost(resource) {
+    if (resource.post_id) {
+      await this.wordpressService.deletePost(resource.post_id, true);
+    }
+  }
+
+  /**
+   * Listar las creaciones fallidas o atascadas, con sus pasos
+   */
+  async listStuck() {
+    const connection = await getAppConnection();
+    const [rows] = await connection.execute(
+      `SELECT id, wp_user_id, title, file_type, status, wp_post_id, wp_post_url,
+              pipeline_state, pipeline_error, created_at, updated_at
+       FROM condo360_communiques
+       WHERE pipeline_state = 'failed'
+          OR (pipeline_state = 'processing' AND updated_at < DATE_SUB(NOW(), INTERVAL ${STALE_PIPELINE_MINUTES} MINUTE))
+       ORDER BY created_at DESC`
+    );
+
+    const stuck = [];
+    for (const row of rows) {
+      stuck.push({ ...row, steps: await this.getSteps(row.id) });
+    }
+    return stuck;
+  }
+}
+
+module.exports = UploadPipelineService;
@@ -1,9 +1,33 @@
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
 const mammoth = require('mammoth');
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const sharp = require('sharp');
 const pdfParse = require('pdf-parse');
 const FormData = require('form-data');
+const moment = require('moment-timezone');
+const { escapeHtml } = require('../utils/html');
+
+const execFileAsync = promisify(execFile);
+
+// Etiquetas permitidas en el HTML de Markdown y del editor de texto enriquecido
+const SANITIZE_ALLOWED_TAGS = sanitizeHtml.defaults.allowedTags.concat(['img', 'h1', 'h2', 'del', 's', 'u']);
+
+const IMAGE_CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.wmf': 'image/x-wmf',
+  '.emf': 'image/x-emf',
+};
 
 /**
  * Servicio para interactuar con WordPress REST API
@@ -15,6 +39,7 @@ class WordPressService {
     this.password = null;
     this.auth = null;
     this.initialized = false;
+    this.termCache = new Map();
   }
 
   /**
@@ -40,7 +65,7 @@ class WordPressService {
   /**
    * Subir archivo como media a WordPress
    */
-  async uploadMedia(filePath, filename, mimeType) {
+  async uploadMedia(filePath, filename, mimeType, options = {}) {
     try {
       this.initializeCredentials();
       
@@ -51,6 +76,9 @@ class WordPressService {
         filename: filename,
         contentType: mimeType
       });
+      if (options.altText) {
+        formData.append('alt_text', options.altText);
+      }
       
       const response = await axios.post(
         `${this.baseUrl}/wp-json/wp/v2/media`,
@@ -81,16 +109,20 @@ class WordPressService {
   async createPost(postData) {
     try {
       this.initializeCredentials();
+      const terms = await this.resolveTerms(postData);
       
       const response = await axios.post(
         `${this.baseUrl}/wp-json/wp/v2/posts`,
         {
+          ...terms,
           title: postData.title,
           content: postData.content,
-          status: process.env.POST_STATUS || 'publish',
+          status: postData.status || process.env.POST_STATUS || 'publish',
           author: postData.author || 1,
           featured_media: postData.featured_media || 0,
           meta: postData.meta || {},
+          ...(postData.date_gmt && { date_gmt: postData.date_gmt }),
+          ...(postData.sticky !== undefined && { sticky: postData.sticky }),
         },
         {
           headers: {
@@ -112,6 +144,188 @@ class WordPressService {
     }
   }
 
+  /**
+   * Actualizar post existente en WordPress (solo los campos recibidos)
+   */
+  async updatePost(postId, postData) {
+    try {
+      this.initializeCredentials();
+
+      const payload = await this.resolveTerms(postData);
+      ['title', 'content', 'status', 'date_gmt', 'featured_media', 'meta', 'sticky'].forEach(field => {
+        if (postData[field] !== undefined) {
+          payload[field] = postData[field];
+        }
+      });
+
+      const response = await axios.post(
+        `${this.baseUrl}/wp-json/wp/v2/posts/${postId}`,
+        payload,
+        {
+          headers: {
+            'Authorization': `Basic ${this.auth}`,
+            'Content-Type': 'application/json',
+          },
+        }
+      );
+
+      return {
+        id: response.data.id,
+        url: response.data.link,
+        title: response.data.title.rendered,
+        status: response.data.status,
+      };
+    } catch (error) {
+      console.error('❌ Error al actualizar post en WordPress:', error.response?.data || error.message);
+      throw new Error(`Error al actualizar post en WordPress: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Convertir categoría y etiquetas del comunicado en IDs de términos de WordPress.
+   * Solo incluye los campos recibidos para que updatePost no borre los términos actuales.
+   */
+  async resolveTerms({ category, tags } = {}) {
+    const terms = {};
+
+    if (category !== undefined) {
+      const categoryId = category
+        ? await this.ensureTerm('categories', category.charAt(0).toUpperCase() + category.slice(1))
+        : null;
+      terms.categories = categoryId ? [categoryId] : [];
+    }
+
+    if (tags !== undefined) {
+      const tagIds = [];
+      for (const tag of tags || []) {
+        const tagId = await this.ensureTerm('tags', tag);
+        if (tagId) {
+          tagIds.push(tagId);
+        }
+      }
+      terms.tags = tagIds;
+    }
+
+    return terms;
+  }
+
+  /**
+   * Obtener el ID de una categoría o etiqueta por su slug, creándola si no existe.
+   * Devuelve null si falla: el comunicado se publica igual, sin ese término.
+   */
+  async ensureTerm(taxonomy, name) {
+    const slug = name
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+
+    // Un slug vacío haría que WordPress devuelva todos los términos en lugar de filtrar
+    if (!slug) {
+      console.error(`⚠️  Término sin letras ni números omitido (${taxonomy}): ${name}`);
+      return null;
+    }
+
+    const cacheKey = `${taxonomy}:${slug}`;
+
+    if (this.termCache.has(cacheKey)) {
+      return this.termCache.get(cacheKey);
+    }
+
+    const headers = {
+      'Authorization': `Basic ${this.auth}`,
+      'Content-Type': 'application/json',
+    };
+
+    try {
+      const existing = await axios.get(`${this.baseUrl}/wp-json/wp/v2/${taxonomy}`, {
+        params: { slug },
+        headers,
+      });
+
+      let termId = existing.data[0]?.id;
+      if (!termId) {
+        try {
+          const created = await axios.post(`${this.baseUrl}/wp-json/wp/v2/${taxonomy}`, { name, slug }, { headers });
+          termId = created.data.id;
+          console.log(`🏷️  Término creado en WordPress (${taxonomy}): ${name}`);
+        } catch (error) {
+          // Otro proceso lo creó entre la consulta y la creación
+          if (error.response?.data?.code !== 'term_exists') {
+            throw error;
+          }
+          termId = error.response.data.data.term_id;
+        }
+      }
+
+      this.termCache.set(cacheKey, termId);
+      return termId;
+    } catch (error) {
+      console.error(`⚠️  No se pudo obtener o crear el término "${name}" (${taxonomy}):`, error.response?.data?.message || error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Enviar post a la papelera o eliminarlo definitivamente (force)
+   */
+  async deletePost(postId, force = false) {
+    try {
+      this.initializeCredentials();
+
+      const response = await axios.delete(
+        `${this.baseUrl}/wp-json/wp/v2/posts/${postId}`,
+        {
+          params: { force },
+          headers: {
+            'Authorization': `Basic ${this.auth}`,
+          },
+        }
+      );
+
+      return { id: postId, deleted: force, status: response.data.status || 'deleted' };
+    } catch (error) {
+      // Un post ya eliminado o en la papelera no es un error para quien lo retira
+      const code = error.response?.data?.code;
+      if (code === 'rest_already_trashed' || code === 'rest_post_invalid_id') {
+        console.log(`ℹ️  Post ${postId} ya no está publicado en WordPress (${code})`);
+        return { id: postId, deleted: force, status: 'missing' };
+      }
+
+      console.error('❌ Error al eliminar post en WordPress:', error.response?.data || error.message);
+      throw new Error(`Error al eliminar post en WordPress: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Eliminar media de WordPress (la API de media no admite papelera)
+   */
+  async deleteMedia(mediaId) {
+    try {
+      this.initializeCredentials();
+
+      await axios.delete(
+        `${this.baseUrl}/wp-json/wp/v2/media/${mediaId}`,
+        {
+          params: { force: true },
+          headers: {
+            'Authorization': `Basic ${this.auth}`,
+          },
+        }
+      );
+
+      return true;
+    } catch (error) {
+      if (error.response?.data?.code === 'rest_post_invalid_id') {
+        return true;
+      }
+
+      console.error('❌ Error al eliminar media en WordPress:', error.response?.data || error.message);
+      throw new Error(`Error al eliminar media en WordPress: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
   /**
    * Obtener información de un usuario por ID
    */
@@ -147,6 +361,10 @@ class WordPressService {
 class FileProcessingService {
   constructor() {
     this.tempDir = process.env.TEMP_UPLOAD_DIR || './temp/uploads';
+    this.imageMaxSize = parseInt(process.env.DOCX_IMAGE_MAX_SIZE) || 1600;
+    this.imageQuality = parseInt(process.env.DOCX_IMAGE_QUALITY) || 80;
+    this.pdftoppmPath = process.env.PDFTOPPM_PATH || 'pdftoppm';
+    this.thumbnailWidth = parseInt(process.env.PDF_THUMBNAIL_WIDTH) || 800;
   }
 
   /**
@@ -156,21 +374,44 @@ class FileProcessingService {
     try {
       console.log('📄 Procesando archivo DOCX:', filePath);
       
-      const result = await mammoth.convertToHtml({ path: filePath });
-      const html = result.value;
+      // Cada imagen embebida se extrae a un archivo temporal y en el HTML queda un marcador
+      // que el controlador reemplaza por la URL de la biblioteca de medios
+      const baseName = path.basename(filePath, path.extname(filePath));
+      const images = [];
+      let imageCount = 0;
+
+      const result = await mammoth.convertToHtml({ path: filePath }, {
+        convertImage: mammoth.images.imgElement(async (image) => {
+          const index = ++imageCount;
+          const alt = (image.altText || '').trim() || `Imagen ${index} del comunicado`;
+          const extracted = await this.optimizeImage(image, `${baseName}_img${index}`);
+
+          if (!extracted) {
+            return { src: '', alt };
+          }
+
+          const placeholder = `docx-image-${baseName}-${index}`;
+          images.push({ ...extracted, index, alt, originalPath: placeholder });
+          return { src: placeholder, alt };
+        }),
+      });
+      const html = result.value.replace(/<img [^>]*src=""[^>]*\/?>/g, '');
       const messages = result.messages;
+
+      // Texto plano para la búsqueda de texto completo
+      const textResult = await mammoth.extractRawText({ path: filePath });
       
       // Log de mensajes de conversión
       if (messages.length > 0) {
         console.log('📝 Mensajes de conversión DOCX:', messages);
       }
-      
-      // Extraer imágenes embebidas
-      const images = await this.extractImagesFromDocx(filePath);
+
+      console.log(`🖼️  ${images.length} imágenes extraídas del DOCX`);
       
       return {
         html,
-        images,
+        text: textResult.value,
+        images: images.sort((a, b) => a.index - b.index),
         messages,
       };
     } catch (error) {
@@ -180,17 +421,380 @@ class FileProcessingService {
   }
 
   /**
-   * Extraer imágenes de archivo DOCX
+   * Procesar archivo ODT (LibreOffice) y convertir a HTML con el mismo formato que processDocx
    */
-  async extractImagesFromDocx(filePath) {
+  async processOdt(filePath) {
     try {
-      const result = await mammoth.extractRawText({ path: filePath });
-      // Por ahora retornamos array vacío, mammoth no extrae imágenes directamente
-      // En una implementación más avanzada se podría usar 'officegen' o similar
-      return [];
+      console.log('📄 Procesando archivo ODT:', filePath);
+
+      const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+      const contentFile = zip.file('content.xml');
+      if (!contentFile) {
+        throw new Error('el archivo no contiene content.xml');
+      }
+
+      const messages = [];
+      const xml = new DOMParser({
+        errorHandler: { warning: message => messages.push(message), error: message => messages.push(message) },
+      }).parseFromString(await contentFile.async('string'), 'text/xml');
+      const officeText = xml.getElementsByTagName('office:text')[0];
+      if (!officeText) {
+        throw new Error('el documento no tiene cuerpo de texto');
+      }
+
+      const baseName = path.basename(filePath, path.extname(filePath));
+      const context = {
+        zip,
+        baseName,
+        styles: this.readOdtStyles(xml),
+        images: [],
+        imageCount: 0,
+      };
+
+      const html = await this.convertOdtChildren(officeText, context);
+
+      if (messages.length > 0) {
+        console.log('📝 Mensajes de conversión ODT:', messages);
+      }
+
+      console.log(`🖼️  ${context.images.length} imágenes extraídas del ODT`);
+
+      return {
+        html,
+        text: this.htmlToText(html),
+        images: context.images.sort((a, b) => a.index - b.index),
+        messages,
+      };
     } catch (error) {
-      console.error('❌ Error al extraer imágenes de DOCX:', error);
-      return [];
+      console.error('❌ Error al procesar ODT:', error);
+      throw new Error(`Error al procesar archivo ODT: ${error.message}`);
+    }
+  }
+
+  /**
+   * Leer los estilos automáticos del ODT: negrita, cursiva, subrayado y listas numeradas
+   */
+  readOdtStyles(xml) {
+    const styles = { text: {}, orderedLists: new Set() };
+
+    const textStyles = xml.getElementsByTagName('style:style');
+    for (let i = 0; i < textStyles.length; i++) {
+      const properties = textStyles[i].getElementsByTagName('style:text-properties')[0];
+      if (!properties) {
+        continue;
+      }
+
+      styles.text[textStyles[i].getAttribute('style:name')] = {
+        bold: ['bold', '600', '700', '800', '900'].includes(properties.getAttribute('fo:font-weight')),
+        italic: properties.getAttribute('fo:font-style') === 'italic',
+        underline: !!properties.getAttribute('style:text-underline-style')
+          && properties.getAttribute('style:text-underline-style') !== 'none',
+      };
+    }
+
+    const listStyles = xml.getElementsByTagName('text:list-style');
+    for (let i = 0; i < listStyles.length; i++) {
+      const firstLevel = Array.from(listStyles[i].childNodes)
+        .find(node => node.nodeType === 1 && node.getAttribute('text:level') === '1');
+      if (firstLevel && firstLevel.nodeName === 'text:list-level-style-number') {
+        styles.orderedLists.add(listStyles[i].getAttribute('style:name'));
+      }
+    }
+
+    return styles;
+  }
+
+  /**
+   * Convertir los nodos hijos de un elemento del ODT a HTML
+   */
+  async convertOdtChildren(element, context) {
+    let html = '';
+    for (let node = element.firstChild; node; node = node.nextSibling) {
+      html += await this.convertOdtNode(node, context);
+    }
+    return html;
+  }
+
+  /**
+   * Convertir un nodo del ODT a HTML (párrafos, títulos, listas, tablas, enlaces e imágenes)
+   */
+  async convertOdtNode(node, context) {
+    // En ODT los espacios consecutivos se colapsan (text:s los conserva) y entre bloques no cuentan
+    if (node.nodeType === 3) {
+      const value = node.nodeValue.replace(/\s+/g, ' ');
+      const inline = ['text:p', 'text:h', 'text:span', 'text:a'].includes(node.parentNode?.nodeName);
+      return inline || value.trim() ? escapeHtml(value) : '';
+    }
+
+    if (node.nodeType !== 1) {
+      return '';
+    }
+
+    switch (node.nodeName) {
+      case 'text:h': {
+        const level = Math.min(Math.max(parseInt(node.getAttribute('text:outline-level')) || 1, 1), 6);
+        const inner = await this.convertOdtChildren(node, context);
+        return inner.trim() ? `<h${level}>${inner}</h${level}>\n` : '';
+      }
+      case 'text:p': {
+        const inner = await this.convertOdtChildren(node, context);
+        return inner.trim() ? `<p>${this.applyOdtTextStyle(inner, node, context)}</p>\n` : '';
+      }
+      case 'text:span':
+        return this.applyOdtTextStyle(await this.convertOdtChildren(node, context), node, context);
+      case 'text:a': {
+        const href = node.getAttribute('xlink:href');
+        const inner = await this.convertOdtChildren(node, context);
+        return /^(https?:|mailto:)/i.test(href)
+          ? `<a href="${escapeHtml(href)}" target="_blank">${inner}</a>`
+          : inner;
+      }
+      case 'text:list': {
+        const tag = context.styles.orderedLists.has(node.getAttribute('text:style-name')) ? 'ol' : 'ul';
+        return `<${tag}>\n${await this.convertOdtChildren(node, context)}</${tag}>\n`;
+      }
+      case 'text:list-item':
+      case 'text:list-header': {
+        // Los párrafos de un elemento de lista se muestran sin <p> para no separar las viñetas
+        const inner = await this.convertOdtChildren(node, context);
+        return `<li>${inner.replace(/^<p>((?:(?!<\/?p>)[\s\S])*)<\/p>\n$/, '$1')}</li>\n`;
+      }
+      case 'table:table':
+        return `<table>\n${await this.convertOdtChildren(node, context)}</table>\n`;
+      case 'table:table-header-rows':
+      case 'table:table-rows':
+      case 'text:section':
+      case 'draw:text-box':
+        return this.convertOdtChildren(node, context);
+      case 'table:table-row':
+        return `<tr>${await this.convertOdtChildren(node, context)}</tr>\n`;
+      case 'table:table-cell': {
+        const colspan = parseInt(node.getAttribute('table:number-columns-spanned')) || 1;
+        const inner = await this.convertOdtChildren(node, context);
+        return `<td${colspan > 1 ? ` colspan="${colspan}"` : ''}>${inner}</td>`;
+      }
+      case 'text:line-break':
+        return '<br>';
+      case 'text:tab':
+        return ' ';
+      case 'text:s':
+        return ' '.repeat(parseInt(node.getAttribute('text:c')) || 1);
+      case 'draw:frame':
+        return this.convertOdtFrame(node, context);
+      default:
+        // Notas al pie, índices, formularios y declaraciones no se muestran en el post
+        return '';
+    }
+  }
+
+  /**
+   * Envolver texto del ODT según su estilo automático
+   */
+  applyOdtTextStyle(html, node, context) {
+    const style = context.styles.text[node.getAttribute('text:style-name')];
+    if (!style || !html.trim()) {
+      return html;
+    }
+
+    let styled = html;
+    if (style.underline) styled = `<u>${styled}</u>`;
+    if (style.italic) styled = `<em>${styled}</em>`;
+    if (style.bold) styled = `<strong>${styled}</strong>`;
+    return styled;
+  }
+
+  /**
+   * Extraer la imagen de un marco del ODT; el HTML queda con un marcador como en processDocx
+   */
+  async convertOdtFrame(frame, context) {
+    const imageElement = frame.getElementsByTagName('draw:image')[0];
+    if (!imageElement) {
+      return this.convertOdtChildren(frame, context);
+    }
+
+    const href = imageElement.getAttribute('xlink:href');
+    const imageFile = href && context.zip.file(href);
+    if (!imageFile) {
+      return '';
+    }
+
+    const index = ++context.imageCount;
+    const title = frame.getElementsByTagName('svg:title')[0] || frame.getElementsByTagName('svg:desc')[0];
+    const alt = (title?.textContent || '').trim() || `Imagen ${index} del comunicado`;
+    const image = {
+      contentType: IMAGE_CONTENT_TYPES[path.extname(href).toLowerCase()] || 'application/octet-stream',
+      read: () => imageFile.async('nodebuffer'),
+    };
+
+    const extracted = await this.optimizeImage(image, `${context.baseName}_img${index}`);
+    if (!extracted) {
+      return '';
+    }
+
+    const placeholder = `odt-image-${context.baseName}-${index}`;
+    context.images.push({ ...extracted, index, alt, originalPath: placeholder });
+    return `<img src="${placeholder}" alt="${escapeHtml(alt)}" />`;
+  }
+
+  /**
+   * Procesar archivo Markdown y convertir a HTML saneado
+   */
+  async processMarkdown(filePath) {
+    try {
+      console.log('📄 Procesando archivo Markdown:', filePath);
+
+      const source = await this.readTextFile(filePath);
+      const html = this.cleanHtml(marked.parse(source));
+
+      return { html, text: this.htmlToText(html) };
+    } catch (error) {
+      console.error('❌ Error al procesar Markdown:', error);
+      throw new Error(`Error al procesar archivo Markdown: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convertir el cuerpo de un comunicado redactado (Markdown o HTML del editor) a HTML saneado
+   */
+  renderComposedBody(body, format = 'markdown') {
+    let source = format === 'html' ? body : marked.parse(body);
+
+    // La pestaña de código del editor de WordPress no agrega <p>: los párrafos van separados por líneas en blanco
+    if (format === 'html' && !/<(p|div|h[1-6]|ul|ol|table|blockquote)[\s>]/i.test(source)) {
+      source = source
+        .split(/\r?\n\s*\r?\n/)
+        .filter(paragraph => paragraph.trim().length > 0)
+        .map(paragraph => `<p>${paragraph.trim().replace(/\r?\n/g, '<br>')}</p>`)
+        .join('\n');
+    }
+
+    const html = this.cleanHtml(source);
+    return { html, text: this.htmlToText(html) };
+  }
+
+  /**
+   * Sanear HTML de origen externo: sin scripts, estilos ni atributos peligrosos; imágenes solo por https
+   */
+  cleanHtml(html) {
+    return sanitizeHtml(html, {
+      allowedTags: SANITIZE_ALLOWED_TAGS,
+      allowedAttributes: {
+        '*': ['style'],
+        a: ['href', 'title', 'target', 'rel'],
+        img: ['src', 'alt', 'title'],
+        th: ['align', 'colspan'],
+        td: ['align', 'colspan'],
+      },
+      // Del estilo en línea del editor solo se conservan la alineación y el subrayado
+      allowedStyles: {
+        '*': {
+          'text-align': [/^(left|right|center|justify)$/],
+          'text-decoration': [/^underline$/],
+        },
+      },
+      allowedSchemes: ['http', 'https', 'mailto'],
+      allowedSchemesByTag: { img: ['https'] },
+      transformTags: {
+        a: sanitizeHtml.simpleTransform('a', { target: '_blank', rel: 'noopener' }),
+      },
+      // Imágenes cuya URL se descartó por no ser https
+      exclusiveFilter: frame => frame.tag === 'img' && !frame.attribs.src,
+    });
+  }
+
+  /**
+   * Procesar archivo de texto plano: párrafos separados por líneas en blanco
+   */
+  async processText(filePath) {
+    try {
+      console.log('📄 Procesando archivo de texto:', filePath);
+
+      const text = (await this.readTextFile(filePath)).replace(/\r/g, '');
+      return { html: this.textToHtml(text), text };
+    } catch (error) {
+      console.error('❌ Error al procesar texto:', error);
+      throw new Error(`Error al procesar archivo de texto: ${error.message}`);
+    }
+  }
+
+  /**
+   * Procesar la foto de un aviso impreso: orientación EXIF y tamaño para la web
+   */
+  async processImage(filePath) {
+    console.log('📷 Procesando imagen:', filePath);
+
+    const extension = path.extname(filePath).toLowerCase();
+    const baseName = path.basename(filePath, extension);
+    const image = await this.optimizeImage({
+      contentType: IMAGE_CONTENT_TYPES[extension],
+      read: () => fs.readFile(filePath),
+    }, `${baseName}_web`);
+
+    if (!image) {
+      throw new Error('Error al procesar imagen: formato no soportado');
+    }
+
+    return image;
+  }
+
+  /**
+   * Leer un archivo de texto en UTF-8; los exportados desde Windows suelen venir en Latin-1
+   */
+  async readTextFile(filePath) {
+    const buffer = await fs.readFile(filePath);
+    const text = buffer.toString('utf8');
+    return (text.includes('\uFFFD') ? buffer.toString('latin1') : text).replace(/^\uFEFF/, '');
+  }
+
+  /**
+   * Optimizar una imagen para la web: embebida en DOCX/ODT o foto subida como comunicado
+   */
+  async optimizeImage(image, outputName) {
+    let buffer;
+    try {
+      buffer = await image.read();
+    } catch (error) {
+      console.error('❌ Error al leer imagen:', error.message);
+      return null;
+    }
+
+    try {
+      // rotate() aplica la orientación EXIF antes de descartar los metadatos (sharp no los copia por defecto)
+      const { hasAlpha } = await sharp(buffer).metadata();
+      const format = hasAlpha ? 'webp' : 'jpeg';
+      const pipeline = sharp(buffer)
+        .rotate()
+        .resize({
+          width: this.imageMaxSize,
+          height: this.imageMaxSize,
+          fit: 'inside',
+          withoutEnlargement: true,
+        });
+
+      const filename = `${outputName}.${format === 'webp' ? 'webp' : 'jpg'}`;
+      const outputPath = path.join(this.tempDir, filename);
+
+      if (format === 'webp') {
+        await pipeline.webp({ quality: this.imageQuality }).toFile(outputPath);
+      } else {
+        await pipeline.jpeg({ quality: this.imageQuality, mozjpeg: true }).toFile(outputPath);
+      }
+
+      return { path: outputPath, filename, mimeType: `image/${format}` };
+    } catch (error) {
+      // Formatos que sharp no soporta (EMF, WMF): se sube el original si el navegador lo muestra
+      if (!['image/png', 'image/jpeg', 'image/gif'].includes(image.contentType)) {
+        console.error(`⚠️  Imagen omitida (${image.contentType}):`, error.message);
+        return null;
+      }
+
+      console.error('⚠️  No se pudo optimizar la imagen, se usará el original:', error.message);
+      const extension = image.contentType.split('/')[1].replace('jpeg', 'jpg');
+      const filename = `${outputName}.${extension}`;
+      const outputPath = path.join(this.tempDir, filename);
+      await fs.writeFile(outputPath, buffer);
+
+      return { path: outputPath, filename, mimeType: image.contentType };
     }
   }
 
@@ -215,6 +819,99 @@ class FileProcessingService {
     }
   }
 
+  /**
+   * Verificar al arrancar que pdftoppm (poppler-utils) está disponible; sin él los PDF se publican sin miniatura
+   */
+  async checkPdftoppm() {
+    try {
+      await execFileAsync(this.pdftoppmPath, ['-v'], { timeout: 10000 });
+      console.log(`🖼️  pdftoppm disponible (${this.pdftoppmPath}): los PDF tendrán miniatura`);
+      return true;
+    } catch (error) {
+      console.error(error.code === 'ENOENT'
+        ? `❌ No se encontró pdftoppm (${this.pdftoppmPath}): instale poppler-utils o configure PDFTOPPM_PATH. Los PDF se publicarán sin miniatura`
+        : `❌ pdftoppm (${this.pdftoppmPath}) no funciona: ${error.message}. Los PDF se publicarán sin miniatura`);
+      return false;
+    }
+  }
+
+  /**
+   * Renderizar la primera página del PDF como miniatura JPEG (requiere pdftoppm de poppler-utils)
+   */
+  async generatePdfThumbnail(filePath) {
+    const baseName = path.basename(filePath, path.extname(filePath));
+    const renderPrefix = path.join(this.tempDir, `${baseName}_pagina1`);
+    const renderedPath = `${renderPrefix}.png`;
+
+    try {
+      await execFileAsync(
+        this.pdftoppmPath,
+        ['-f', '1', '-l', '1', '-singlefile', '-png', '-scale-to', String(this.thumbnailWidth * 2), filePath, renderPrefix],
+        { timeout: 30000 }
+      );
+
+      const filename = `${baseName}_portada.jpg`;
+      const outputPath = path.join(this.tempDir, filename);
+      await sharp(renderedPath)
+        .resize({ width: this.thumbnailWidth, withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: this.imageQuality, mozjpeg: true })
+        .toFile(outputPath);
+
+      return { path: outputPath, filename, mimeType: 'image/jpeg' };
+    } catch (error) {
+      console.error(error.code === 'ENOENT'
+        ? `⚠️  No se pudo generar la miniatura del PDF: no se encontró pdftoppm (${this.pdftoppmPath}), instale poppler-utils o configure PDFTOPPM_PATH`
+        : `⚠️  No se pudo generar la miniatura del PDF: ${error.message}`);
+      return null;
+    } finally {
+      await fs.unlink(renderedPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Convertir texto plano a párrafos HTML escapados
+   */
+  textToHtml(text) {
+    return String(text || '')
+      .replace(/\r/g, '')
+      .replace(/[ \t]+\n/g, '\n')
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.trim())
+      .filter(paragraph => paragraph.length > 0)
+      .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+      .join('\n');
+  }
+
+  /**
+   * Texto plano de un HTML convertido, para la búsqueda de texto completo
+   */
+  htmlToText(html) {
+    return String(html || '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|h[1-6]|li|tr|table|ul|ol|blockquote|pre)>/gi, '\n')
+      .replace(/<\/t[dh]>/gi, ' ')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#0?39;/g, "'")
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .split('\n')
+      .map(line => line.trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Generar HTML de la foto de un aviso impreso, enlazada al original
+   */
+  generateImageHtml(imageUrl, alt) {
+    return `<figure class="communique-image"><a href="${imageUrl}" target="_blank"><img src="${imageUrl}" alt="${escapeHtml(alt)}" /></a></figure>`;
+  }
+
   /**
    * Limpiar archivos temporales
    */
@@ -230,39 +927,92 @@ class FileProcessingService {
   /**
    * Generar HTML para PDF
    */
-  generatePdfHtml(title, description, pdfUrl, filename) {
+  generatePdfHtml(title, description, pdfUrl, filename, documentText = null, attachments = []) {
     return `
       <div class="pdf-communique">
-        <h2>${title}</h2>
-        ${description ? `<p class="description">${description}</p>` : ''}
+        <h2>${escapeHtml(title)}</h2>
+        ${description ? `<p class="description">${escapeHtml(description)}</p>` : ''}
         <div class="pdf-download">
-          <a href="${pdfUrl}" target="_blank" class="pdf-link">
-            📄 Descargar comunicado: ${filename}
+          <a href="${escapeHtml(pdfUrl)}" target="_blank" class="pdf-link">
+            📄 Descargar comunicado: ${escapeHtml(filename)}
           </a>
         </div>
         <div class="pdf-embed">
-          <iframe src="${pdfUrl}" width="100%" height="600px" frameborder="0">
-            <p>Su navegador no soporta iframes. <a href="${pdfUrl}" target="_blank">Haga clic aquí para ver el PDF</a></p>
+          <iframe src="${escapeHtml(pdfUrl)}" width="100%" height="600px" frameborder="0">
+            <p>Su navegador no soporta iframes. <a href="${escapeHtml(pdfUrl)}" target="_blank">Haga clic aquí para ver el PDF</a></p>
           </iframe>
         </div>
+        ${this.generateAttachmentsHtml(attachments)}
+        ${documentText ? this.generatePdfTextSection(documentText) : ''}
       </div>
     `;
   }
 
   /**
-   * Generar HTML para DOCX procesado
+   * Generar sección con el texto extraído del PDF (lectores de pantalla, móviles y buscadores)
+   */
+  generatePdfTextSection(documentText) {
+    return `
+        <section class="pdf-text" aria-label="Texto del comunicado">
+          <h3>Texto del comunicado</h3>
+          ${this.textToHtml(documentText)}
+        </section>
+    `;
+  }
+
+  /**
+   * Generar aviso de corrección para comunicados editados
    */
-  generateDocxHtml(title, description, content) {
+  generateCorrectionBanner(note) {
+    const date = moment().tz('America/Caracas').format('DD/MM/YYYY [a las] h:mm A');
+    return `
+      <div class="communique-correction" style="background-color: #fff3cd; border-left: 4px solid #f0ad4e; padding: 12px 15px; margin-bottom: 20px;">
+        <strong>Corrección:</strong> este comunicado fue actualizado el ${date}.
+        ${note ? `<p>${escapeHtml(note)}</p>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Generar HTML para contenido convertido (DOCX, ODT, Markdown, texto o foto)
+   */
+  generateDocxHtml(title, description, content, attachments = []) {
     return `
       <div class="docx-communique">
-        <h2>${title}</h2>
-        ${description ? `<p class="description">${description}</p>` : ''}
+        <h2>${escapeHtml(title)}</h2>
+        ${description ? `<p class="description">${escapeHtml(description)}</p>` : ''}
         <div class="content">
           ${content}
         </div>
+        ${this.generateAttachmentsHtml(attachments)}
       </div>
     `;
   }
+
+  /**
+   * Generar lista de descarga de los anexos, en su orden
+   */
+  generateAttachmentsHtml(attachments = []) {
+    if (attachments.length === 0) {
+      return '';
+    }
+
+    const items = attachments.map(attachment => {
+      const size = attachment.file_size >= 1024 * 1024
+        ? ` (${(attachment.file_size / 1024 / 1024).toFixed(1)} MB)`
+        : attachment.file_size ? ` (${Math.ceil(attachment.file_size / 1024)} KB)` : '';
+      return `<li><a href="${escapeHtml(attachment.wp_media_url)}" target="_blank" download>📎 ${escapeHtml(attachment.original_filename)}</a>${size}</li>`;
+    });
+
+    return `
+        <div class="communique-attachments">
+          <h3>Anexos</h3>
+          <ol>
+            ${items.join('\n            ')}
+          </ol>
+        </div>
+    `;
+  }
 }
 
 module.exports = {
@@ -0,0 +1,86 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const BounceService = require('../services/bounceService');
+
+describe('BounceService VERP', () => {
+  let bounceAddress;
+
+  beforeEach(() => {
+    bounceAddress = process.env.BOUNCE_ADDRESS;
+    process.env.BOUNCE_ADDRESS = 'Rebotes@BonaventureCClub.com';
+  });
+  afterEach(() => {
+    if (bounceAddress === undefined) {
+      delete process.env.BOUNCE_ADDRESS;
+    } else {
+      process.env.BOUNCE_ADDRESS = bounceAddress;
+    }
+  });
+
+  it('la dirección de retorno lleva el comunicado y el destinatario', () => {
+    const bounceService = new BounceService();
+
+    assert.equal(
+      bounceService.getReturnPath(123, 'Ana.Perez@Gmail.com'),
+      'rebotes+123-ana.perez=gmail.com@bonaventurecclub.com'
+    );
+  });
+
+  it('se recupera el comunicado y el destinatario del rebote', () => {
+    const bounceService = new BounceService();
+    const returnPath = bounceService.getReturnPath(45, 'vecino+casa@yahoo.com');
+    const raw = `Return-Path: <>\nTo: ${returnPath.toUpperCase()}\nSubject: Undelivered Mail\n`;
+
+    assert.deepEqual(bounceService.parseReturnPath(raw), { communiqueId: 45, email: 'vecino+casa@yahoo.com' });
+    assert.equal(bounceService.parseReturnPath('To: rebotes@bonaventurecclub.com\n'), null);
+  });
+
+  it('sin BOUNCE_ADDRESS no se usa VERP', () => {
+    delete process.env.BOUNCE_ADDRESS;
+    const bounceService = new BounceService();
+
+    assert.equal(bounceService.getReturnPath(1, 'ana@gmail.com'), null);
+    assert.equal(bounceService.parseReturnPath('To: rebotes+1-ana=gmail.com@bonaventurecclub.com'), null);
+  });
+});
+
+describe('BounceService.parseDsn', () => {
+  const bounceService = new BounceService();
+
+  it('un fallo 5.x.x es un rebote definitivo', () => {
+    const raw = [
+      'From MAILER-DAEMON Sat Feb  8 10:00:00 2025',
+      'Status: RO',
+      'Content-Type: message/delivery-status',
+      '',
+      'Final-Recipient: rfc822; ana@gmail.com',
+      'Action: failed',
+      'Status: 5.1.1',
+      'Diagnostic-Code: smtp; 550-5.1.1 The email account that you tried to reach',
+      '    does not exist',
+    ].join('\n');
+
+    assert.deepEqual(bounceService.parseDsn(raw), {
+      action: 'failed',
+      status: '5.1.1',
+      diagnostic: 'smtp; 550-5.1.1 The email account that you tried to reach does not exist',
+      hard: true,
+    });
+  });
+
+  it('un aviso de demora o un 4.x.x es temporal', () => {
+    assert.equal(bounceService.parseDsn('Action: delayed\nStatus: 4.4.1\n').hard, false);
+    assert.equal(bounceService.parseDsn('Action: failed\nStatus: 4.2.2\n').hard, false);
+  });
+
+  it('sin Status toma la clase del código SMTP del diagnóstico', () => {
+    const dsn = bounceService.parseDsn('Action: failed\nDiagnostic-Code: smtp; 552 mailbox full\n');
+
+    assert.equal(dsn.status, '5.0.0');
+    assert.equal(dsn.hard, true);
+  });
+
+  it('un correo que no es un informe de entrega devuelve null', () => {
+    assert.equal(bounceService.parseDsn('Subject: Re: Comunicado\nStatus: RO\n\nGracias'), null);
+  });
+});
@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment-timezone');
+const EmailQueueService = require('../services/emailQueueService');
+
+describe('EmailQueueService.classifyFailure', () => {
+  const emailQueueService = new EmailQueueService();
+
+  it('clasifica por el código SMTP: 4xx es temporal y 5xx permanente', () => {
+    assert.deepEqual(emailQueueService.classifyFailure({ responseCode: 421 }), { type: 'temporary', smtpCode: 421 });
+    assert.deepEqual(emailQueueService.classifyFailure({ responseCode: '550' }), { type: 'permanent', smtpCode: 550 });
+  });
+
+  it('sin respuesta del servidor es temporal, salvo los errores del sobre o del mensaje', () => {
+    assert.deepEqual(emailQueueService.classifyFailure({ code: 'ETIMEDOUT' }), { type: 'temporary', smtpCode: null });
+    assert.deepEqual(emailQueueService.classifyFailure({ code: 'ECONNECTION' }), { type: 'temporary', smtpCode: null });
+    assert.deepEqual(emailQueueService.classifyFailure({ code: 'EENVELOPE' }), { type: 'permanent', smtpCode: null });
+  });
+});
+
+describe('EmailQueueService.isQuietTime', () => {
+  const emailQueueService = new EmailQueueService();
+  const caracas = (time) => moment.tz(`2025-02-08 ${time}`, 'America/Caracas');
+
+  it('sin horario de silencio nunca es hora de silencio', () => {
+    assert.equal(emailQueueService.isQuietTime({ quietHours: null }, caracas('23:00')), false);
+  });
+
+  it('un horario que cruza la medianoche incluye la noche y la madrugada', () => {
+    const schedule = { quietHours: { start: '22:00', end: '06:00' } };
+
+    assert.equal(emailQueueService.isQuietTime(schedule, caracas('21:59')), false);
+    assert.equal(emailQueueService.isQuietTime(schedule, caracas('22:00')), true);
+    assert.equal(emailQueueService.isQuietTime(schedule, caracas('00:30')), true);
+    assert.equal(emailQueueService.isQuietTime(schedule, caracas('05:59')), true);
+    assert.equal(emailQueueService.isQuietTime(schedule, caracas('06:00')), false);
+  });
+
+  it('un horario dentro del mismo día excluye su hora final', () => {
+    const schedule = { quietHours: { start: '12:00', end: '14:00' } };
+
+    assert.equal(emailQueueService.isQuietTime(schedule, caracas('11:59')), false);
+    assert.equal(emailQueueService.isQuietTime(schedule, caracas('13:00')), true);
+    assert.equal(emailQueueService.isQuietTime(schedule, caracas('14:00')), false);
+  });
+
+  it('compara en hora de Caracas aunque la hora venga en UTC', () => {
+    const schedule = { quietHours: { start: '22:00', end: '06:00' } };
+
+    // 03:00 UTC son las 23:00 en Caracas (UTC-4)
+    assert.equal(emailQueueService.isQuietTime(schedule, moment.utc('2025-02-09 03:00')), true);
+    assert.equal(emailQueueService.isQuietTime(schedule, moment.utc('2025-02-09 12:00')), false);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment-timezone');
+const AudienceService = require('../services/audienceService');
+const { parseExpiresAt, parseAudience } = require('../middleware/fileValidation');
+
+describe('parseExpiresAt', () => {
+  const inDays = (days) => moment().tz('America/Caracas').add(days, 'days').format('YYYY-MM-DDTHH:mm');
+
+  it('sin el campo no vence, salvo en una edición (allowClear) donde queda sin cambios', () => {
+    assert.deepEqual(parseExpiresAt(undefined), { expiresAt: null });
+    assert.deepEqual(parseExpiresAt(undefined, { allowClear: true }), { expiresAt: undefined });
+    assert.deepEqual(parseExpiresAt('', { allowClear: true }), { expiresAt: null });
+  });
+
+  it('interpreta la fecha en hora de Caracas si no indica zona', () => {
+    const value = inDays(3);
+    const { expiresAt } = parseExpiresAt(value);
+
+    assert.equal(expiresAt.utcOffset(), -240);
+    assert.equal(expiresAt.format('YYYY-MM-DDTHH:mm'), value);
+  });
+
+  it('rechaza fechas inválidas o pasadas', () => {
+    assert.equal(parseExpiresAt('mañana').code, 'INVALID_EXPIRES_AT');
+    assert.equal(parseExpiresAt(inDays(-1)).code, 'EXPIRES_AT_IN_PAST');
+  });
+
+  it('debe ser posterior a publish_at', () => {
+    const publishAt = moment().add(5, 'days');
+
+    assert.equal(parseExpiresAt(inDays(2), { publishAt }).code, 'EXPIRES_BEFORE_PUBLISH');
+    assert.ok(parseExpiresAt(inDays(6), { publishAt }).expiresAt);
+  });
+});
+
+describe('parseAudience', () => {
+  // Sin base de datos: claves de user-meta predeterminadas y solo la lista "junta" guardada
+  before(() => {
+    mock.method(AudienceService.prototype, 'getMetaKeys', async () => ['torre', 'unidad']);
+    mock.method(AudienceService.prototype, 'findMissingLists', async names => names.filter(name => name !== 'junta'));
+  });
+  after(() => mock.restoreAll());
+
+  it('sin audiencia o vacía es toda la comunidad', async () => {
+    assert.deepEqual(await parseAudience(undefined), { audience: null });
+    assert.deepEqual(await parseAudience(''), { audience: null });
+    assert.deepEqual(await parseAudience({ roles: [], meta: { torre: [] } }), { audience: null });
+  });
+
+  it('acepta texto JSON de multipart y normaliza roles y listas', async () => {
+    const { audience } = await parseAudience(JSON.stringify({
+      roles: ['Subscriber', 'subscriber', ' '],
+      meta: { torre: ['B', 'B', 'C'] },
+      lists: 'JUNTA',
+    }));
+
+    assert.deepEqual(audience, { roles: ['subscriber'], meta: { torre: ['B', 'C'] }, lists: ['junta'] });
+  });
+
+  it('rechaza JSON inválido, roles y claves de user-meta no permitidos', async () => {
+    assert.equal((await parseAudience('{roles')).code, 'INVALID_AUDIENCE');
+    assert.equal((await parseAudience([])).code, 'INVALID_AUDIENCE');
+    assert.equal((await parseAudience({ roles: ['junta directiva'] })).code, 'INVALID_AUDIENCE_ROLE');
+    assert.equal((await parseAudience({ meta: { piso: ['3'] } })).code, 'INVALID_AUDIENCE_META_KEY');
+  });
+
+  it('rechaza listas inexistentes y más de 20 valores por criterio', async () => {
+    assert.equal((await parseAudience({ lists: ['propietarios'] })).code, 'AUDIENCE_LIST_NOT_FOUND');
+
+    const roles = Array.from({ length: 21 }, (_, index) => `rol${index}`);
+    assert.equal((await parseAudience({ roles })).code, 'INVALID_AUDIENCE');
+  });
+});
@@ -0,0 +1,55 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const PreferenceService = require('../services/preferenceService');
+
+describe('PreferenceService tokens', () => {
+  let secret;
+
+  beforeEach(() => {
+    secret = process.env.PREFERENCES_SECRET;
+    process.env.PREFERENCES_SECRET = 'clave-de-prueba';
+  });
+  afterEach(() => {
+    if (secret === undefined) {
+      delete process.env.PREFERENCES_SECRET;
+    } else {
+      process.env.PREFERENCES_SECRET = secret;
+    }
+  });
+
+  it('el token devuelve el correo normalizado del destinatario', () => {
+    const preferenceService = new PreferenceService();
+    const token = preferenceService.createToken('  Ana.Perez@Gmail.com ');
+
+    assert.match(token, /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+    assert.equal(preferenceService.verifyToken(token), 'ana.perez@gmail.com');
+  });
+
+  it('rechaza tokens alterados, incompletos o de otro correo', () => {
+    const preferenceService = new PreferenceService();
+    const token = preferenceService.createToken('ana@gmail.com');
+    const [, signature] = token.split('.');
+    const otherPayload = Buffer.from('luis@gmail.com').toString('base64url');
+
+    assert.equal(preferenceService.verifyToken(`${otherPayload}.${signature}`), null);
+    assert.equal(preferenceService.verifyToken(token.slice(0, -1)), null);
+    assert.equal(preferenceService.verifyToken(token.split('.')[0]), null);
+    assert.equal(preferenceService.verifyToken(undefined), null);
+  });
+
+  it('un token firmado con otra clave no es válido', () => {
+    const token = new PreferenceService().createToken('ana@gmail.com');
+    process.env.PREFERENCES_SECRET = 'clave-nueva';
+
+    assert.equal(new PreferenceService().verifyToken(token), null);
+  });
+
+  it('sin PREFERENCES_SECRET no hay enlace ni se acepta ningún token', () => {
+    const token = new PreferenceService().createToken('ana@gmail.com');
+    delete process.env.PREFERENCES_SECRET;
+    const preferenceService = new PreferenceService();
+
+    assert.equal(preferenceService.verifyToken(token), null);
+    assert.equal(preferenceService.getPreferencesUrl('ana@gmail.com'), null);
+  });
+});
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RevisionService = require('../services/revisionService');
+
+const revision = (lines) => ({ content_html: lines.map(line => `<p>${line}</p>`).join('') });
+
+describe('RevisionService.diff', () => {
+  const revisionService = new RevisionService();
+
+  it('devuelve solo las líneas eliminadas y agregadas con su número en cada versión', () => {
+    const diff = revisionService.diff(revision(['a', 'b', 'c', 'd']), revision(['a', 'x', 'c', 'd', 'e']));
+
+    assert.deepEqual(diff.content, [
+      { op: '-', line: 2, text: 'b' },
+      { op: '+', line: 2, text: 'x' },
+      { op: '+', line: 5, text: 'e' },
+    ]);
+    assert.equal(diff.added_lines, 2);
+    assert.equal(diff.removed_lines, 1);
+    assert.equal(diff.content_too_large, false);
+  });
+
+  it('no compara las líneas iguales al inicio y al final aunque el contenido sea largo', () => {
+    const lines = Array.from({ length: 20000 }, (_, index) => `línea ${index}`);
+    const changed = [...lines];
+    changed[10000] = 'cambiada';
+
+    const diff = revisionService.diff(revision(lines), revision(changed));
+
+    assert.deepEqual(diff.content, [
+      { op: '-', line: 10001, text: 'línea 10000' },
+      { op: '+', line: 10001, text: 'cambiada' },
+    ]);
+  });
+
+  it('marca content_too_large cuando la parte distinta supera el límite de la tabla', () => {
+    const from = Array.from({ length: 3000 }, (_, index) => `antes ${index}`);
+    const to = Array.from({ length: 3000 }, (_, index) => `después ${index}`);
+
+    const diff = revisionService.diff(revision(from), revision(to));
+
+    assert.equal(diff.content, null);
+    assert.equal(diff.content_too_large, true);
+    assert.equal(diff.added_lines, null);
+    assert.equal(diff.removed_lines, null);
+  });
+
+  it('lista los campos que cambiaron y los nombres de los anexos', () => {
+    const diff = revisionService.diff(
+      { title: 'Corte de agua', priority: 'normal', attachments: [{ original_filename: 'acta.pdf' }] },
+      { title: 'Corte de agua', priority: 'alta', attachments: [{ original_filename: 'acta-v2.pdf' }] }
+    );
+
+    assert.deepEqual(diff.fields, [
+      { field: 'priority', from: 'normal', to: 'alta' },
+      { field: 'attachments', from: ['acta.pdf'], to: ['acta-v2.pdf'] },
+    ]);
+  });
+});
@@ -0,0 +1,14 @@
+/**
+ * Escapar texto plano para insertarlo en HTML: posts de WordPress, correos,
+ * páginas públicas y el modo HTML de la Bot API de Telegram
+ */
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+module.exports = {
+  escapeHtml,
+};